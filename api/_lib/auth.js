@@ -0,0 +1,100 @@
+// Supabase session verification for API routes.
+// Supabase signs access tokens with the project's JWT secret (HS256), so we can verify them
+// locally without a round-trip to Supabase Auth.
+
+const crypto = require('crypto');
+
+// Allow a little clock skew between Supabase and the serverless host
+const CLOCK_SKEW_SECONDS = 30;
+
+class AuthError extends Error {
+  constructor(userMessage, details, status = 401) {
+    super(details);
+    this.name = 'AuthError';
+    this.userMessage = userMessage;
+    this.details = details;
+    this.status = status;
+  }
+}
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+const verifySupabaseJwt = (token, secret) => {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new AuthError('Invalid session. Please log in again.', 'Malformed JWT.');
+  }
+  const [headerSegment, payloadSegment, signatureSegment] = parts;
+
+  let header, payload;
+  try {
+    header = decodeSegment(headerSegment);
+    payload = decodeSegment(payloadSegment);
+  } catch (error) {
+    throw new AuthError('Invalid session. Please log in again.', `Could not decode JWT: ${error.message}`);
+  }
+
+  if (header.alg !== 'HS256') {
+    throw new AuthError('Invalid session. Please log in again.', `Unsupported JWT algorithm: ${header.alg}`);
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(`${headerSegment}.${payloadSegment}`).digest();
+  const actual = Buffer.from(signatureSegment, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new AuthError('Invalid session. Please log in again.', 'JWT signature verification failed.');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp === 'number' && payload.exp + CLOCK_SKEW_SECONDS < now) {
+    throw new AuthError('Your session has expired. Please log in again.', 'JWT has expired.');
+  }
+  if (typeof payload.nbf === 'number' && payload.nbf - CLOCK_SKEW_SECONDS > now) {
+    throw new AuthError('Invalid session. Please log in again.', 'JWT is not yet valid.');
+  }
+
+  // The project's anon key is also a valid JWT; only signed-in users carry role "authenticated" and a subject
+  if (payload.role !== 'authenticated' || !payload.sub) {
+    throw new AuthError('Please log in to continue.', `JWT role "${payload.role || 'none'}" is not an authenticated user.`);
+  }
+
+  return payload;
+};
+
+const getBearerToken = (req) => {
+  const header = req.headers?.authorization || req.headers?.Authorization;
+  if (!header || typeof header !== 'string') return null;
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+};
+
+// Resolve the caller from the Authorization header.
+// Returns { userId, anonymous: false } for a valid session, or { userId: null, anonymous: true }
+// when no token was sent and allowAnonymous is set. Throws AuthError otherwise.
+const authenticateRequest = (req, { allowAnonymous = false } = {}) => {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    if (allowAnonymous) return { userId: null, anonymous: true };
+    throw new AuthError('Please log in to continue.', 'Missing Authorization bearer token.');
+  }
+
+  const secret = process.env.SUPABASE_JWT_SECRET;
+  if (!secret) {
+    throw new AuthError('Authentication is not configured.', 'Missing SUPABASE_JWT_SECRET in environment.', 500);
+  }
+
+  const payload = verifySupabaseJwt(token, secret);
+  return { userId: payload.sub, anonymous: false };
+};
+
+const sendAuthError = (res, error) => {
+  console.error('[Auth] Rejected request:', error.details);
+  res.status(error.status).json({ error: error.userMessage, details: error.details });
+};
+
+module.exports = {
+  AuthError,
+  authenticateRequest,
+  sendAuthError,
+  verifySupabaseJwt
+};
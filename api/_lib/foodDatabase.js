@@ -0,0 +1,332 @@
+// Local food composition data (USDA FoodData Central subset in data/usda-foods.json).
+// Used to answer simple inputs ("banana", "2 eggs", "1 cup milk") without the LLM, with real
+// FDC IDs so the app can link to the exact record, and for /api/foods/search.
+
+const { foods } = require('./data/usda-foods.json');
+const { convertQuantity, parsePortion } = require('../../src/unitParsing');
+
+const WORD_NUMBERS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, half: 0.5
+};
+
+const GRAMS_PER_OZ = 28.3495;
+
+// Spellings users type for the portion units used in the data file
+const UNIT_SYNONYMS = {
+  cups: 'cup',
+  tablespoon: 'tbsp',
+  tablespoons: 'tbsp',
+  tbs: 'tbsp',
+  teaspoon: 'tsp',
+  teaspoons: 'tsp',
+  slices: 'slice',
+  glasses: 'glass',
+  mugs: 'mug',
+  pats: 'pat',
+  containers: 'container',
+  med: 'medium',
+  lg: 'large',
+  sm: 'small',
+  xl: 'extra large'
+};
+
+// "a bowl of my chili", "2 servings of lasagna": each of these is one serving of a saved recipe
+const SERVING_WORDS = new Set(['bowl', 'bowls', 'plate', 'plates', 'serving', 'servings', 'portion', 'portions', 'helping', 'helpings', 'slice', 'slices', 'piece', 'pieces']);
+const RECIPE_OWNER_WORDS = new Set(['my', 'our', 'the', 'homemade']);
+const RECIPE_PLACEHOLDER_PATTERN = /^__recipe_(\d+)__$/;
+
+const MASS_UNITS = {
+  g: 1, gram: 1, grams: 1,
+  oz: GRAMS_PER_OZ, ounce: GRAMS_PER_OZ, ounces: GRAMS_PER_OZ
+};
+
+// Same normalization as normalizeFoodName in the app, minus punctuation (decimals and fractions are kept)
+const normalizeText = (text) => String(text)
+  .toLowerCase()
+  .replace(/[^\w\s%'./-]/g, ' ')
+  .replace(/(?<!\d)[./]|[./](?!\d)/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const aliasIndex = new Map();
+foods.forEach(food => {
+  food.aliases.forEach(alias => aliasIndex.set(normalizeText(alias), food));
+});
+
+const getFoodById = (fdcId) => foods.find(food => food.fdcId === Number(fdcId)) || null;
+
+const round = (value) => Math.round(value);
+
+// micronutrients are the keys the caller tracks ('fiber', 'sodium', ...); items only carry those,
+// like the model's. Vitamins keep one decimal: a serving can have well under 1 µg of B12
+const nutritionForGrams = (food, grams, micronutrients = []) => ({
+  calories: round(food.per100g.calories * grams / 100),
+  protein: round(food.per100g.protein * grams / 100),
+  carbs: round(food.per100g.carbs * grams / 100),
+  fat: round(food.per100g.fat * grams / 100),
+  ...Object.fromEntries(micronutrients
+    .filter(key => typeof food.per100g[key] === 'number')
+    .map(key => [key, round(food.per100g[key] * grams / 100)])),
+  ...(food.per100g.vitamins && {
+    vitamins: Object.fromEntries(Object.entries(food.per100g.vitamins)
+      .map(([key, amount]) => [key, Math.round(amount * grams / 10) / 10]))
+  })
+});
+
+const findPortion = (food, unit) => food.portions.find(p => p.unit === unit) || null;
+
+const FRACTIONS = { 0.25: '1/4', 0.5: '1/2', 0.75: '3/4' };
+
+const formatQuantity = (quantity) => {
+  if (Number.isInteger(quantity)) return String(quantity);
+  return FRACTIONS[quantity] || String(Math.round(quantity * 100) / 100);
+};
+
+// Item name following the prompt's conventions: "🥚 2 Eggs", "🍌 Banana (50g)", "🥛 Whole Milk (2 cups)".
+// A count unit the user asked for that isn't the usual one is shown too: "🍌 2 Bananas (large)".
+const formatItemName = (food, quantity, unit, { isMass, explicitUnit }) => {
+  const prefix = food.emoji ? `${food.emoji} ` : '';
+  if (isMass) {
+    return `${prefix}${food.name} (${formatQuantity(quantity)}${unit === 'g' ? 'g' : ` ${unit}`})`;
+  }
+  const portion = findPortion(food, unit);
+  const plural = quantity > 1;
+  if (portion.count) {
+    const countName = `${quantity !== 1 ? `${formatQuantity(quantity)} ` : ''}${plural ? food.plural : food.name}`;
+    return `${prefix}${countName}${explicitUnit && unit !== food.defaultUnit ? ` (${unit})` : ''}`;
+  }
+  return `${prefix}${food.name} (${formatQuantity(quantity)} ${plural ? portion.plural : portion.unit})`;
+};
+
+const readQuantity = (token) => {
+  if (/^\d+(\.\d+)?$/.test(token)) return parseFloat(token);
+  const fraction = token.match(/^(\d+)\/(\d+)$/);
+  if (fraction && Number(fraction[2]) > 0) return Number(fraction[1]) / Number(fraction[2]);
+  return WORD_NUMBERS[token];
+};
+
+// Resolve one part like "2 large eggs", "50g banana", "a glass of milk" or "banana 120 g".
+// Returns null unless the whole part is understood.
+const resolvePart = (part, micronutrients) => {
+  let words = normalizeText(part).replace(/(\d)(g|oz)\b/g, '$1 $2').split(' ').filter(Boolean);
+  let quantity = null;
+  let unit = null;
+  let isMass = false;
+
+  const takeAmount = (list) => {
+    if (list.length === 0) return list;
+    const value = readQuantity(list[0]);
+    if (value === undefined) return list;
+    quantity = value;
+    list = list.slice(1);
+    // "half a banana", "one and a half" isn't supported
+    if (value === 0.5 && (list[0] === 'a' || list[0] === 'an')) list = list.slice(1);
+    return list;
+  };
+
+  const takeUnit = (list) => {
+    for (const length of [2, 1]) {
+      const candidate = list.slice(0, length).join(' ');
+      if (MASS_UNITS[candidate]) {
+        unit = candidate === 'g' || candidate.startsWith('gram') ? 'g' : 'oz';
+        isMass = true;
+        return list.slice(length);
+      }
+      const normalized = UNIT_SYNONYMS[candidate] || candidate;
+      if (list.length > length && foods.some(food => findPortion(food, normalized))) {
+        unit = normalized;
+        return list.slice(length);
+      }
+    }
+    return list;
+  };
+
+  words = takeAmount(words);
+  words = takeUnit(words);
+  if (words[0] === 'of') words = words.slice(1);
+
+  // Trailing amount: "banana 120 g"
+  let food = aliasIndex.get(words.join(' '));
+  if (!food && quantity === null && words.length >= 2) {
+    const tail = words.slice(-2);
+    const value = readQuantity(tail[0]);
+    if (value !== undefined && MASS_UNITS[tail[1]]) {
+      food = aliasIndex.get(words.slice(0, -2).join(' '));
+      quantity = value;
+      unit = tail[1] === 'g' || tail[1].startsWith('gram') ? 'g' : 'oz';
+      isMass = true;
+    }
+  }
+  if (!food) return null;
+
+  const explicitUnit = unit !== null;
+  if (!unit) {
+    // "10 almonds" means ten almonds, not ten of the default 1 oz serving
+    const defaultPortion = findPortion(food, food.defaultUnit);
+    const countPortion = food.portions.find(p => p.count);
+    unit = quantity !== null && !defaultPortion?.count && countPortion ? countPortion.unit : food.defaultUnit;
+  }
+  if (quantity === null) quantity = 1;
+  if (quantity <= 0) return null;
+
+  let grams;
+  if (isMass) {
+    grams = quantity * MASS_UNITS[unit];
+  } else {
+    const portion = findPortion(food, unit);
+    if (!portion) return null;
+    grams = quantity * portion.grams;
+  }
+
+  return {
+    item: formatItemName(food, quantity, unit, { isMass, explicitUnit }),
+    ...nutritionForGrams(food, grams, micronutrients),
+    source: 'USDA',
+    fdcId: food.fdcId,
+    error: false
+  };
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Matches a recipe name in free text regardless of case and punctuation: "Mac & Cheese" matches "mac & cheese"
+const getRecipePattern = (name) => {
+  const words = String(name).split(/[^\w']+/).filter(Boolean).map(escapeRegExp);
+  return words.length > 0 ? new RegExp(`\\b${words.join("[^\\w']+")}\\b`, 'gi') : null;
+};
+
+// Saved recipes whose name appears in the text (recipes come from sanitizeRecipes)
+const findMentionedRecipes = (text, recipes) => recipes.filter(recipe => {
+  const pattern = getRecipePattern(recipe.name);
+  return !!pattern && pattern.test(String(text));
+});
+
+// Resolve a part whose food is a saved recipe: "a bowl of my __recipe_0__", "half a serving of __recipe_1__"
+const resolveRecipePart = (part, recipes) => {
+  let words = normalizeText(part).split(' ').filter(Boolean);
+  const placeholder = words.length > 0 && words[words.length - 1].match(RECIPE_PLACEHOLDER_PATTERN);
+  if (!placeholder) return null;
+  const recipe = recipes[Number(placeholder[1])];
+  words = words.slice(0, -1);
+
+  let quantity = 1;
+  const value = words.length > 0 ? readQuantity(words[0]) : undefined;
+  if (value !== undefined) {
+    quantity = value;
+    words = words.slice(1);
+    if (value === 0.5 && (words[0] === 'a' || words[0] === 'an')) words = words.slice(1);
+  }
+  if (SERVING_WORDS.has(words[0])) words = words.slice(1);
+  if (words[0] === 'of') words = words.slice(1);
+  if (RECIPE_OWNER_WORDS.has(words[0])) words = words.slice(1);
+  if (!recipe || words.length > 0 || quantity <= 0) return null;
+
+  return {
+    item: `${recipe.name} (${formatQuantity(quantity)} serving${quantity > 1 ? 's' : ''})`,
+    calories: round(recipe.calories * quantity),
+    protein: round(recipe.protein * quantity),
+    carbs: round(recipe.carbs * quantity),
+    fat: round(recipe.fat * quantity),
+    source: 'my recipe',
+    ...(recipe.id ? { recipeId: recipe.id } : {}),
+    error: false
+  };
+};
+
+// Corrections are keyed by normalized item names ("🥚 2 eggs", "🍗 chicken breast (6 oz)"). One for exactly
+// this food is applied here, scaled to the amount asked for when the portions convert: "200g chicken
+// breast" uses the 6 oz correction. Any other correction that mentions the food wins over local data,
+// so the item is null and the input goes to the LLM, which gets the corrections in its prompt.
+const applyCorrection = (item, corrections) => {
+  const food = getFoodById(item.fdcId);
+  const names = [normalizeText(item.item.replace(/^[^\w]+/, '')), normalizeText(food.name), normalizeText(food.plural)];
+  const foodNames = new Set([food.name, food.plural, ...food.aliases].map(normalizeText));
+  const mentions = Object.entries(corrections || {}).filter(([key]) => {
+    const normalizedKey = normalizeText(key);
+    return names.some(n => normalizedKey.includes(n));
+  });
+  if (mentions.length === 0) return item;
+
+  const portion = parsePortion(item.item);
+  for (const [key, values] of mentions) {
+    const corrected = parsePortion(key);
+    if (!foodNames.has(normalizeText(corrected.food))) continue;
+    const amount = convertQuantity(portion.quantity, portion.unit, corrected.unit, food.name);
+    if (amount === null) continue;
+
+    const ratio = amount / corrected.quantity;
+    const { fdcId, ...rest } = item;
+    return {
+      ...rest,
+      calories: round(values.calories * ratio),
+      protein: round(values.protein * ratio),
+      carbs: round(values.carbs * ratio),
+      fat: round(values.fat * ratio),
+      source: 'user correction'
+    };
+  }
+  return null;
+};
+
+// Resolve a whole input from local data, or return null so the caller falls back to the LLM.
+// Every part has to be recognized - a half-resolved meal would silently drop foods. "with" isn't
+// split on, since "coffee with milk" means a splash, not a serving of each.
+// recipes are the caller's saved recipes mentioned in the text (per-serving values); their names are
+// swapped for placeholders first, since "mac & cheese" mustn't be split in two. Recipes only have
+// calories and macros, so while micronutrients are tracked they go to the LLM.
+const resolveFoodText = (text, { corrections, recipes = [], micronutrients = [] } = {}) => {
+  let protectedText = String(text);
+  recipes.forEach((recipe, index) => {
+    const pattern = getRecipePattern(recipe.name);
+    if (pattern) protectedText = protectedText.replace(pattern, ` __recipe_${index}__ `);
+  });
+
+  const parts = protectedText
+    .split(/,|\n|\+|&|\band\b/i)
+    .map(part => part.trim())
+    .filter(Boolean);
+  if (parts.length === 0 || parts.length > 5) return null;
+
+  const items = [];
+  for (const part of parts) {
+    const recipeItem = resolveRecipePart(part, recipes);
+    if (recipeItem && micronutrients.length > 0) return null;
+    let item = recipeItem || resolvePart(part, micronutrients);
+    if (item && item.fdcId) item = applyCorrection(item, corrections);
+    if (!item) return null;
+    items.push(item);
+  }
+  return items;
+};
+
+// Search by name for /api/foods/search: exact alias matches first, then foods containing every query word
+const searchFoods = (query, limit = 10) => {
+  const normalizedQuery = normalizeText(query);
+  if (!normalizedQuery) return [];
+  const queryWords = normalizedQuery.split(' ');
+
+  const scored = foods.map(food => {
+    const names = [...food.aliases, food.name, food.description].map(normalizeText);
+    let score = 0;
+    if (food.aliases.some(alias => normalizeText(alias) === normalizedQuery)) score = 100;
+    else if (names.some(n => n.startsWith(normalizedQuery))) score = 50;
+    else if (queryWords.every(word => names.some(n => n.split(' ').some(w => w.startsWith(word))))) score = 10;
+    return { food, score };
+  });
+
+  return scored
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || a.food.name.localeCompare(b.food.name))
+    .slice(0, limit)
+    .map(({ food }) => food);
+};
+
+module.exports = {
+  GRAMS_PER_OZ,
+  findMentionedRecipes,
+  getFoodById,
+  nutritionForGrams,
+  resolveFoodText,
+  searchFoods
+};
@@ -0,0 +1,31 @@
+/**
+ * @jest-environment node
+ */
+const { resolveFoodText } = require('./foodDatabase');
+
+const chili = { id: 'r1', name: 'chili', calories: 300, protein: 20, carbs: 30, fat: 10 };
+
+describe('resolveFoodText', () => {
+  test('scales the tracked micronutrients from the per-100 g data', () => {
+    const [banana] = resolveFoodText('a banana', { micronutrients: ['fiber', 'sodium', 'potassium'] });
+    expect(banana).toMatchObject({ item: '🍌 Banana', fiber: 3, sodium: 1, potassium: 422 });
+    expect(banana).not.toHaveProperty('sugars');
+  });
+
+  test('leaves micronutrients off items when none are tracked', () => {
+    const [eggs] = resolveFoodText('2 eggs');
+    expect(eggs).not.toHaveProperty('fiber');
+    expect(eggs).not.toHaveProperty('cholesterol');
+  });
+
+  test('keeps the micronutrients when a correction replaces the macros', () => {
+    const corrections = { banana: { calories: 120, protein: 1, carbs: 30, fat: 0 } };
+    const [banana] = resolveFoodText('a banana', { corrections, micronutrients: ['fiber'] });
+    expect(banana).toMatchObject({ calories: 120, fiber: 3, source: 'user correction' });
+  });
+
+  test('sends saved recipes to the model while micronutrients are tracked', () => {
+    expect(resolveFoodText('a bowl of my chili', { recipes: [chili] })).toHaveLength(1);
+    expect(resolveFoodText('a bowl of my chili', { recipes: [chili], micronutrients: ['fiber'] })).toBeNull();
+  });
+});
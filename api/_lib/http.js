@@ -0,0 +1,44 @@
+// Shared request helpers for the serverless API routes.
+// Files under api/_lib are not deployed as routes (Vercel skips "_" prefixed paths).
+
+const getJsonBody = async (req) => {
+  if (req.body && typeof req.body === 'object') return req.body;
+  if (typeof req.body === 'string' && req.body.length > 0) {
+    return JSON.parse(req.body);
+  }
+
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', (chunk) => {
+      data += chunk;
+    });
+    req.on('end', () => {
+      if (!data) {
+        resolve({});
+        return;
+      }
+      try {
+        resolve(JSON.parse(data));
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+};
+
+// Server-sent events: call startEventStream once, then sendEvent for each event, then res.end()
+const startEventStream = (res) => {
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Stop proxies (nginx, Vercel) from buffering the stream
+  res.setHeader('X-Accel-Buffering', 'no');
+  if (typeof res.flushHeaders === 'function') res.flushHeaders();
+};
+
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+module.exports = { getJsonBody, startEventStream, sendEvent };
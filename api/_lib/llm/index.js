@@ -0,0 +1,73 @@
+// LLM provider selection, driven by environment config:
+//
+//   LLM_PROVIDER=openai             (default) OPENAI_API_KEY, optional LLM_MODEL
+//   LLM_PROVIDER=openai-compatible  LLM_BASE_URL (e.g. http://localhost:11434/v1), LLM_MODEL, optional LLM_API_KEY,
+//                                   LLM_JSON_SCHEMA=1 if the server supports json_schema structured output,
+//                                   LLM_VISION=1 if the model accepts images (meal photos)
+//   LLM_PROVIDER=mock               deterministic offline responses, no key needed
+//
+// Every provider exposes { name, model, supportsJsonSchema, supportsVision, chatCompletion({ messages, maxTokens, stream, responseFormat }) }
+// and chatCompletion resolves to a fetch Response in the OpenAI chat-completions format.
+
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+const { createMockProvider } = require('./mock');
+
+const DEFAULT_OPENAI_MODEL = 'gpt-5-mini-2025-08-07';
+
+class LlmConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LlmConfigError';
+  }
+}
+
+let provider = null;
+
+const createProvider = () => {
+  const providerName = (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+
+  switch (providerName) {
+    case 'openai': {
+      if (!process.env.OPENAI_API_KEY) {
+        throw new LlmConfigError('Missing OPENAI_API_KEY in environment.');
+      }
+      return createOpenAICompatibleProvider({
+        name: 'openai',
+        baseUrl: 'https://api.openai.com/v1',
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.LLM_MODEL || DEFAULT_OPENAI_MODEL,
+        supportsJsonSchema: true,
+        supportsVision: true
+      });
+    }
+    case 'openai-compatible': {
+      if (!process.env.LLM_BASE_URL) {
+        throw new LlmConfigError('LLM_PROVIDER=openai-compatible requires LLM_BASE_URL (e.g. http://localhost:11434/v1).');
+      }
+      if (!process.env.LLM_MODEL) {
+        throw new LlmConfigError('LLM_PROVIDER=openai-compatible requires LLM_MODEL.');
+      }
+      return createOpenAICompatibleProvider({
+        name: 'openai-compatible',
+        baseUrl: process.env.LLM_BASE_URL,
+        apiKey: process.env.LLM_API_KEY,
+        model: process.env.LLM_MODEL,
+        tokenLimitParam: 'max_tokens',
+        supportsJsonSchema: ['1', 'true'].includes(process.env.LLM_JSON_SCHEMA),
+        supportsVision: ['1', 'true'].includes(process.env.LLM_VISION)
+      });
+    }
+    case 'mock':
+      return createMockProvider();
+    default:
+      throw new LlmConfigError(`Unknown LLM_PROVIDER "${providerName}". Use openai, openai-compatible or mock.`);
+  }
+};
+
+// Resolved once per process; throws LlmConfigError when the environment is incomplete
+const getLlmProvider = () => {
+  if (!provider) provider = createProvider();
+  return provider;
+};
+
+module.exports = { LlmConfigError, getLlmProvider };
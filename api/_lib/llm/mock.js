@@ -0,0 +1,372 @@
+// Deterministic mock provider: answers nutrition prompts without any network or API key.
+// Inputs listed in fixtures/nutrition.json get their recorded items; anything else gets made-up
+// items derived from the text, so the same input always produces the same answer.
+//
+// A "mock:<scenario>" marker anywhere in the food text simulates a failure instead:
+//   mock:refusal         model refuses (message.refusal)
+//   mock:length          empty content, finish_reason "length"
+//   mock:content_filter  empty content, finish_reason "content_filter"
+//   mock:empty           empty content, finish_reason "stop"
+//   mock:malformed       a JSON array that does not parse
+//   mock:no_json         prose with no JSON array
+//   mock:http_error      HTTP 500 with an OpenAI-style error body
+//   mock:bad=<name>      a recorded bad reply from fixtures/bad-responses.json
+//   mock:latency=<ms>    wait before answering (combines with the others)
+// Scenarios only apply to the first attempt; a repair retry gets a good answer unless
+// mock:sticky is also present. MOCK_LLM_LATENCY_MS adds a delay to every response.
+// When the request asks for json_schema output, good answers come back as { "items": [...] }, with
+// made-up values for any schema fields (micronutrients, vitamins, custom nutrients) the recorded or made-up items don't have.
+//
+// Meal photos: the images in fixtures/images/ get their recorded items from fixtures/images.json
+// (matched on the exact bytes, which the API passes through unchanged at that size). Other photos
+// get made-up items derived from the image. Markers work in the note sent with a photo.
+// Nutrition label requests are answered from fixtures/labels.json the same way; the meal photos
+// come back unreadable, and any other image gets a made-up label.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const nutritionFixtures = require('./fixtures/nutrition.json');
+const imageFixtures = require('./fixtures/images.json');
+const labelFixtures = require('./fixtures/labels.json');
+const badResponses = require('./fixtures/bad-responses.json');
+
+const IMAGE_FIXTURE_DIR = path.join(__dirname, 'fixtures', 'images');
+
+const MOCK_MODEL = 'mock-nutrition-1';
+
+const SCENARIOS = ['refusal', 'length', 'content_filter', 'empty', 'malformed', 'no_json', 'http_error', 'bad'];
+
+const PARSE_PROMPT_PATTERN = /^Parse "([\s\S]*?)"/;
+const PHOTO_PROMPT_PATTERN = /^Parse the attached meal photo/;
+const PHOTO_NOTE_PATTERN = /Note from the user: "([\s\S]*?)"/;
+const LABEL_PROMPT_PATTERN = /^Read the nutrition label/;
+
+// Message content is a string, or an array of text and image_url parts for photos
+const getMessageText = (content) => {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.filter(part => part?.type === 'text').map(part => part.text).join('\n');
+};
+
+const findParseMessageIndex = (messages) => {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const { role, content } = messages[i] || {};
+    const text = getMessageText(content);
+    if (role === 'user' && [PARSE_PROMPT_PATTERN, PHOTO_PROMPT_PATTERN, LABEL_PROMPT_PATTERN].some(p => p.test(text))) return i;
+  }
+  return -1;
+};
+
+// Pull the food description out of the parse prompt ('Parse "..." and return nutrition ...', or the
+// note sent with a photo), falling back to the last user message for free-form requests
+const getFoodText = (messages = []) => {
+  const parseIndex = findParseMessageIndex(messages);
+  if (parseIndex !== -1) {
+    const text = getMessageText(messages[parseIndex].content);
+    const match = text.match(PARSE_PROMPT_PATTERN) || text.match(PHOTO_NOTE_PATTERN);
+    return match ? match[1].trim() : '';
+  }
+
+  const lastUser = [...messages].reverse().find(m => m.role === 'user');
+  return getMessageText(lastUser?.content).trim();
+};
+
+const isLabelRequest = (messages = []) => {
+  const parseIndex = findParseMessageIndex(messages);
+  return parseIndex !== -1 && LABEL_PROMPT_PATTERN.test(getMessageText(messages[parseIndex].content));
+};
+
+// Data URL of the photo in the parse prompt, or null
+const getImageUrl = (messages = []) => {
+  const parseIndex = findParseMessageIndex(messages);
+  const content = parseIndex === -1 ? null : messages[parseIndex].content;
+  if (!Array.isArray(content)) return null;
+  return content.find(part => part?.type === 'image_url')?.image_url?.url || null;
+};
+
+// A repair retry repeats the parse prompt followed by the bad reply and the validation errors
+const isRepairRequest = (messages = []) => {
+  const parseIndex = findParseMessageIndex(messages);
+  return parseIndex !== -1 && parseIndex < messages.length - 1;
+};
+
+// Split "mock:..." markers out of the food text
+const parseScenario = (foodText) => {
+  let scenario = null;
+  let recordedName = null;
+  let sticky = false;
+  let latencyMs = parseInt(process.env.MOCK_LLM_LATENCY_MS, 10) || 0;
+
+  const cleanText = foodText.replace(/\bmock:([a-z_]+)(?:=([\w-]+))?/gi, (marker, name, value) => {
+    const key = name.toLowerCase();
+    if (key === 'latency') latencyMs += parseInt(value, 10) || 0;
+    else if (key === 'sticky') sticky = true;
+    else if (SCENARIOS.includes(key)) {
+      scenario = key;
+      if (key === 'bad') recordedName = value;
+    } else return marker;
+    return '';
+  }).replace(/[^\S\n]+/g, ' ').trim();
+
+  return { foodText: cleanText, scenario, recordedName, sticky, latencyMs };
+};
+
+const normalizeFixtureKey = (value) => value.toLowerCase().replace(/\s+/g, ' ').replace(/[.!?]+$/, '').trim();
+
+const findFixtureItems = (foodText) => nutritionFixtures[normalizeFixtureKey(foodText)] || null;
+
+// Small stable string hash (FNV-1a) so values are repeatable across runs
+const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+const titleCase = (value) => value.replace(/\b\w/g, ch => ch.toUpperCase());
+
+const hashImage = (dataUrl) => crypto
+  .createHash('sha256')
+  .update(Buffer.from(dataUrl.slice(dataUrl.indexOf(',') + 1), 'base64'))
+  .digest('hex');
+
+let imageFixtureHashes = null; // sha256 of the file -> file name in fixtures/images
+
+const findImageFixtureName = (imageHash) => {
+  if (!imageFixtureHashes) {
+    imageFixtureHashes = new Map();
+    fs.readdirSync(IMAGE_FIXTURE_DIR).forEach(name => {
+      const file = fs.readFileSync(path.join(IMAGE_FIXTURE_DIR, name));
+      imageFixtureHashes.set(crypto.createHash('sha256').update(file).digest('hex'), name);
+    });
+  }
+  return imageFixtureHashes.get(imageHash) || null;
+};
+
+const findImageFixtureItems = (imageHash) => imageFixtures[findImageFixtureName(imageHash)] || null;
+
+const UNREADABLE_LABEL = {
+  name: null, servingSize: null, servingGrams: null, servingsPerContainer: null,
+  calories: null, protein: null, carbs: null, fat: null, readable: false
+};
+
+const buildMockLabel = (imageHash) => {
+  const name = findImageFixtureName(imageHash);
+  if (labelFixtures[name]) return labelFixtures[name];
+  if (imageFixtures[name]) return UNREADABLE_LABEL;
+
+  const hash = parseInt(imageHash.slice(0, 8), 16);
+  const servingGrams = 20 + (hash % 60);
+  return {
+    name: null,
+    servingSize: `${servingGrams}g`,
+    servingGrams,
+    servingsPerContainer: 1 + ((hash >>> 8) % 12),
+    calories: 50 + ((hash >>> 4) % 300),
+    protein: (hash >>> 12) % 20,
+    carbs: (hash >>> 16) % 45,
+    fat: (hash >>> 20) % 18,
+    readable: true
+  };
+};
+
+const PHOTO_FOODS = ['rice', 'grilled chicken', 'pasta', 'salad', 'steak', 'roasted vegetables', 'bread roll', 'fries'];
+
+// Two made-up foods picked by the image hash, so the same photo always gives the same answer
+const buildMockPhotoItems = (imageHash) => {
+  const hash = parseInt(imageHash.slice(0, 8), 16);
+  const first = PHOTO_FOODS[hash % PHOTO_FOODS.length];
+  const second = PHOTO_FOODS[(hash >>> 8) % PHOTO_FOODS.length];
+  return buildMockItems(first === second ? first : `${first}, ${second}`);
+};
+
+const buildMockItems = (foodText) => {
+  const parts = foodText
+    .split(/,|\n|\+|\band\b|\bwith\b/i)
+    .map(part => part.trim())
+    .filter(Boolean);
+
+  return parts.map(part => {
+    const quantityMatch = part.match(/^(\d+(?:\.\d+)?)\s+(.*)$/);
+    const quantity = quantityMatch ? parseFloat(quantityMatch[1]) : 1;
+    const name = (quantityMatch ? quantityMatch[2] : part).replace(/^(a|an|some)\s+/i, '');
+    const hash = hashString(name.toLowerCase());
+    const baseCalories = 50 + (hash % 250);
+
+    return {
+      item: `${quantity !== 1 ? `${quantity} ` : ''}${titleCase(name)}`,
+      calories: Math.round(baseCalories * quantity),
+      protein: Math.round(((hash >>> 8) % 25) * quantity),
+      carbs: Math.round(((hash >>> 12) % 40) * quantity),
+      fat: Math.round(((hash >>> 16) % 20) * quantity),
+      source: 'Mock data'
+    };
+  });
+};
+
+// Item fields the json_schema asks for ({ field: schema }), besides the ones every item has
+const getSchemaFields = (responseFormat) => Object.fromEntries(Object.entries(responseFormat?.json_schema?.schema?.properties?.items?.items?.properties || {})
+  .filter(([field]) => !['item', 'calories', 'source'].includes(field)));
+
+// Numbers from the item name's hash; object fields (vitamins, custom) get one for each of their properties
+const mockValues = (fields, hash) => Object.fromEntries(Object.entries(fields).map(([field, schema], index) => [
+  field,
+  schema.type === 'object' ? mockValues(schema.properties, hash >>> 1) : (hash >>> (index * 3)) % 30
+]));
+
+const addSchemaFields = (items, fields) => items.map(item => {
+  const hash = hashString(String(item.item).toLowerCase());
+  const missing = Object.fromEntries(Object.entries(fields).filter(([field]) => !(field in item)));
+  return { ...item, ...mockValues(missing, hash) };
+});
+
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+// Images count as a flat 765 tokens, what OpenAI charges for a 1024 px image
+const IMAGE_TOKENS = 765;
+
+const buildUsage = (messages, content) => {
+  const imageCount = (messages || []).reduce((count, m) => count + (Array.isArray(m.content) ? m.content.filter(part => part?.type === 'image_url').length : 0), 0);
+  const promptTokens = estimateTokens((messages || []).map(m => getMessageText(m.content)).join('\n')) + imageCount * IMAGE_TOKENS;
+  const completionTokens = estimateTokens(content || '');
+  return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+};
+
+const buildCompletion = ({ content, refusal = null, finishReason = 'stop', usage, model = MOCK_MODEL }) => ({
+  id: `chatcmpl-mock-${hashString(content || refusal || '')}`,
+  object: 'chat.completion',
+  created: Math.floor(Date.now() / 1000),
+  model,
+  choices: [{
+    index: 0,
+    message: { role: 'assistant', content, refusal },
+    finish_reason: finishReason
+  }],
+  usage
+});
+
+// SSE chunks ("data: ...\n\n") for a completion, split into small content deltas like a real stream
+const buildStreamChunks = (completion, chunkSize = 24) => {
+  const choice = completion.choices[0];
+  const content = choice.message.content || '';
+  const base = { id: completion.id, object: 'chat.completion.chunk', created: completion.created, model: completion.model };
+  const chunks = [];
+
+  if (choice.message.refusal) {
+    chunks.push({ ...base, choices: [{ index: 0, delta: { role: 'assistant', refusal: choice.message.refusal }, finish_reason: null }] });
+  }
+  for (let i = 0; i < content.length; i += chunkSize) {
+    chunks.push({ ...base, choices: [{ index: 0, delta: { content: content.slice(i, i + chunkSize) }, finish_reason: null }] });
+  }
+  chunks.push({ ...base, choices: [{ index: 0, delta: {}, finish_reason: choice.finish_reason }] });
+  if (completion.usage) chunks.push({ ...base, choices: [], usage: completion.usage });
+
+  return [...chunks.map(chunk => `data: ${JSON.stringify(chunk)}\n\n`), 'data: [DONE]\n\n'];
+};
+
+// Wraps a completion in a fetch Response, streamed or not
+const toResponse = (completion, { stream = false, status = 200 } = {}) => {
+  if (!stream) {
+    return new Response(JSON.stringify(completion), { status, headers: { 'Content-Type': 'application/json' } });
+  }
+  const encoder = new TextEncoder();
+  const chunks = buildStreamChunks(completion);
+  const body = new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+      controller.close();
+    }
+  });
+  return new Response(body, { status, headers: { 'Content-Type': 'text/event-stream' } });
+};
+
+const buildScenarioCompletion = (scenario, messages, items, { recordedName, structured }) => {
+  const completionFor = (content, extra = {}) => buildCompletion({ content, usage: buildUsage(messages, content), ...extra });
+
+  switch (scenario) {
+    case 'refusal':
+      return completionFor(null, { refusal: "I'm sorry, but I can't help with that request." });
+    case 'length':
+      return completionFor('', { finishReason: 'length' });
+    case 'content_filter':
+      return completionFor('', { finishReason: 'content_filter' });
+    case 'empty':
+      return completionFor('');
+    case 'malformed':
+      // Unquoted keys and a trailing comma: looks like an array but JSON.parse rejects it
+      return completionFor(`[${items.map(item => `{item: "${item.item}", calories: ${item.calories},}`).join(', ')}]`);
+    case 'no_json':
+      return completionFor('Could you tell me more about the portion sizes before I estimate this?');
+    case 'bad': {
+      const recorded = badResponses[recordedName];
+      if (!recorded) {
+        return completionFor(`Unknown recorded response "${recordedName}". Known: ${Object.keys(badResponses).join(', ')}`);
+      }
+      return completionFor(recorded.content);
+    }
+    default:
+      return completionFor(JSON.stringify(structured ? { items } : items));
+  }
+};
+
+// Everything needed to answer one chat-completions request: { status, completion, latencyMs }.
+// For http_error the completion is an OpenAI-style { error } body.
+const buildMockResult = (messages, { responseFormat } = {}) => {
+  const { foodText, scenario: requestedScenario, recordedName, sticky, latencyMs } = parseScenario(getFoodText(messages));
+  const scenario = isRepairRequest(messages) && !sticky ? null : requestedScenario;
+
+  if (scenario === 'http_error') {
+    return {
+      status: 500,
+      completion: { error: { message: 'Mock server error (mock:http_error).', type: 'server_error', code: null } },
+      latencyMs
+    };
+  }
+
+  const imageUrl = getImageUrl(messages);
+  const imageHash = imageUrl && hashImage(imageUrl);
+  if (imageHash && isLabelRequest(messages)) {
+    const content = JSON.stringify(buildMockLabel(imageHash));
+    return { status: 200, completion: buildCompletion({ content, usage: buildUsage(messages, content) }), latencyMs };
+  }
+
+  const structured = responseFormat?.type === 'json_schema';
+  const items = addSchemaFields(imageHash
+    ? findImageFixtureItems(imageHash) || buildMockPhotoItems(imageHash)
+    : findFixtureItems(foodText) || buildMockItems(foodText), structured ? getSchemaFields(responseFormat) : {});
+  return { status: 200, completion: buildScenarioCompletion(scenario, messages, items, { recordedName, structured }), latencyMs };
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const createMockProvider = () => ({
+  name: 'mock',
+  model: MOCK_MODEL,
+  supportsJsonSchema: true,
+  supportsVision: true,
+  chatCompletion: async ({ messages, stream = false, responseFormat }) => {
+    const { status, completion, latencyMs } = buildMockResult(messages, { responseFormat });
+    if (latencyMs) await sleep(latencyMs);
+    return toResponse(completion, { stream: stream && status === 200, status });
+  }
+});
+
+module.exports = {
+  MOCK_MODEL,
+  SCENARIOS,
+  createMockProvider,
+  buildMockResult,
+  getFoodText,
+  getImageUrl,
+  isRepairRequest,
+  parseScenario,
+  buildMockItems,
+  buildUsage,
+  buildCompletion,
+  buildStreamChunks,
+  toResponse,
+  sleep
+};
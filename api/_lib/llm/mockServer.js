@@ -0,0 +1,58 @@
+// Mock chat-completions endpoint for offline development and the test scripts.
+// server.js mounts it at /mock-llm/v1/chat/completions when MOCK_LLM=1; point any
+// OpenAI-compatible client at http://localhost:3001/mock-llm/v1 to use it.
+// Answers come from mock.js (fixtures plus the "mock:<scenario>" markers described there).
+
+const { getJsonBody } = require('../http');
+const { buildMockResult, buildStreamChunks, sleep } = require('./mock');
+
+// Delay between streamed chunks so clients see a real trickle of content
+const CHUNK_DELAY_MS = parseInt(process.env.MOCK_LLM_CHUNK_DELAY_MS, 10) || 20;
+
+const mockChatCompletionsHandler = async (req, res) => {
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: { message: 'Method not allowed', type: 'invalid_request_error' } });
+    return;
+  }
+
+  let body;
+  try {
+    body = await getJsonBody(req);
+  } catch (error) {
+    res.status(400).json({ error: { message: `Request body is not valid JSON: ${error.message}`, type: 'invalid_request_error' } });
+    return;
+  }
+
+  if (!Array.isArray(body.messages) || body.messages.length === 0) {
+    res.status(400).json({ error: { message: '"messages" must be a non-empty array.', type: 'invalid_request_error' } });
+    return;
+  }
+
+  const { status, completion, latencyMs } = buildMockResult(body.messages, { responseFormat: body.response_format });
+  if (body.model && completion.model) completion.model = body.model;
+
+  console.log('[Mock LLM] Request:', {
+    stream: !!body.stream,
+    status,
+    finish_reason: completion.choices?.[0]?.finish_reason,
+    latency_ms: latencyMs
+  });
+
+  if (latencyMs) await sleep(latencyMs);
+
+  if (!body.stream || status !== 200) {
+    res.status(status).json(completion);
+    return;
+  }
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache');
+  for (const chunk of buildStreamChunks(completion)) {
+    res.write(chunk);
+    await sleep(CHUNK_DELAY_MS);
+  }
+  res.end();
+};
+
+module.exports = { mockChatCompletionsHandler };
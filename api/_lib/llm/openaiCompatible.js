@@ -0,0 +1,34 @@
+// Provider for OpenAI and any server speaking the OpenAI chat-completions API
+// (llama.cpp's llama-server, Ollama, vLLM, LM Studio, ...).
+
+// supportsJsonSchema: whether the server honours response_format { type: 'json_schema' }
+// supportsVision: whether the model accepts image_url content parts (meal photos)
+const createOpenAICompatibleProvider = ({ name, baseUrl, apiKey, model, tokenLimitParam = 'max_completion_tokens', supportsJsonSchema = false, supportsVision = false }) => ({
+  name,
+  model,
+  supportsJsonSchema,
+  supportsVision,
+
+  // Returns the fetch Response from POST {baseUrl}/chat/completions.
+  // responseFormat is only sent when the provider supports it.
+  chatCompletion: ({ messages, maxTokens, stream = false, responseFormat }) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+    return fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model,
+        messages,
+        // OpenAI's newer models only accept max_completion_tokens; most local servers only know max_tokens
+        ...(maxTokens ? { [tokenLimitParam]: maxTokens } : {}),
+        ...(responseFormat && supportsJsonSchema ? { response_format: responseFormat } : {}),
+        // Usage arrives in the final chunk of a stream, which we need for the daily token quota
+        ...(stream ? { stream: true, stream_options: { include_usage: true } } : {})
+      })
+    });
+  }
+});
+
+module.exports = { createOpenAICompatibleProvider };
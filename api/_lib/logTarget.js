@@ -0,0 +1,140 @@
+// When the user says they ate something: "yesterday I had a burrito for dinner", "at 7am oatmeal".
+// The phrases are taken out of the text before it goes to the local data, the cache and the model,
+// and come back as the entry's target { date, time, meal } for the confirmation card to pre-fill.
+// Meals are the app's (src/meals.js); times are 24-hour "HH:MM".
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7 };
+
+const MEAL_WORDS = {
+  breakfast: 'breakfast',
+  brunch: 'breakfast',
+  lunch: 'lunch',
+  dinner: 'dinner',
+  supper: 'dinner',
+  snack: 'snacks',
+  snacks: 'snacks'
+};
+
+const WEEKDAY = `(${WEEKDAYS.join('|')})`;
+
+// Days back to the weekday: "monday" is the latest one up to today, "last monday" the latest before it
+const weekdayDays = (today, weekday, qualifier = '') => {
+  const back = (today.getUTCDay() - WEEKDAYS.indexOf(weekday.toLowerCase()) + 7) % 7;
+  return -(back === 0 && qualifier.toLowerCase() === 'last' ? 7 : back);
+};
+
+// Phrases that set a day and sometimes a meal; the first one found wins
+const DAY_PHRASES = [
+  { pattern: /\b(?:the\s+)?day\s+before\s+yesterday\b/i, days: () => -2 },
+  { pattern: /\blast\s+night\b/i, days: () => -1, meal: 'dinner' },
+  { pattern: /\byesterday(?:\s+(morning|afternoon|evening|night))?\b/i, days: () => -1, partOfDay: 1 },
+  { pattern: /\bthis\s+(morning|afternoon|evening)\b/i, days: () => 0, partOfDay: 1 },
+  { pattern: /\btonight\b/i, days: () => 0, meal: 'dinner' },
+  { pattern: /\btoday\b(?!')/i, days: () => 0 },
+  { pattern: /\btomorrow\b/i, days: () => 1 },
+  { pattern: /\b(\d{1,2}|an?|one|two|three|four|five|six|seven)\s+days?\s+ago\b/i, days: (match) => -(NUMBER_WORDS[match[1].toLowerCase()] || parseInt(match[1], 10)) },
+  // A weekday only counts with "on" or "last" before it, or standing apart from the food at either
+  // end ("monday, eggs", "Monday I had eggs", "eggs monday"), so "sunday roast" stays a food
+  { pattern: new RegExp(`\\b(on|last)\\s+${WEEKDAY}\\b`, 'i'), days: (match, today) => weekdayDays(today, match[2], match[1]) },
+  { pattern: new RegExp(`^\\s*${WEEKDAY}(?:\\s*[,:;-]|(?=\\s+(?:i|i've|had|ate)\\b))`, 'i'), days: (match, today) => weekdayDays(today, match[1]) },
+  { pattern: new RegExp(`\\b${WEEKDAY}\\s*[.!]?\\s*$`, 'i'), days: (match, today) => weekdayDays(today, match[1]) }
+];
+
+const PART_OF_DAY_MEALS = { morning: 'breakfast', evening: 'dinner', night: 'dinner' };
+
+// "7am", "at 7:30 pm", "around 12 p.m." / "at 19:30" (24-hour needs the minutes) / "at noon"
+const TIME_PATTERNS = [
+  {
+    pattern: /(?:\b(?:at|around|about)\s+)?\b(\d{1,2})(?::([0-5]\d))?\s*([ap])\.?m\b\.?/i,
+    time: (match) => {
+      const hours = parseInt(match[1], 10);
+      if (hours < 1 || hours > 12) return null;
+      return { hours: (hours % 12) + (match[3].toLowerCase() === 'p' ? 12 : 0), minutes: parseInt(match[2] || '0', 10) };
+    }
+  },
+  {
+    pattern: /\b(?:at|around|about)\s+([01]?\d|2[0-3]):([0-5]\d)\b/i,
+    time: (match) => ({ hours: parseInt(match[1], 10), minutes: parseInt(match[2], 10) })
+  },
+  {
+    pattern: /\b(?:at|around|about)\s+(noon|midnight)\b/i,
+    time: (match) => ({ hours: match[1].toLowerCase() === 'noon' ? 12 : 0, minutes: 0 })
+  }
+];
+
+// "for dinner", "as a snack"; not "with", since "pasta with dinner rolls" isn't a meal
+const MEAL_PATTERN = new RegExp(`\\b(?:for|at|as|during)\\s+(?:an?\\s+|my\\s+)?(?:(?:afternoon|late\\s+night|midnight)\\s+)?(${Object.keys(MEAL_WORDS).join('|')})\\b`, 'i');
+
+// "I had", "I ate", ... left at the start once the time is gone ("yesterday I had a burrito")
+const LEAD_IN_PATTERN = /^(?:i\s+(?:just\s+)?(?:had|ate|have\s+had)|i've\s+had|had|ate)\b\s*/i;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// "YYYY-MM-DD" from the app (the user's local date), or the server's UTC date
+const readToday = (today) => {
+  const match = typeof today === 'string' && today.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (match) return new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+};
+
+const addDays = (date, days) => {
+  const shifted = new Date(date.getTime());
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return `${shifted.getUTCFullYear()}-${pad(shifted.getUTCMonth() + 1)}-${pad(shifted.getUTCDate())}`;
+};
+
+// Returns { text, target }: text with the phrases taken out, and target { date, time, meal } (each
+// null when not said), or null when the text says nothing about when. Text that is nothing but
+// such phrases is left alone.
+const extractLogTarget = (text, today) => {
+  let remaining = ` ${text} `;
+  const target = { date: null, time: null, meal: null };
+  const take = (match) => {
+    remaining = `${remaining.slice(0, match.index)} ${remaining.slice(match.index + match[0].length)}`;
+  };
+
+  for (const { pattern, time } of TIME_PATTERNS) {
+    const match = remaining.match(pattern);
+    const parsed = match && time(match);
+    if (!parsed) continue;
+    target.time = `${pad(parsed.hours)}:${pad(parsed.minutes)}`;
+    take(match);
+    break;
+  }
+
+  const mealMatch = remaining.match(MEAL_PATTERN);
+  if (mealMatch) {
+    target.meal = MEAL_WORDS[mealMatch[1].toLowerCase()];
+    take(mealMatch);
+  }
+
+  // Last, so a weekday at the end is found after "for lunch" or "at 7am" has gone ("eggs monday for lunch");
+  // a meal said outright beats the one a phrase implies
+  const todayDate = readToday(today);
+  for (const phrase of DAY_PHRASES) {
+    const match = remaining.match(phrase.pattern);
+    if (!match) continue;
+    target.date = addDays(todayDate, phrase.days(match, todayDate));
+    target.meal = target.meal || phrase.meal || (phrase.partOfDay && PART_OF_DAY_MEALS[(match[phrase.partOfDay] || '').toLowerCase()]) || null;
+    take(match);
+    break;
+  }
+
+  if (!target.date && !target.time && !target.meal) return { text, target: null };
+
+  const cleaned = remaining
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([,.!?])/g, '$1')
+    .trim()
+    .replace(/^[,.;:\s-]+|[,;:\s-]+$/g, '')
+    .replace(/^(?:and|then)\s+|\s+(?:and|then)$/gi, '')
+    .replace(LEAD_IN_PATTERN, '')
+    .trim();
+  return { text: /[a-z0-9]/i.test(cleaned) ? cleaned : text, target };
+};
+
+module.exports = {
+  extractLogTarget
+};
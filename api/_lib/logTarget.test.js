@@ -0,0 +1,48 @@
+/**
+ * @jest-environment node
+ */
+const { extractLogTarget } = require('./logTarget');
+
+// A Monday
+const TODAY = '2026-10-19';
+
+describe('extractLogTarget', () => {
+  test.each([
+    ['yesterday I had a burrito for dinner', 'a burrito', { date: '2026-10-18', time: null, meal: 'dinner' }],
+    ['at 7am oatmeal', 'oatmeal', { date: null, time: '07:00', meal: null }],
+    ['last night pizza', 'pizza', { date: '2026-10-18', time: null, meal: 'dinner' }],
+    ['eggs and toast this morning at 7:30 am', 'eggs and toast', { date: '2026-10-19', time: '07:30', meal: 'breakfast' }],
+    ['2 days ago a salad at noon', 'a salad', { date: '2026-10-17', time: '12:00', meal: null }],
+    ['chips as a snack', 'chips', { date: null, time: null, meal: 'snacks' }],
+    ['pizza for lunch last night', 'pizza', { date: '2026-10-18', time: null, meal: 'lunch' }]
+  ])('%s', (input, text, target) => {
+    expect(extractLogTarget(input, TODAY)).toEqual({ text, target });
+  });
+
+  describe('weekdays', () => {
+    test.each([
+      ['wings on friday', 'wings', '2026-10-16'],
+      ['wings last monday', 'wings', '2026-10-12'],
+      ['monday, wings', 'wings', '2026-10-19'],
+      ['Saturday I had wings', 'wings', '2026-10-17'],
+      ['wings saturday', 'wings', '2026-10-17'],
+      ['wings tuesday for lunch', 'wings', '2026-10-13']
+    ])('%s', (input, text, date) => {
+      const { text: cleaned, target } = extractLogTarget(input, TODAY);
+      expect(cleaned).toBe(text);
+      expect(target.date).toBe(date);
+    });
+
+    test.each(['sunday roast', 'Monday night football wings', 'a sunday roast with gravy'])('%s is a food', (input) => {
+      expect(extractLogTarget(input, TODAY)).toEqual({ text: input, target: null });
+    });
+  });
+
+  test.each(['pasta with dinner rolls', 'a 2 egg omelette', "today's special"])('%s says nothing about when', (input) => {
+    expect(extractLogTarget(input, TODAY)).toEqual({ text: input, target: null });
+  });
+
+  test('text that is nothing but a time is left alone', () => {
+    expect(extractLogTarget('yesterday', TODAY)).toEqual({ text: 'yesterday', target: { date: '2026-10-18', time: null, meal: null } });
+  });
+});
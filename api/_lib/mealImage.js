@@ -0,0 +1,94 @@
+// Meal photos for /api/nutrition/parse (and label photos for /api/nutrition/label): decode the data
+// URL the app sends, enforce size limits and downscale before the image goes to the vision model.
+// Vision models don't gain accuracy on a plate of food past ~1024 px, while upload size and image
+// tokens keep growing; labels get more pixels so the small print stays legible.
+
+const sharp = require('sharp');
+
+// Vercel rejects request bodies over 4.5 MB, and base64 adds a third; the app downscales before
+// uploading, so real photos arrive far below this
+const MAX_IMAGE_BYTES = 3 * 1024 * 1024;
+const MAX_IMAGE_PIXELS = 40 * 1000 * 1000;
+const MAX_IMAGE_DIMENSION = 1024;
+const MAX_LABEL_IMAGE_DIMENSION = 1600;
+const PASSTHROUGH_MAX_BYTES = 512 * 1024;
+const JPEG_QUALITY = 80;
+
+const SUPPORTED_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+const MODEL_FORMATS = ['jpeg', 'png', 'webp'];
+
+const DATA_URL_PATTERN = /^data:(image\/[\w.+-]+);base64,([A-Za-z0-9+/=\s]+)$/;
+
+class MealImageError extends Error {
+  constructor(userMessage, details, status = 400) {
+    super(details);
+    this.name = 'MealImageError';
+    this.userMessage = userMessage;
+    this.details = details;
+    this.status = status;
+  }
+}
+
+const decodeDataUrl = (dataUrl) => {
+  const match = typeof dataUrl === 'string' ? dataUrl.match(DATA_URL_PATTERN) : null;
+  if (!match) {
+    throw new MealImageError('That photo could not be read. Try a JPEG or PNG.', '"image" must be a base64 data URL (data:image/...;base64,...).');
+  }
+  return Buffer.from(match[2], 'base64');
+};
+
+// Returns { dataUrl, width, height, bytes, resized } ready to send to the model.
+// Small JPEG/PNG/WebP images within the dimension limit are passed through untouched.
+const prepareMealImage = async (dataUrl, { maxDimension = MAX_IMAGE_DIMENSION } = {}) => {
+  const buffer = decodeDataUrl(dataUrl);
+  if (buffer.length > MAX_IMAGE_BYTES) {
+    throw new MealImageError(
+      'That photo is too large. Try a smaller one.',
+      `Image is ${(buffer.length / 1024 / 1024).toFixed(1)} MB; the limit is ${MAX_IMAGE_BYTES / 1024 / 1024} MB.`,
+      413
+    );
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_IMAGE_PIXELS }).metadata();
+  } catch (error) {
+    throw new MealImageError('That photo could not be read. Try a JPEG or PNG.', `Could not decode image: ${error.message}`);
+  }
+  if (!SUPPORTED_FORMATS.includes(metadata.format)) {
+    throw new MealImageError('That photo format isn\'t supported. Try a JPEG or PNG.', `Unsupported image format "${metadata.format}".`);
+  }
+  if (metadata.width * metadata.height > MAX_IMAGE_PIXELS) {
+    throw new MealImageError('That photo is too large. Try a smaller one.', `Image is ${metadata.width}x${metadata.height}.`, 413);
+  }
+
+  const fits = Math.max(metadata.width, metadata.height) <= maxDimension;
+  const upright = !metadata.orientation || metadata.orientation === 1;
+  if (fits && upright && MODEL_FORMATS.includes(metadata.format) && buffer.length <= PASSTHROUGH_MAX_BYTES) {
+    return {
+      dataUrl: `data:image/${metadata.format};base64,${buffer.toString('base64')}`,
+      width: metadata.width,
+      height: metadata.height,
+      bytes: buffer.length,
+      resized: false
+    };
+  }
+
+  // rotate() applies the EXIF orientation from phone cameras; the output drops the metadata
+  const { data, info } = await sharp(buffer, { limitInputPixels: MAX_IMAGE_PIXELS })
+    .rotate()
+    .resize({ width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: JPEG_QUALITY })
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    dataUrl: `data:image/jpeg;base64,${data.toString('base64')}`,
+    width: info.width,
+    height: info.height,
+    bytes: data.length,
+    resized: true
+  };
+};
+
+module.exports = { MAX_IMAGE_BYTES, MAX_IMAGE_DIMENSION, MAX_LABEL_IMAGE_DIMENSION, MealImageError, decodeDataUrl, prepareMealImage };
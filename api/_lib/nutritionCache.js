@@ -0,0 +1,156 @@
+// Cache of parsed nutrition items, so logging the same breakfast every day skips the LLM.
+//
+// Entries are scoped to the caller (user id, or IP for anonymous callers) and keyed by the
+// normalized input, the enabled macros, the portion units, the prompt version, the model and a
+// fingerprint of the corrections (and any saved recipes) sent with the prompt - saving or changing
+// a correction or recipe therefore misses the cache.
+// Pick the store with NUTRITION_CACHE_STORE=memory|supabase|off; it defaults to supabase when
+// SUPABASE_SERVICE_ROLE_KEY is set, memory otherwise. NUTRITION_CACHE_TTL_HOURS sets the TTL.
+
+const crypto = require('crypto');
+const { getSupabaseAdmin } = require('./supabaseAdmin');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_TTL_HOURS = 24 * 7;
+const MAX_MEMORY_ENTRIES = 5000;
+
+// Inputs that lean on the conversation ("make that 3", "same again") depend on chat history,
+// which isn't part of the key, so they are never cached
+const FOLLOW_UP_PATTERN = /\b(that|those|this|it|them|same|another|instead|actually|also|again|more|less|change|make it)\b/i;
+
+const getTtlMs = () => {
+  const hours = parseFloat(process.env.NUTRITION_CACHE_TTL_HOURS);
+  return (Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_TTL_HOURS) * HOUR_MS;
+};
+
+// Same normalization as normalizeFoodName in the app
+const normalizeInput = (text) => text.toLowerCase().trim().replace(/\s+/g, ' ');
+
+const fingerprint = (value) => crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+
+// In-memory store for local development; on serverless hosts each instance has its own copy
+const createMemoryCache = () => {
+  const entries = new Map(); // key -> { items, expiresAt }
+
+  return {
+    name: 'memory',
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.items;
+    },
+    async set(key, subject, items, expiresAt) {
+      // Maps iterate in insertion order, so this drops the oldest entry
+      if (entries.size >= MAX_MEMORY_ENTRIES) entries.delete(entries.keys().next().value);
+      entries.set(key, { items, expiresAt });
+    }
+  };
+};
+
+// Supabase-backed store (see supabase_nutrition_cache_migration.sql)
+const createSupabaseCache = (client) => ({
+  name: 'supabase',
+  async get(key) {
+    const { data, error } = await client
+      .from('nutrition_cache')
+      .select('items, expires_at')
+      .eq('key', key)
+      .maybeSingle();
+    if (error) throw new Error(`Reading nutrition cache failed: ${error.message}`);
+    if (!data || new Date(data.expires_at).getTime() <= Date.now()) return null;
+    return data.items;
+  },
+  async set(key, subject, items, expiresAt) {
+    const { error } = await client.from('nutrition_cache').upsert({
+      key,
+      subject,
+      items,
+      expires_at: new Date(expiresAt).toISOString()
+    });
+    if (error) throw new Error(`Writing nutrition cache failed: ${error.message}`);
+
+    // Occasionally clear out expired entries so the table doesn't grow forever
+    if (Math.random() < 0.01) {
+      client.from('nutrition_cache').delete().lt('expires_at', new Date().toISOString())
+        .then(({ error: cleanupError }) => {
+          if (cleanupError) console.error('[NutritionCache] Cleanup failed:', cleanupError.message);
+        });
+    }
+  }
+});
+
+let cache;
+
+// Returns null when caching is turned off
+const getCache = () => {
+  if (cache !== undefined) return cache;
+
+  const configured = process.env.NUTRITION_CACHE_STORE || (process.env.SUPABASE_SERVICE_ROLE_KEY ? 'supabase' : 'memory');
+  if (configured === 'off') {
+    cache = null;
+    return cache;
+  }
+  if (configured === 'supabase') {
+    const client = getSupabaseAdmin();
+    if (client) {
+      cache = createSupabaseCache(client);
+      return cache;
+    }
+    console.warn('[NutritionCache] NUTRITION_CACHE_STORE=supabase but SUPABASE_URL / SUPABASE_SERVICE_ROLE_KEY are missing; using memory store.');
+  }
+  cache = createMemoryCache();
+  return cache;
+};
+
+// Cache key for a parse request, or null when the request shouldn't be cached.
+// macroToggles, corrections and customNutrients must already be sanitized the way the prompt uses them.
+const getNutritionCacheKey = ({ subject, text, macroToggles, corrections, recipes = [], customNutrients = [], units = 'us', promptVersion, model }) => {
+  if (!getCache() || FOLLOW_UP_PATTERN.test(text)) return null;
+
+  return fingerprint({
+    subject,
+    text: normalizeInput(text),
+    macros: Object.keys(macroToggles).filter(m => macroToggles[m]).sort(),
+    corrections: fingerprint(corrections),
+    // Only present when the prompt carried saved recipes, so other keys are unchanged
+    ...(recipes.length > 0 ? { recipes: fingerprint(recipes) } : {}),
+    ...(customNutrients.length > 0 ? { customNutrients: fingerprint(customNutrients) } : {}),
+    units,
+    promptVersion,
+    model
+  });
+};
+
+// Cache failures are logged and treated as a miss rather than failing the request
+const getCachedItems = async (key) => {
+  if (!key) return null;
+  try {
+    const items = await getCache().get(key);
+    return Array.isArray(items) ? items : null;
+  } catch (error) {
+    console.error('[NutritionCache] Lookup failed:', error.message);
+    return null;
+  }
+};
+
+const setCachedItems = async (key, subject, items) => {
+  // Don't keep results with failed items; the user will likely retry or correct them
+  if (!key || items.length === 0 || items.some(item => item.error)) return;
+  try {
+    await getCache().set(key, subject, items, Date.now() + getTtlMs());
+  } catch (error) {
+    console.error('[NutritionCache] Store failed:', error.message);
+  }
+};
+
+module.exports = {
+  createMemoryCache,
+  createSupabaseCache,
+  getNutritionCacheKey,
+  getCachedItems,
+  setCachedItems
+};
@@ -0,0 +1,120 @@
+// Reading a Nutrition Facts panel from a photo with the vision model, for custom foods.
+// The model transcribes the label; nothing is estimated, so unreadable fields come back null.
+
+const { NutritionParseError, findClosingBracket, readNumber } = require('./nutritionResponse');
+
+const MAX_LABEL_COMPLETION_TOKENS = 1000;
+
+const LABEL_FIELDS = ['calories', 'protein', 'carbs', 'fat'];
+
+const LABEL_SYSTEM_PROMPT = `You read nutrition labels from photos: US Nutrition Facts panels, and nutrition information tables from other countries.
+
+Copy the numbers printed on the label. Do not estimate or look anything up.
+- name: the product name if it is visible on the package, otherwise null
+- servingSize: the serving size exactly as printed, e.g. "2/3 cup (55g)"
+- servingGrams: the serving size in grams (or ml for drinks) if printed, otherwise null
+- servingsPerContainer: a number, otherwise null ("about 8" is 8)
+- calories, protein, carbs, fat: per serving. Carbs are total carbohydrate; protein, carbs and fat are in grams
+- If the label only lists values per 100 g or 100 ml, use those and set servingSize to "100 g" (or "100 ml") and servingGrams to 100
+- Energy in kJ only: convert to kcal (divide by 4.184)
+- readable: false if there is no nutrition label in the photo or the numbers can't be read, with every other field null
+
+Return only JSON: {"name":"Granola","servingSize":"2/3 cup (55g)","servingGrams":55,"servingsPerContainer":8,"calories":230,"protein":5,"carbs":37,"fat":8,"readable":true}`;
+
+const LABEL_USER_PROMPT = 'Read the nutrition label in the attached photo.';
+
+const nullable = (type) => ({ type: [type, 'null'] });
+
+// Strict json_schema for providers with structured output
+const buildLabelResponseFormat = () => {
+  const properties = {
+    name: nullable('string'),
+    servingSize: nullable('string'),
+    servingGrams: nullable('number'),
+    servingsPerContainer: nullable('number'),
+    ...Object.fromEntries(LABEL_FIELDS.map(field => [field, nullable('number')])),
+    readable: { type: 'boolean' }
+  };
+  return {
+    type: 'json_schema',
+    json_schema: {
+      name: 'nutrition_label',
+      strict: true,
+      schema: { type: 'object', properties, required: Object.keys(properties), additionalProperties: false }
+    }
+  };
+};
+
+const buildLabelMessages = (image) => [
+  { role: 'system', content: LABEL_SYSTEM_PROMPT },
+  {
+    role: 'user',
+    content: [
+      { type: 'text', text: LABEL_USER_PROMPT },
+      { type: 'image_url', image_url: { url: image } }
+    ]
+  }
+];
+
+// The whole reply as JSON, or else the first balanced {...} that parses
+const findLabelJson = (allText) => {
+  const content = allText.trim().replace(/```(?:json)?\s*/g, '');
+  for (let start = content.indexOf('{'); start !== -1; start = content.indexOf('{', start + 1)) {
+    const end = findClosingBracket(content, start);
+    if (end === -1) break;
+    try {
+      const value = JSON.parse(content.slice(start, end));
+      if (value && typeof value === 'object' && !Array.isArray(value)) return value;
+    } catch (error) {
+      // Bracketed prose - keep scanning
+    }
+  }
+  return undefined;
+};
+
+const toAmount = (value, digits = 0) => {
+  if (value === undefined || value === null || value === '') return null;
+  // "about 8" servings per container
+  const n = readNumber(typeof value === 'string' ? value.replace(/^[^\d.]+/, '') : value);
+  if (!Number.isFinite(n) || n < 0) return null;
+  const factor = 10 ** digits;
+  return Math.round(n * factor) / factor;
+};
+
+const toText = (value) => (typeof value === 'string' && value.trim() ? value.trim().substring(0, 200) : null);
+
+// Label facts in the shape returned by /api/nutrition/label:
+// { name, servingSize, servingGrams, servingsPerContainer, calories, protein, carbs, fat }, any of them null
+const parseLabelFacts = (allText) => {
+  const value = findLabelJson(allText);
+  if (value === undefined) {
+    throw new NutritionParseError(
+      'Could not read that label. Please try again.',
+      `Could not find a JSON object in response. Content received: ${allText.substring(0, 500)}`
+    );
+  }
+
+  const facts = {
+    name: toText(value.name),
+    servingSize: toText(value.servingSize),
+    servingGrams: toAmount(value.servingGrams, 1),
+    servingsPerContainer: toAmount(value.servingsPerContainer, 1),
+    ...Object.fromEntries(LABEL_FIELDS.map(field => [field, toAmount(value[field])]))
+  };
+
+  if (value.readable === false || facts.calories === null) {
+    throw new NutritionParseError(
+      "Couldn't find a nutrition label in that photo. Try a closer, well-lit shot of the Nutrition Facts panel.",
+      `Label not readable. Reply: ${allText.substring(0, 500)}`,
+      422
+    );
+  }
+  return facts;
+};
+
+module.exports = {
+  MAX_LABEL_COMPLETION_TOKENS,
+  buildLabelMessages,
+  buildLabelResponseFormat,
+  parseLabelFacts
+};
@@ -0,0 +1,311 @@
+// Builds the chat messages for nutrition parsing.
+// The prompt lives server-side so it can change without a frontend deploy.
+
+const nutrientData = require('../../src/nutrients.json');
+const { vitamins: VITAMINS } = require('../../src/vitamins.json');
+
+const MAX_COMPLETION_TOKENS = 4000;
+
+// Bump whenever the prompt changes in a way that affects results; it's part of the response cache key
+const PROMPT_VERSION = 3;
+
+// Nutrients the app can track beside calories, shared with the app (src/nutrients.json). Items use
+// the keys ("addedSugars"); macros are in grams, micronutrients in grams or milligrams.
+const MACROS = nutrientData.macros.map(({ key }) => key);
+const MICRONUTRIENTS = nutrientData.micronutrients;
+const NUTRIENTS = [...nutrientData.macros, ...MICRONUTRIENTS];
+const UNIT_NAMES = { g: 'grams', mg: 'milligrams', 'µg': 'micrograms' };
+
+const MAX_INPUT_LENGTH = 1000;
+const MAX_HISTORY_MESSAGES = 10;
+const MAX_CORRECTIONS = 10;
+const MAX_RECIPES = 50;
+const MAX_CUSTOM_NUTRIENTS = 10;
+
+// Assumed portions in the user's preferred units (the app's "Portion units" setting)
+const PORTION_STYLES = {
+  us: { units: 'US units (oz, cups, tbsp)', milk: '8 oz', chicken: '6 oz', steak: '8 oz', rice: '1 cup' },
+  metric: { units: 'metric units (g, ml)', milk: '250 ml', chicken: '170 g', steak: '225 g', rice: '150 g' }
+};
+
+// Anonymous (signed-out) callers get a tighter budget: short inputs, little history, no corrections
+const ANONYMOUS_MAX_INPUT_LENGTH = 300;
+const ANONYMOUS_MAX_HISTORY_MESSAGES = 4;
+
+// Keep only role/content from chat history; the client also stores timestamps and parsed items
+const sanitizeHistory = (history, maxMessages = MAX_HISTORY_MESSAGES) => {
+  if (!Array.isArray(history)) return [];
+  return history
+    .filter(msg => msg && (msg.role === 'user' || msg.role === 'assistant') && typeof msg.content === 'string')
+    .slice(-maxMessages)
+    .map(msg => ({ role: msg.role, content: msg.content.substring(0, MAX_INPUT_LENGTH) }));
+};
+
+const sanitizeMacroToggles = (macroToggles) => {
+  const toggles = {};
+  [...NUTRIENTS.map(({ key }) => key), 'vitamins'].forEach(key => {
+    toggles[key] = !!(macroToggles && macroToggles[key] === true);
+  });
+  return toggles;
+};
+
+// Keys of the micronutrients macroToggles turns on: ['fiber', 'sodium']
+const trackedMicronutrients = (macroToggles) => MICRONUTRIENTS.filter(({ key }) => macroToggles[key]).map(({ key }) => key);
+
+// Only include corrections that might be relevant (limit to 10 most recent to reduce token usage)
+const sanitizeCorrections = (corrections) => {
+  if (!corrections || typeof corrections !== 'object' || Array.isArray(corrections)) return {};
+  const sanitized = {};
+  Object.entries(corrections).slice(-MAX_CORRECTIONS).forEach(([foodKey, value]) => {
+    if (!value || typeof value !== 'object') return;
+    sanitized[String(foodKey).substring(0, 200)] = {
+      calories: Number(value.calories) || 0,
+      protein: Number(value.protein) || 0,
+      carbs: Number(value.carbs) || 0,
+      fat: Number(value.fat) || 0,
+      source: 'user correction'
+    };
+  });
+  return sanitized;
+};
+
+// The user's own nutrients from the app's settings: [{ key, label, unit }] (goals stay in the app).
+// Keys are what items carry them under, in item.custom.
+const sanitizeCustomNutrients = (customNutrients) => {
+  if (!Array.isArray(customNutrients)) return [];
+  return customNutrients
+    .filter(nutrient => nutrient && typeof nutrient.key === 'string' && /^[a-zA-Z][a-zA-Z0-9]{0,39}$/.test(nutrient.key)
+      && typeof nutrient.label === 'string' && nutrient.label.trim())
+    .filter((nutrient, index, list) => list.findIndex(other => other.key === nutrient.key) === index)
+    .slice(0, MAX_CUSTOM_NUTRIENTS)
+    .map(({ key, label, unit }) => ({
+      key,
+      label: label.trim().substring(0, 40),
+      unit: typeof unit === 'string' ? unit.trim().substring(0, 20) : ''
+    }));
+};
+
+const sanitizeUnitSystem = (units) => (units === 'metric' ? 'metric' : 'us');
+
+// Saved recipes sent by the app: [{ id, name, calories, protein, carbs, fat }], values per serving
+const sanitizeRecipes = (recipes) => {
+  if (!Array.isArray(recipes)) return [];
+  return recipes
+    .filter(recipe => recipe && typeof recipe.name === 'string' && recipe.name.trim() && Number(recipe.calories) > 0)
+    .slice(0, MAX_RECIPES)
+    .map(recipe => ({
+      ...(typeof recipe.id === 'string' ? { id: recipe.id.substring(0, 64) } : {}),
+      name: recipe.name.trim().substring(0, 100),
+      calories: Math.round(Number(recipe.calories)),
+      protein: Math.round(Number(recipe.protein)) || 0,
+      carbs: Math.round(Number(recipe.carbs)) || 0,
+      fat: Math.round(Number(recipe.fat)) || 0
+    }));
+};
+
+const buildSystemPrompt = (macroToggles, { structuredOutput = false, photo = false, units = 'us', customNutrients = [] } = {}) => {
+  const portions = PORTION_STYLES[units];
+
+  // Build dynamic nutrition fields based on macro toggles
+  const enabledMacros = MACROS.filter(m => macroToggles[m]);
+  const enabledMicronutrients = MICRONUTRIENTS.filter(({ key }) => macroToggles[key]);
+  const enabledFields = [...enabledMacros, ...enabledMicronutrients.map(({ key }) => key)];
+  const macroFormatParts = enabledFields.map(m => `"${m}":0`).join(',');
+  const vitaminFormat = macroToggles.vitamins ? `,"vitamins":{${VITAMINS.map(({ key }) => `"${key}":0`).join(',')}}` : '';
+  const customFormat = customNutrients.length > 0 ? `,"custom":{${customNutrients.map(({ key }) => `"${key}":0`).join(',')}}` : '';
+  const returnFields = `"item":"name","calories":100${macroFormatParts ? ',' + macroFormatParts : ''}${vitaminFormat}${customFormat},"source":"source"`;
+
+  // Build examples based on enabled fields; values has every nutrient's amount
+  const buildExample = (item, cal, values, source) => {
+    let obj = `"item":"${item}","calories":${cal}`;
+    enabledFields.forEach(field => {
+      obj += `,"${field}":${values[field]}`;
+    });
+    obj += `,"source":"${source}"`;
+    return `{${obj}}`;
+  };
+
+  const macroTrackingNote = enabledMacros.length === 0
+    ? `\n\nIMPORTANT: The user is ${enabledMicronutrients.length === 0 && !macroToggles.vitamins ? 'only tracking calories' : 'not tracking macros'}. Do NOT include protein, carbs, or fat in your response.`
+    : enabledMacros.length < MACROS.length
+      ? `\n\nIMPORTANT: The user is only tracking calories and ${enabledMacros.join(', ')}. Only include those fields - do NOT include ${MACROS.filter(m => !macroToggles[m]).join(' or ')}.`
+      : '';
+
+  const micronutrientNote = enabledMicronutrients.length > 0
+    ? `\n\nMICRONUTRIENTS:
+The user also tracks ${enabledMicronutrients.map(({ key, unit }) => `${key} (${UNIT_NAMES[unit]})`).join(', ')}. Include them for every item as whole numbers, using 0 when the food has none.${macroToggles.addedSugars ? '\naddedSugars counts only sugars added in processing or cooking, not those naturally in fruit, vegetables or milk.' : ''}`
+    : '';
+
+  // The report compares these to daily reference intakes, so they need decimals, not whole numbers
+  const vitaminNote = macroToggles.vitamins
+    ? `\n\nVITAMINS AND MINERALS:
+Include "vitamins" for every item: ${VITAMINS.map(({ key, unit }) => `${key} (${UNIT_NAMES[unit]})`).join(', ')}, for the portion eaten, to one decimal place, 0 when the food has none. Vitamin A is retinol activity equivalents; folate is dietary folate equivalents.`
+    : '';
+
+  // Labels are the user's own words, so they're quoted rather than trusted as instructions
+  const customNote = customNutrients.length > 0
+    ? `\n\nCUSTOM NUTRIENTS:
+The user also tracks nutrients of their own. Include "custom" for every item with: ${customNutrients.map(({ key, label, unit }) => `${key} (${JSON.stringify(label)}${unit ? `, in ${JSON.stringify(unit)}` : ''})`).join(', ')}. Give your best estimate for the portion eaten, to one decimal place, 0 when the food has none or the name doesn't say what it means.`
+    : '';
+
+  const photoNote = photo
+    ? `\n\nPHOTOS:
+When the user sends a photo of their meal, list each distinct food you can see as its own item.
+Estimate portions from the plate, bowl, utensils and packaging in the picture, and put the estimate in the name ("🍚 White Rice (${portions.rice})").
+Use the user's note, if any, to identify foods or portions the photo doesn't show clearly.`
+    : '';
+
+  return `You are a friendly nutrition tracking assistant. You have two response modes:
+
+MODE 1 - INITIAL RESPONSE (ALWAYS DO THIS FIRST):
+Provide nutrition data immediately with reasonable assumptions. Return a JSON array with the food items.
+
+ASSUMPTIONS TO MAKE:
+- "Glass of milk" = ${portions.milk} whole milk
+- "Coffee" = black coffee with optional mention of adding cream/sugar
+- "Banana" = medium banana (120g)
+- "Chicken breast" = ${portions.chicken} cooked
+- "Steak" = ${portions.steak}
+- Generic items = standard serving sizes
+
+After the JSON array, you may add a brief friendly suggestion for refinement (optional, keep it natural):
+"These are the values for whole milk - let me know if you had skim, 2%, or another type for more precise tracking!"
+
+MODE 2 - CLARIFYING QUESTIONS (Only when truly necessary):
+Only ask clarifying questions if the food is genuinely ambiguous and you cannot make a reasonable assumption.
+Examples: "pasta" (need to know if plain, with sauce, etc.), "salad" (countless variations)
+
+When asking questions, still provide an initial estimate with assumptions stated clearly.
+
+FORMATTING RULES:
+1. Clean up food names: Fix typos, capitalize properly, use official brand names
+2. Emoji: Use only if clearly representative (🍌 🍎 🍕 🍟 🥚). Skip for branded items
+3. Quantity: Put number BEFORE name ("2 Eggs" not "Eggs (2)")
+4. Portions: Add assumed portions for proteins ("Chicken Breast (${portions.chicken})"), in ${portions.units} unless the user gave their own
+${macroTrackingNote}${micronutrientNote}${vitaminNote}${customNote}${photoNote}
+
+Examples:
+"2 eggs" → ${buildExample('🥚 2 Eggs', 140, { protein: 12, carbs: 2, fat: 10, fiber: 0, sugars: 0, addedSugars: 0, sodium: 140, saturatedFat: 3, cholesterol: 370, potassium: 140 }, 'USDA')}
+"glass of milk" → ${buildExample(`🥛 Glass of Milk (${portions.milk}, Whole)`, units === 'metric' ? 155 : 150, { protein: 8, carbs: 12, fat: 8, fiber: 0, sugars: 12, addedSugars: 0, sodium: 105, saturatedFat: 5, cholesterol: 24, potassium: 320 }, 'USDA')} + suggestion about milk types
+"chicken breast" → ${buildExample(`🍗 Chicken Breast (${portions.chicken})`, 280, { protein: 53, carbs: 0, fat: 6, fiber: 0, sugars: 0, addedSugars: 0, sodium: 125, saturatedFat: 2, cholesterol: 145, potassium: 435 }, 'USDA')}
+"large fries from McDonald's" → ${buildExample("🍟 Large McDonald's French Fries", 490, { protein: 6, carbs: 66, fat: 23, fiber: 6, sugars: 0, addedSugars: 0, sodium: 400, saturatedFat: 3, cholesterol: 0, potassium: 820 }, "McDonald's nutrition")}
+
+${structuredOutput ? `Return format: {"items":[{${returnFields}}]}` : `Return format: [{${returnFields}}]`}`;
+};
+
+// JSON schema for providers that support structured output (response_format: json_schema).
+// Strict mode needs every property listed as required, so disabled macros are left out entirely.
+const buildNutritionResponseFormat = (macroToggles, customNutrients) => {
+  const toggles = sanitizeMacroToggles(macroToggles);
+  const custom = sanitizeCustomNutrients(customNutrients);
+  const enabledNutrients = NUTRIENTS.filter(({ key }) => toggles[key]);
+  const itemProperties = {
+    item: { type: 'string', description: 'Food name with quantity and portion, e.g. "🥚 2 Eggs"' },
+    calories: { type: 'number' },
+    ...Object.fromEntries(enabledNutrients.map(({ key, label, unit }) => [key, { type: 'number', description: `${label.toLowerCase()} in ${UNIT_NAMES[unit]}` }])),
+    ...(toggles.vitamins ? {
+      vitamins: {
+        type: 'object',
+        description: 'Vitamins and minerals for the portion eaten',
+        properties: Object.fromEntries(VITAMINS.map(({ key, label, unit }) => [key, { type: 'number', description: `${label} in ${UNIT_NAMES[unit]}` }])),
+        required: VITAMINS.map(({ key }) => key),
+        additionalProperties: false
+      }
+    } : {}),
+    ...(custom.length > 0 ? {
+      custom: {
+        type: 'object',
+        description: "The user's own nutrients for the portion eaten",
+        properties: Object.fromEntries(custom.map(({ key, label, unit }) => [key, { type: 'number', description: unit ? `${label} in ${unit}` : label }])),
+        required: custom.map(({ key }) => key),
+        additionalProperties: false
+      }
+    } : {}),
+    source: { type: 'string', description: 'Where the numbers come from, e.g. "USDA" or a brand name' }
+  };
+
+  return {
+    type: 'json_schema',
+    json_schema: {
+      name: 'nutrition_items',
+      strict: true,
+      schema: {
+        type: 'object',
+        properties: {
+          items: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: itemProperties,
+              required: Object.keys(itemProperties),
+              additionalProperties: false
+            }
+          }
+        },
+        required: ['items'],
+        additionalProperties: false
+      }
+    }
+  };
+};
+
+// Corrections that go into the prompt (none for anonymous callers)
+const getPromptCorrections = (corrections, anonymous = false) => (anonymous ? {} : sanitizeCorrections(corrections));
+
+// Build messages array with conversation history.
+// image is a data URL (already downscaled); text is then an optional note about the photo.
+// recipes are the saved recipes mentioned in the text, for inputs the local data couldn't answer alone.
+// units is the user's 'us' or 'metric' preference for assumed portions; customNutrients are the
+// nutrients they defined themselves.
+const buildNutritionMessages = ({ text, image, history, macroToggles, corrections, recipes = [], units, customNutrients, anonymous = false, structuredOutput = false }) => {
+  const relevantCorrections = getPromptCorrections(corrections, anonymous);
+  const correctionsContext = Object.keys(relevantCorrections).length > 0
+    ? `\n\nUSER'S SAVED CORRECTIONS (use these exact values if the food matches - match case-insensitively; values are for the amount in the name, so scale them if the user had a different amount):\n${JSON.stringify(relevantCorrections, null, 2)}`
+    : '';
+  const recipesContext = recipes.length > 0
+    ? `\n\nUSER'S SAVED RECIPES (nutrition per serving - when the user means one of their own dishes, use these values, count a bowl, plate or portion as one serving, and set source to "my recipe"):\n${JSON.stringify(recipes.map(({ name, calories, protein, carbs, fat }) => ({ name, calories, protein, carbs, fat })), null, 2)}`
+    : '';
+
+  const userContent = image
+    ? [
+      { type: 'text', text: `Parse the attached meal photo and return nutrition for each item.${text ? ` Note from the user: "${text}"` : ''}${correctionsContext}${recipesContext}` },
+      { type: 'image_url', image_url: { url: image } }
+    ]
+    : `Parse "${text}" and return nutrition for each item.${correctionsContext}${recipesContext}`;
+
+  return [
+    { role: 'system', content: buildSystemPrompt(sanitizeMacroToggles(macroToggles), { structuredOutput, photo: !!image, units: sanitizeUnitSystem(units), customNutrients: sanitizeCustomNutrients(customNutrients) }) },
+    ...sanitizeHistory(history, anonymous ? ANONYMOUS_MAX_HISTORY_MESSAGES : MAX_HISTORY_MESSAGES),
+    { role: 'user', content: userContent }
+  ];
+};
+
+// Follow-up turn asking the model to fix a reply that failed validation
+const buildRepairMessages = (messages, badReply, validationErrors) => [
+  ...messages,
+  { role: 'assistant', content: badReply },
+  {
+    role: 'user',
+    content: `Your previous reply could not be used:\n${validationErrors.map(e => `- ${e}`).join('\n')}\n\nReply again with only the corrected JSON in the return format above, no other text.`
+  }
+];
+
+module.exports = {
+  PROMPT_VERSION,
+  MAX_COMPLETION_TOKENS,
+  MAX_INPUT_LENGTH,
+  ANONYMOUS_MAX_INPUT_LENGTH,
+  NUTRIENTS,
+  MICRONUTRIENTS,
+  VITAMINS,
+  UNIT_NAMES,
+  sanitizeMacroToggles,
+  trackedMicronutrients,
+  sanitizeRecipes,
+  sanitizeCustomNutrients,
+  sanitizeUnitSystem,
+  getPromptCorrections,
+  buildNutritionMessages,
+  buildNutritionResponseFormat,
+  buildRepairMessages
+};
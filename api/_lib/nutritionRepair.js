@@ -0,0 +1,38 @@
+const { recordTokenUsage } = require('./rateLimit');
+const { MAX_COMPLETION_TOKENS, buildRepairMessages } = require('./nutritionPrompt');
+const { NutritionParseError, extractCompletionText, parseNutritionItems } = require('./nutritionResponse');
+
+// One more (non-streamed) call when a reply fails parsing or validation, sending the errors back
+// to the model. A failed repair throws the repair's own error.
+const repairNutritionItems = async ({ req, caller, provider, messages, responseFormat, badReply, parseError }) => {
+  console.warn('[nutrition] Reply failed validation, asking for a repair:', parseError.validationErrors);
+  const repairStart = Date.now();
+
+  const response = await provider.chatCompletion({
+    messages: buildRepairMessages(messages, badReply, parseError.validationErrors),
+    maxTokens: MAX_COMPLETION_TOKENS,
+    responseFormat
+  });
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new NutritionParseError(
+      parseError.userMessage,
+      `${parseError.details}\n\nRepair request failed with HTTP ${response.status}: ${errorText}`
+    );
+  }
+
+  const data = await response.json();
+  await recordTokenUsage(req, caller, data.usage);
+  try {
+    const items = parseNutritionItems(extractCompletionText(data));
+    console.log(`[PERF-API] Repair succeeded in ${((Date.now() - repairStart) / 1000).toFixed(2)}s`);
+    return items;
+  } catch (repairError) {
+    if (repairError instanceof NutritionParseError) {
+      repairError.details = `Repair attempt also failed: ${repairError.details}\n\nFirst attempt: ${parseError.details}`;
+    }
+    throw repairError;
+  }
+};
+
+module.exports = { repairNutritionItems };
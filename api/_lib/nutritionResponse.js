@@ -0,0 +1,354 @@
+// Turns a raw chat completion into a validated list of food items, in separate stages:
+//   extractCompletionText  completion -> text (refusals, filtered and cut-off responses throw)
+//   findNutritionJson      text -> parsed JSON array / { items } object, ignoring fences and prose
+//   validateNutritionItems parsed JSON -> { items, errors } with every field checked
+//   parseNutritionItems    text -> items, throwing if either of the last two stages fails
+// Errors carry a user-facing message plus technical details for the "Show Technical Details" panel.
+// Format and validation errors are marked repairable: the model gets one retry with the errors.
+
+const { NUTRIENTS, MICRONUTRIENTS, VITAMINS, UNIT_NAMES } = require('./nutritionPrompt');
+
+class NutritionParseError extends Error {
+  constructor(userMessage, details, status = 502, { repairable = false, validationErrors = [] } = {}) {
+    super(details);
+    this.name = 'NutritionParseError';
+    this.userMessage = userMessage;
+    this.details = details;
+    this.status = status;
+    this.repairable = repairable;
+    this.validationErrors = validationErrors;
+  }
+}
+
+// Extract text from the chat-completions response format, throwing on refusals and empty completions
+const extractCompletionText = (data) => {
+  const choice = data?.choices?.[0];
+  const message = choice?.message;
+
+  if (!message) {
+    console.error('[nutrition] Unexpected response structure:', {
+      hasChoices: !!data?.choices,
+      choicesLength: data?.choices?.length,
+      hasMessage: false
+    });
+  }
+
+  const allText = message?.content || '';
+  const refusalReason = message?.refusal;
+  const finishReason = choice?.finish_reason;
+
+  if (refusalReason) {
+    throw new NutritionParseError(
+      'Unable to process your request. Try rephrasing your food description.',
+      `AI Refusal: ${refusalReason}`,
+      422
+    );
+  }
+
+  if (!allText || allText.trim() === '') {
+    // Provide user-friendly message and technical details based on finish reason
+    if (finishReason === 'content_filter') {
+      throw new NutritionParseError(
+        'Your request was blocked. Try rephrasing your food description.',
+        `Finish reason: content_filter. The AI's content filter blocked this request.`,
+        422
+      );
+    }
+    if (finishReason === 'length') {
+      throw new NutritionParseError(
+        'Too many items at once. Try entering fewer items.',
+        `Finish reason: length. Response was cut off due to token length limits.`,
+        422
+      );
+    }
+    if (data?.error) {
+      throw new NutritionParseError(
+        'AI service error. Please try again in a moment.',
+        `AI API error: ${data.error.message || JSON.stringify(data.error)}`
+      );
+    }
+    throw new NutritionParseError(
+      'Temporary issue with AI service. Please try again.',
+      `No text content in API response. Finish reason: ${finishReason || 'unknown'}. Full response: ${JSON.stringify(data)}`
+    );
+  }
+
+  return allText;
+};
+
+const toWholeNumber = (value) => {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+};
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Vitamin amounts to one decimal; ones that aren't numbers are left out
+const normalizeVitamins = (vitamins) => Object.fromEntries(VITAMINS
+  .map(({ key }) => [key, readNumber(vitamins[key])])
+  .filter(([, amount]) => Number.isFinite(amount) && amount >= 0)
+  .map(([key, amount]) => [key, Math.round(amount * 10) / 10]));
+
+// Custom nutrient amounts (item.custom, keyed by the user's own nutrients) to one decimal; the app
+// ignores keys it doesn't know, so any key is kept
+const normalizeCustom = (custom) => Object.fromEntries(Object.entries(custom)
+  .map(([key, amount]) => [key.substring(0, 40), readNumber(amount)])
+  .filter(([, amount]) => Number.isFinite(amount) && amount >= 0)
+  .map(([key, amount]) => [key, Math.round(amount * 10) / 10]));
+
+// Validate and map items into the shape stored in entries.items. Micronutrients are only kept
+// when the model returned them, so items show which ones were tracked when they were logged.
+const normalizeItem = (item, index) => {
+  if (!item || typeof item !== 'object') {
+    console.warn(`[nutrition] Item ${index} is not an object:`, item);
+    item = {};
+  }
+  const calories = toWholeNumber(item.calories);
+  if (!calories) {
+    console.warn(`[nutrition] Item ${index} has no calories:`, item);
+  }
+  return {
+    item: typeof item.item === 'string' && item.item.trim() ? item.item.trim() : 'Unknown',
+    calories,
+    protein: toWholeNumber(item.protein),
+    carbs: toWholeNumber(item.carbs),
+    fat: toWholeNumber(item.fat),
+    ...Object.fromEntries(MICRONUTRIENTS
+      .filter(({ key }) => item[key] !== undefined && item[key] !== null)
+      .map(({ key }) => [key, toWholeNumber(item[key])])),
+    ...(isPlainObject(item.vitamins) ? { vitamins: normalizeVitamins(item.vitamins) } : {}),
+    ...(isPlainObject(item.custom) ? { custom: normalizeCustom(item.custom) } : {}),
+    source: typeof item.source === 'string' && item.source.trim() ? item.source.trim() : 'estimate',
+    error: !calories
+  };
+};
+
+// Index just past the bracket that closes the one at start, or -1 if the text ends first (cut off)
+const findClosingBracket = (text, start) => {
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') inString = true;
+    else if (ch === '[' || ch === '{') depth++;
+    else if (ch === ']' || ch === '}') {
+      depth--;
+      if (depth === 0) return i + 1;
+    }
+  }
+  return -1;
+};
+
+const isItemList = (value) => Array.isArray(value) && value.length > 0 && value.every(v => v && typeof v === 'object' && !Array.isArray(v));
+
+const isItemsWrapper = (value) => !!value && typeof value === 'object' && Array.isArray(value.items);
+
+// Find the item list in a model reply: the whole reply as JSON (structured output), or else the
+// first balanced [...] of objects / {"items": [...]} that parses, skipping fences and bracketed prose.
+// Returns undefined when there is none.
+const findNutritionJson = (allText) => {
+  const content = allText.trim().replace(/```(?:json)?\s*/g, '');
+
+  try {
+    const whole = JSON.parse(content);
+    if (Array.isArray(whole) || isItemsWrapper(whole)) return whole;
+  } catch (error) {
+    // Not pure JSON - look for it inside the text
+  }
+
+  for (let start = 0; start < content.length; start++) {
+    const ch = content[start];
+    if (ch !== '[' && ch !== '{') continue;
+
+    const end = findClosingBracket(content, start);
+    if (end === -1) continue;
+    try {
+      const value = JSON.parse(content.slice(start, end));
+      if (isItemList(value) || isItemsWrapper(value)) return value;
+    } catch (error) {
+      // Bracketed prose or broken JSON - keep scanning
+    }
+  }
+  return undefined;
+};
+
+// Numbers may come back as strings ("140", "12g", "140 kcal"); anything else is an error
+const readNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string') return parseFloat(value);
+  return NaN;
+};
+
+// Check every field of every item. Returns normalized items plus a list of human-readable
+// errors (empty when the response is usable), which is what the repair retry sends back.
+const validateNutritionItems = (value) => {
+  const list = isItemsWrapper(value) ? value.items : value;
+  if (!Array.isArray(list)) {
+    return { items: [], errors: ['Expected a JSON array of food items (or an object with an "items" array).'] };
+  }
+  if (list.length === 0) {
+    return { items: [], errors: ['The item list is empty; include one entry per food mentioned.'] };
+  }
+
+  const errors = [];
+  list.forEach((item, index) => {
+    const at = `items[${index}]`;
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      errors.push(`${at}: expected an object, got ${JSON.stringify(item)}.`);
+      return;
+    }
+    if (typeof item.item !== 'string' || !item.item.trim()) {
+      errors.push(`${at}.item: expected a non-empty food name.`);
+    }
+    const calories = readNumber(item.calories);
+    if (!Number.isFinite(calories) || calories < 0) {
+      errors.push(`${at}.calories: expected a number of calories of 0 or more, got ${JSON.stringify(item.calories)}.`);
+    }
+    NUTRIENTS.forEach(({ key: field, unit }) => {
+      if (item[field] === undefined || item[field] === null) return;
+      const amount = readNumber(item[field]);
+      if (!Number.isFinite(amount) || amount < 0) {
+        errors.push(`${at}.${field}: expected ${UNIT_NAMES[unit]} of 0 or more, got ${JSON.stringify(item[field])}.`);
+      }
+    });
+    if (item.vitamins !== undefined && item.vitamins !== null) {
+      if (!isPlainObject(item.vitamins)) {
+        errors.push(`${at}.vitamins: expected an object of amounts, got ${JSON.stringify(item.vitamins)}.`);
+      } else {
+        VITAMINS.forEach(({ key, unit }) => {
+          if (item.vitamins[key] === undefined || item.vitamins[key] === null) return;
+          const amount = readNumber(item.vitamins[key]);
+          if (!Number.isFinite(amount) || amount < 0) {
+            errors.push(`${at}.vitamins.${key}: expected ${UNIT_NAMES[unit]} of 0 or more, got ${JSON.stringify(item.vitamins[key])}.`);
+          }
+        });
+      }
+    }
+    if (item.custom !== undefined && item.custom !== null) {
+      if (!isPlainObject(item.custom)) {
+        errors.push(`${at}.custom: expected an object of amounts, got ${JSON.stringify(item.custom)}.`);
+      } else {
+        Object.entries(item.custom).forEach(([key, value]) => {
+          if (value === null) return;
+          const amount = readNumber(value);
+          if (!Number.isFinite(amount) || amount < 0) {
+            errors.push(`${at}.custom.${key}: expected an amount of 0 or more, got ${JSON.stringify(value)}.`);
+          }
+        });
+      }
+    }
+    if (item.source !== undefined && item.source !== null && typeof item.source !== 'string') {
+      errors.push(`${at}.source: expected a string, got ${JSON.stringify(item.source)}.`);
+    }
+  });
+
+  return { items: errors.length === 0 ? list.map(normalizeItem) : [], errors };
+};
+
+const parseNutritionItems = (allText) => {
+  const value = findNutritionJson(allText);
+  if (value === undefined) {
+    throw new NutritionParseError(
+      'AI returned an unexpected format. Please try again.',
+      `Could not find a complete JSON array in response. Content received: ${allText.substring(0, 500)}`,
+      502,
+      { repairable: true, validationErrors: ['No complete JSON array of food items was found in the reply.'] }
+    );
+  }
+
+  const { items, errors } = validateNutritionItems(value);
+  if (errors.length > 0) {
+    throw new NutritionParseError(
+      'Failed to parse AI response. Please try again.',
+      `Invalid items in response:\n${errors.join('\n')}\n\nContent received: ${allText.substring(0, 500)}`,
+      502,
+      { repairable: true, validationErrors: errors }
+    );
+  }
+
+  return items;
+};
+
+// Incrementally pulls complete item objects out of a streamed JSON array, so the UI can show
+// items as soon as each one is finished. Text before the array (or bracketed prose) is skipped.
+// The final list still comes from parseNutritionItems on the full text.
+const createItemStreamParser = (onItem) => {
+  let buffer = '';
+  let pos = 0;
+  let inArray = false;
+  let finished = false;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let objectStart = -1;
+  let count = 0;
+
+  const push = (text) => {
+    buffer += text;
+    for (; pos < buffer.length && !finished; pos++) {
+      const ch = buffer[pos];
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === '\\') escaped = true;
+        else if (ch === '"') inString = false;
+        continue;
+      }
+
+      if (!inArray) {
+        if (ch === '[') inArray = true;
+        continue;
+      }
+
+      if (depth === 0) {
+        if (ch === '{') {
+          objectStart = pos;
+          depth = 1;
+        } else if (ch === ']') {
+          finished = true;
+        } else if (!/[\s,]/.test(ch)) {
+          // Not an array of objects (e.g. "[optional]" in prose) - keep looking
+          inArray = false;
+        }
+        continue;
+      }
+
+      if (ch === '"') inString = true;
+      else if (ch === '{') depth++;
+      else if (ch === '}') {
+        depth--;
+        if (depth === 0) {
+          try {
+            onItem(normalizeItem(JSON.parse(buffer.slice(objectStart, pos + 1)), count), count);
+            count++;
+          } catch (error) {
+            console.warn('[nutrition] Skipping unparseable streamed item:', error.message);
+          }
+          objectStart = -1;
+        }
+      }
+    }
+  };
+
+  return { push };
+};
+
+module.exports = {
+  NutritionParseError,
+  extractCompletionText,
+  findClosingBracket,
+  readNumber,
+  findNutritionJson,
+  validateNutritionItems,
+  parseNutritionItems,
+  normalizeItem,
+  createItemStreamParser
+};
@@ -0,0 +1,124 @@
+/**
+ * @jest-environment node
+ */
+// Runs the recorded bad replies in llm/fixtures/bad-responses.json through each parsing stage.
+// Each fixture's "expected" is either the item names it should give or the start of each
+// validation error the repair retry gets.
+
+const badResponses = require('./llm/fixtures/bad-responses.json');
+const {
+  NutritionParseError,
+  findNutritionJson,
+  validateNutritionItems,
+  parseNutritionItems,
+  createItemStreamParser
+} = require('./nutritionResponse');
+const { buildRepairMessages } = require('./nutritionPrompt');
+
+const usable = Object.entries(badResponses).filter(([, { expected }]) => expected.items);
+const repairable = Object.entries(badResponses).filter(([, { expected }]) => expected.errors);
+
+// Feeds the reply to the stream parser a few characters at a time, as the provider would
+const streamItems = (content, chunkSize = 7) => {
+  const items = [];
+  const parser = createItemStreamParser((item) => items.push(item));
+  for (let i = 0; i < content.length; i += chunkSize) parser.push(content.slice(i, i + chunkSize));
+  return items;
+};
+
+describe('findNutritionJson', () => {
+  test.each(usable)('%s: finds the whole item list', (name, { content, expected }) => {
+    const value = findNutritionJson(content);
+    const list = Array.isArray(value) ? value : value.items;
+    expect(list.map(({ item }) => item)).toEqual(expected.items);
+  });
+
+  test('strips the ```json fence and ignores the suggestion after it', () => {
+    expect(findNutritionJson(badResponses.fenced_with_suggestion.content)).toHaveLength(1);
+  });
+
+  test('keeps nested objects inside items', () => {
+    const [eggs] = findNutritionJson(badResponses.nested_braces.content);
+    expect(eggs.serving).toEqual({ amount: 2, unit: 'large' });
+  });
+
+  test.each(['single_quotes', 'truncated'])('%s: finds nothing', (name) => {
+    expect(findNutritionJson(badResponses[name].content)).toBeUndefined();
+  });
+});
+
+describe('validateNutritionItems', () => {
+  test.each(usable)('%s: passes with no errors', (name, { content, expected }) => {
+    const { items, errors } = validateNutritionItems(findNutritionJson(content));
+    expect(errors).toEqual([]);
+    expect(items.map(({ item }) => item)).toEqual(expected.items);
+    items.forEach(item => expect(item.error).toBe(false));
+  });
+
+  test('coerces numbers sent as strings with units', () => {
+    const { items: [eggs] } = validateNutritionItems(findNutritionJson(badResponses.string_numbers.content));
+    expect(eggs).toMatchObject({ calories: 140, protein: 12, carbs: 2, fat: 10 });
+  });
+
+  test.each(['missing_calories', 'negative_values', 'empty_array'])('%s: reports each bad field', (name) => {
+    const { content, expected } = badResponses[name];
+    const { items, errors } = validateNutritionItems(findNutritionJson(content));
+    expect(items).toEqual([]);
+    expect(errors).toHaveLength(expected.errors.length);
+    expected.errors.forEach((start, index) => expect(errors[index].startsWith(start)).toBe(true));
+  });
+});
+
+describe('parseNutritionItems', () => {
+  test.each(usable)('%s: returns the items', (name, { content, expected }) => {
+    expect(parseNutritionItems(content).map(({ item }) => item)).toEqual(expected.items);
+  });
+
+  test.each(repairable)('%s: throws a repairable error for the retry', (name, { content, expected }) => {
+    let thrown;
+    try {
+      parseNutritionItems(content);
+    } catch (error) {
+      thrown = error;
+    }
+    expect(thrown).toBeInstanceOf(NutritionParseError);
+    expect(thrown.repairable).toBe(true);
+    expect(thrown.validationErrors).toHaveLength(expected.errors.length);
+    expected.errors.forEach((start, index) => expect(thrown.validationErrors[index].startsWith(start)).toBe(true));
+  });
+});
+
+describe('buildRepairMessages', () => {
+  const messages = [{ role: 'system', content: 'Return JSON.' }, { role: 'user', content: 'Parse "eggs and butter"' }];
+
+  test.each(repairable)('%s: sends back the bad reply and every error', (name, { content }) => {
+    let validationErrors;
+    try {
+      parseNutritionItems(content);
+    } catch (error) {
+      validationErrors = error.validationErrors;
+    }
+    const repair = buildRepairMessages(messages, content, validationErrors);
+    expect(repair.slice(0, 2)).toEqual(messages);
+    expect(repair[2]).toEqual({ role: 'assistant', content });
+    expect(repair[3].role).toBe('user');
+    validationErrors.forEach(error => expect(repair[3].content).toContain(`- ${error}`));
+  });
+});
+
+describe('createItemStreamParser', () => {
+  test.each(usable)('%s: streams the same items as the final parse', (name, { content }) => {
+    expect(streamItems(content)).toEqual(parseNutritionItems(content));
+  });
+
+  test('streams the items that completed before a reply was cut off', () => {
+    expect(streamItems(badResponses.truncated.content).map(({ item }) => item)).toEqual(['🍔 Big Mac']);
+  });
+
+  test('skips an unparseable item without stopping', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(streamItems(badResponses.single_quotes.content)).toEqual([]);
+    expect(warn).toHaveBeenCalledWith('[nutrition] Skipping unparseable streamed item:', expect.any(String));
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,113 @@
+// Packaged-food lookup by barcode from a local Open Food Facts import.
+//
+// scripts/import-openfoodfacts.js writes products into OFF_DATA_DIR (default: api/_lib/data/openfoodfacts,
+// which ships with a couple of sample products) as shard files named by the last three digits of the
+// barcode, so a lookup only reads one small file. Shards are kept in memory once read.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, 'data', 'openfoodfacts');
+const GRAMS_PER_OZ = 28.3495;
+
+const shardCache = new Map();
+
+const getDataDir = () => process.env.OFF_DATA_DIR || DEFAULT_DATA_DIR;
+
+// Barcodes are stored as 13 digits: UPC-A (12) gets a leading zero, EAN-8 is zero-padded
+const normalizeBarcode = (code) => {
+  const digits = String(code || '').replace(/\D/g, '');
+  if (digits.length < 8 || digits.length > 14) return null;
+  if (digits.length === 14) return digits.startsWith('0') ? digits.slice(1) : null;
+  return digits.padStart(13, '0');
+};
+
+const getShardName = (barcode) => barcode.slice(-3);
+
+const loadShard = (shardName) => {
+  if (shardCache.has(shardName)) return shardCache.get(shardName);
+
+  let shard = {};
+  const file = path.join(getDataDir(), `${shardName}.json`);
+  try {
+    shard = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error(`[OpenFoodFacts] Could not read ${file}:`, error.message);
+  }
+  shardCache.set(shardName, shard);
+  return shard;
+};
+
+const findProduct = (barcode) => loadShard(getShardName(barcode))[barcode] || null;
+
+// "400 g", "330 ml", "1.5 l", "12 oz" -> { amount, unit: 'g' | 'ml' }, or null
+const parseAmount = (text) => {
+  const match = String(text || '').toLowerCase().replace(',', '.').match(/(\d+(?:\.\d+)?)\s*(kg|g|mg|ml|cl|dl|l|fl\.? ?oz|oz)\b/);
+  if (!match) return null;
+  const value = parseFloat(match[1]);
+  const unit = match[2].replace(/\.|\s/g, '');
+  switch (unit) {
+    case 'kg': return { amount: value * 1000, unit: 'g' };
+    case 'g': return { amount: value, unit: 'g' };
+    case 'mg': return { amount: value / 1000, unit: 'g' };
+    case 'l': return { amount: value * 1000, unit: 'ml' };
+    case 'dl': return { amount: value * 100, unit: 'ml' };
+    case 'cl': return { amount: value * 10, unit: 'ml' };
+    case 'ml': return { amount: value, unit: 'ml' };
+    case 'floz': return { amount: value * 29.5735, unit: 'ml' };
+    case 'oz': return { amount: value * GRAMS_PER_OZ, unit: 'g' };
+    default: return null;
+  }
+};
+
+const nutritionFor = (per100g, amount) => ({
+  calories: Math.round(per100g.calories * amount / 100),
+  protein: Math.round((per100g.protein || 0) * amount / 100),
+  carbs: Math.round((per100g.carbs || 0) * amount / 100),
+  fat: Math.round((per100g.fat || 0) * amount / 100)
+});
+
+const formatAmount = (amount, unit) => `${Math.round(amount * 10) / 10} ${unit}`;
+
+// Serving-size choices for the confirmation card: label serving, 100 g/ml, and the whole package.
+// Open Food Facts reports liquids per 100 ml under the same _100g keys, so ml is treated like g.
+const buildServings = (product) => {
+  const packageSize = parseAmount(product.quantity);
+  const serving = product.servingGrams
+    ? { amount: product.servingGrams, unit: parseAmount(product.servingSize)?.unit || packageSize?.unit || 'g' }
+    : parseAmount(product.servingSize);
+  const unit = serving?.unit || packageSize?.unit || 'g';
+  const servings = [];
+
+  if (serving && serving.amount > 0) {
+    servings.push({ label: `1 serving (${formatAmount(serving.amount, serving.unit)})`, amount: serving.amount, unit: serving.unit });
+  }
+  servings.push({ label: `100 ${unit}`, amount: 100, unit });
+  if (packageSize && packageSize.amount > 0 && Math.abs(packageSize.amount - (serving?.amount || 0)) > 1) {
+    servings.push({ label: `Whole package (${formatAmount(packageSize.amount, packageSize.unit)})`, amount: packageSize.amount, unit: packageSize.unit });
+  }
+
+  return servings.map(s => ({ ...s, ...nutritionFor(product.per100g, s.amount) }));
+};
+
+// Product in the shape returned by /api/foods/barcode/:upc, or null when it isn't in the import
+const lookupBarcode = (code) => {
+  const barcode = normalizeBarcode(code);
+  if (!barcode) return null;
+
+  const product = findProduct(barcode);
+  if (!product) return null;
+
+  return {
+    barcode,
+    name: product.name,
+    brand: product.brand || null,
+    quantity: product.quantity || null,
+    per100g: product.per100g,
+    servings: buildServings(product),
+    source: 'Open Food Facts',
+    url: `https://world.openfoodfacts.org/product/${barcode}`
+  };
+};
+
+module.exports = { normalizeBarcode, getShardName, parseAmount, lookupBarcode };
@@ -0,0 +1,62 @@
+// Reads an OpenAI chat-completions SSE stream ("stream": true).
+// Calls onRaw with every raw text chunk (for passthrough proxies) and onContent with each content delta,
+// and resolves with the assembled completion in the same shape as a non-streamed response.
+
+const readCompletionStream = async (response, { onRaw, onContent } = {}) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let content = '';
+  let refusal = '';
+  let finishReason = null;
+  let usage = null;
+
+  const handleLine = (line) => {
+    if (!line.startsWith('data:')) return;
+    const payload = line.slice(5).trim();
+    if (!payload || payload === '[DONE]') return;
+
+    let chunk;
+    try {
+      chunk = JSON.parse(payload);
+    } catch (error) {
+      console.warn('[OpenAI stream] Skipping unparseable chunk:', payload.substring(0, 200));
+      return;
+    }
+
+    if (chunk.usage) usage = chunk.usage;
+    const choice = chunk.choices?.[0];
+    if (!choice) return;
+    if (choice.finish_reason) finishReason = choice.finish_reason;
+    if (choice.delta?.refusal) refusal += choice.delta.refusal;
+    if (choice.delta?.content) {
+      content += choice.delta.content;
+      if (onContent) onContent(choice.delta.content);
+    }
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    const text = decoder.decode(value, { stream: true });
+    if (onRaw) onRaw(text);
+
+    buffer += text;
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+      handleLine(buffer.slice(0, newlineIndex).trim());
+      buffer = buffer.slice(newlineIndex + 1);
+    }
+  }
+  if (buffer.trim()) handleLine(buffer.trim());
+
+  return {
+    choices: [{
+      message: { role: 'assistant', content, refusal: refusal || null },
+      finish_reason: finishReason
+    }],
+    usage
+  };
+};
+
+module.exports = { readCompletionStream };
@@ -0,0 +1,232 @@
+// Per-user / per-IP request rate limiting and daily token quotas for the AI routes.
+//
+// Counters are fixed-window: each key embeds its window (minute bucket or UTC day), so a store
+// only needs atomic increment and read. Pick the store with RATE_LIMIT_STORE=memory|supabase;
+// it defaults to supabase when SUPABASE_SERVICE_ROLE_KEY is set, memory otherwise.
+
+const { getSupabaseAdmin } = require('./supabaseAdmin');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const getLimits = () => ({
+  user: {
+    requestsPerMinute: envInt('RATE_LIMIT_USER_PER_MINUTE', 10),
+    tokensPerDay: envInt('DAILY_TOKEN_LIMIT_USER', 150000)
+  },
+  anonymous: {
+    requestsPerMinute: envInt('RATE_LIMIT_ANON_PER_MINUTE', 3),
+    tokensPerDay: envInt('DAILY_TOKEN_LIMIT_ANON', 15000)
+  },
+  ip: {
+    requestsPerMinute: envInt('RATE_LIMIT_IP_PER_MINUTE', 30)
+  }
+});
+
+class RateLimitError extends Error {
+  constructor(code, userMessage, details, retryAfterSeconds) {
+    super(details);
+    this.name = 'RateLimitError';
+    this.code = code; // 'rate_limited' | 'daily_limit'
+    this.userMessage = userMessage;
+    this.details = details;
+    this.retryAfter = retryAfterSeconds;
+    this.status = 429;
+  }
+}
+
+// In-memory store for local development. State is per process, so on serverless hosts
+// each instance counts separately - use the Supabase store in production.
+const createMemoryStore = () => {
+  const counters = new Map(); // key -> { value, expiresAt }
+
+  const prune = (now) => {
+    for (const [key, counter] of counters) {
+      if (counter.expiresAt <= now) counters.delete(key);
+    }
+  };
+
+  return {
+    name: 'memory',
+    async increment(key, amount, expiresAt) {
+      const now = Date.now();
+      if (counters.size > 10000) prune(now);
+      const existing = counters.get(key);
+      const value = (existing && existing.expiresAt > now ? existing.value : 0) + amount;
+      counters.set(key, { value, expiresAt });
+      return value;
+    },
+    async get(key) {
+      const existing = counters.get(key);
+      return existing && existing.expiresAt > Date.now() ? existing.value : 0;
+    }
+  };
+};
+
+// Supabase-backed store (see supabase_rate_limits_migration.sql). Increments go through the
+// increment_rate_limit() function so concurrent requests can't lose updates.
+const createSupabaseStore = (client) => ({
+  name: 'supabase',
+  async increment(key, amount, expiresAt) {
+    const { data, error } = await client.rpc('increment_rate_limit', {
+      p_key: key,
+      p_amount: amount,
+      p_expires_at: new Date(expiresAt).toISOString()
+    });
+    if (error) throw new Error(`increment_rate_limit failed: ${error.message}`);
+
+    // Occasionally clear out expired windows so the table doesn't grow forever
+    if (Math.random() < 0.01) {
+      client.from('api_rate_limits').delete().lt('expires_at', new Date().toISOString())
+        .then(({ error: cleanupError }) => {
+          if (cleanupError) console.error('[RateLimit] Cleanup failed:', cleanupError.message);
+        });
+    }
+    return Number(data) || 0;
+  },
+  async get(key) {
+    const { data, error } = await client
+      .from('api_rate_limits')
+      .select('value, expires_at')
+      .eq('key', key)
+      .maybeSingle();
+    if (error) throw new Error(`Reading rate limit failed: ${error.message}`);
+    if (!data || new Date(data.expires_at).getTime() <= Date.now()) return 0;
+    return Number(data.value) || 0;
+  }
+});
+
+let store = null;
+
+const getStore = () => {
+  if (store) return store;
+
+  const configured = process.env.RATE_LIMIT_STORE || (process.env.SUPABASE_SERVICE_ROLE_KEY ? 'supabase' : 'memory');
+  if (configured === 'supabase') {
+    const client = getSupabaseAdmin();
+    if (client) {
+      store = createSupabaseStore(client);
+      return store;
+    }
+    console.warn('[RateLimit] RATE_LIMIT_STORE=supabase but SUPABASE_URL / SUPABASE_SERVICE_ROLE_KEY are missing; using memory store.');
+  }
+  store = createMemoryStore();
+  return store;
+};
+
+// X-Forwarded-For is whatever the client sent with one address appended per proxy, so it's only
+// read behind a trusted proxy (TRUST_PROXY=1; on by default on Vercel), and then only the last
+// entry, the one that proxy added. Otherwise a client could pick a new IP for every request.
+const trustsProxy = () => (process.env.TRUST_PROXY ? process.env.TRUST_PROXY === '1' : !!process.env.VERCEL);
+
+const getClientIp = (req) => {
+  const forwarded = req.headers?.['x-forwarded-for'];
+  if (trustsProxy() && typeof forwarded === 'string' && forwarded.length > 0) {
+    return forwarded.split(',').pop().trim();
+  }
+  return req.socket?.remoteAddress || 'unknown';
+};
+
+// Identity whose quota a request counts against: the user id, or the IP for anonymous callers
+const getQuotaSubject = (caller, ip) => (caller.anonymous ? `anon:${ip}` : `user:${caller.userId}`);
+
+const minuteWindow = (now) => {
+  const bucket = Math.floor(now / MINUTE_MS);
+  return { bucket, resetAt: (bucket + 1) * MINUTE_MS };
+};
+
+const dayWindow = (now) => {
+  const bucket = new Date(now).toISOString().split('T')[0];
+  return { bucket, resetAt: (Math.floor(now / DAY_MS) + 1) * DAY_MS };
+};
+
+const secondsUntil = (resetAt, now) => Math.max(1, Math.ceil((resetAt - now) / 1000));
+
+// Count this request and reject it if the caller or IP is over a limit.
+// Store failures are logged and let the request through rather than taking the app down.
+const enforceRateLimit = async (req, caller) => {
+  const limits = getLimits();
+  const tier = caller.anonymous ? limits.anonymous : limits.user;
+  const ip = getClientIp(req);
+  const subject = getQuotaSubject(caller, ip);
+  const now = Date.now();
+  const minute = minuteWindow(now);
+  const day = dayWindow(now);
+
+  let ipCount, subjectCount, tokensUsed;
+  try {
+    const activeStore = getStore();
+    [ipCount, subjectCount, tokensUsed] = await Promise.all([
+      activeStore.increment(`req:ip:${ip}:${minute.bucket}`, 1, minute.resetAt),
+      activeStore.increment(`req:${subject}:${minute.bucket}`, 1, minute.resetAt),
+      activeStore.get(`tokens:${subject}:${day.bucket}`)
+    ]);
+  } catch (error) {
+    console.error('[RateLimit] Store error, allowing request:', error.message);
+    return;
+  }
+
+  const ipLimit = limits.ip.requestsPerMinute;
+  if (ipCount > ipLimit || subjectCount > tier.requestsPerMinute) {
+    const retryAfter = secondsUntil(minute.resetAt, now);
+    throw new RateLimitError(
+      'rate_limited',
+      `You're logging a little fast. Please wait ${retryAfter} seconds and try again.`,
+      `Rate limit exceeded for ${ipCount > ipLimit ? `IP ${ip}` : subject}: ${Math.max(ipCount, subjectCount)} requests this minute.`,
+      retryAfter
+    );
+  }
+
+  if (tokensUsed >= tier.tokensPerDay) {
+    throw new RateLimitError(
+      'daily_limit',
+      caller.anonymous
+        ? "You've hit today's limit for AI logging. Sign up for a free account to keep going, or add foods manually."
+        : "You've hit today's limit for AI logging. It resets at midnight UTC - you can still add foods manually.",
+      `Daily token quota exhausted for ${subject}: ${tokensUsed}/${tier.tokensPerDay} tokens.`,
+      secondsUntil(day.resetAt, now)
+    );
+  }
+};
+
+// Add a completion's token usage to the caller's daily quota
+const recordTokenUsage = async (req, caller, usage) => {
+  const totalTokens = Number(usage?.total_tokens) || 0;
+  if (totalTokens <= 0) return;
+
+  const now = Date.now();
+  const day = dayWindow(now);
+  const subject = getQuotaSubject(caller, getClientIp(req));
+  try {
+    await getStore().increment(`tokens:${subject}:${day.bucket}`, totalTokens, day.resetAt);
+  } catch (error) {
+    console.error('[RateLimit] Failed to record token usage:', error.message);
+  }
+};
+
+const sendRateLimitError = (res, error) => {
+  console.warn('[RateLimit] Rejected request:', error.details);
+  res.setHeader('Retry-After', String(error.retryAfter));
+  res.status(429).json({
+    error: error.userMessage,
+    details: error.details,
+    code: error.code,
+    retryAfter: error.retryAfter
+  });
+};
+
+module.exports = {
+  RateLimitError,
+  createMemoryStore,
+  createSupabaseStore,
+  getClientIp,
+  getQuotaSubject,
+  enforceRateLimit,
+  recordTokenUsage,
+  sendRateLimitError
+};
@@ -0,0 +1,72 @@
+/**
+ * @jest-environment node
+ */
+const { RateLimitError, enforceRateLimit, getClientIp, recordTokenUsage } = require('./rateLimit');
+
+const ANONYMOUS = { userId: null, anonymous: true };
+
+const request = (remoteAddress, forwardedFor) => ({
+  headers: forwardedFor ? { 'x-forwarded-for': forwardedFor } : {},
+  socket: { remoteAddress }
+});
+
+const rejection = async (promise) => {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+describe('getClientIp', () => {
+  afterEach(() => {
+    delete process.env.TRUST_PROXY;
+  });
+
+  test('ignores X-Forwarded-For without a trusted proxy', () => {
+    expect(getClientIp(request('203.0.113.7', '198.51.100.1'))).toBe('203.0.113.7');
+  });
+
+  test('takes the entry the trusted proxy added, not the one the client sent', () => {
+    process.env.TRUST_PROXY = '1';
+    expect(getClientIp(request('10.0.0.2', '198.51.100.1, 203.0.113.7'))).toBe('203.0.113.7');
+  });
+});
+
+describe('enforceRateLimit', () => {
+  const env = { ...process.env };
+  let spoofed = 0;
+  // A new made-up address on every request
+  const spoofedRequest = (remoteAddress) => request(remoteAddress, `198.51.100.${++spoofed}`);
+
+  beforeEach(() => {
+    Object.assign(process.env, {
+      RATE_LIMIT_STORE: 'memory',
+      RATE_LIMIT_ANON_PER_MINUTE: '3',
+      RATE_LIMIT_IP_PER_MINUTE: '30',
+      DAILY_TOKEN_LIMIT_ANON: '1000'
+    });
+    // Keep every request in the same minute window
+    jest.spyOn(Date, 'now').mockReturnValue(Date.UTC(2026, 9, 19, 12, 0, 30));
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  test('a spoofed X-Forwarded-For does not reset the anonymous counter', async () => {
+    for (let i = 0; i < 3; i++) await enforceRateLimit(spoofedRequest('203.0.113.10'), ANONYMOUS);
+    const error = await rejection(enforceRateLimit(spoofedRequest('203.0.113.10'), ANONYMOUS));
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error.code).toBe('rate_limited');
+  });
+
+  test('a spoofed X-Forwarded-For does not reset the daily token quota', async () => {
+    await recordTokenUsage(spoofedRequest('203.0.113.11'), ANONYMOUS, { total_tokens: 1000 });
+    const error = await rejection(enforceRateLimit(spoofedRequest('203.0.113.11'), ANONYMOUS));
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error.code).toBe('daily_limit');
+  });
+});
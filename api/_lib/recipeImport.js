@@ -0,0 +1,253 @@
+// Recipe import for /api/recipes/import: load a recipe page (or take pasted HTML) and pull out the
+// schema.org Recipe JSON-LD that recipe sites embed for search engines - name, ingredient lines,
+// yield, and the per-serving nutrition block when the site provides one.
+
+const dns = require('dns').promises;
+const net = require('net');
+
+const MAX_HTML_BYTES = 3 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_REDIRECTS = 3;
+const MAX_INGREDIENTS = 40;
+const MAX_INGREDIENT_LENGTH = 200;
+const MAX_SERVINGS = 100;
+
+const JSON_LD_PATTERN = /<script\b[^>]*\btype\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi;
+
+// NutritionInformation properties, values like "240 kcal" or "12 g"
+const NUTRITION_PROPERTIES = {
+  calories: 'calories',
+  protein: 'proteinContent',
+  carbs: 'carbohydrateContent',
+  fat: 'fatContent'
+};
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  frac12: '½', frac14: '¼', frac34: '¾', frac13: '⅓', frac23: '⅔', deg: '°', ndash: '–', mdash: '—'
+};
+
+class RecipeImportError extends Error {
+  constructor(userMessage, details, status = 400) {
+    super(details);
+    this.name = 'RecipeImportError';
+    this.userMessage = userMessage;
+    this.details = details;
+    this.status = status;
+  }
+}
+
+const decodeEntities = (text) => text.replace(/&(#x[\da-f]+|#\d+|[a-z\d]+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return Number.isFinite(point) && point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+  }
+  return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+});
+
+// Sites put HTML and entities (sometimes double-encoded) into JSON-LD strings
+const cleanText = (value) => {
+  if (typeof value !== 'string') return '';
+  return decodeEntities(decodeEntities(value))
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+const isPrivateAddress = (address) => {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31)
+      || (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127);
+  }
+  const lower = address.toLowerCase();
+  if (lower.startsWith('::ffff:')) return isPrivateAddress(lower.slice(7));
+  return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower);
+};
+
+// Only public http(s) hosts, so the endpoint can't be pointed at the server's own network
+const checkRecipeUrl = async (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new RecipeImportError('That doesn\'t look like a web address.', `Invalid URL: ${String(value).substring(0, 200)}`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new RecipeImportError('That doesn\'t look like a web address.', `Unsupported protocol "${url.protocol}".`);
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.lookup(hostname, { all: true });
+  } catch (error) {
+    throw new RecipeImportError('Couldn\'t find that website. Check the address.', `DNS lookup failed for ${hostname}: ${error.message}`);
+  }
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new RecipeImportError('That address can\'t be imported from.', `${hostname} resolves to a private address.`);
+  }
+  return url;
+};
+
+// Reads at most MAX_HTML_BYTES; the JSON-LD is almost always in the <head>, so a cut-off page is still useful
+const readLimitedText = async (response) => {
+  const reader = response.body.getReader();
+  const chunks = [];
+  let total = 0;
+  while (total < MAX_HTML_BYTES) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    total += value.length;
+  }
+  await reader.cancel().catch(() => {});
+  return Buffer.concat(chunks).subarray(0, MAX_HTML_BYTES).toString('utf8');
+};
+
+// Fetches a recipe page, following redirects by hand so every hop goes through checkRecipeUrl
+const fetchRecipePage = async (pageUrl) => {
+  let url = await checkRecipeUrl(pageUrl);
+  for (let redirects = 0; ; redirects++) {
+    let response;
+    try {
+      response = await fetch(url, {
+        redirect: 'manual',
+        signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+        headers: {
+          Accept: 'text/html,application/xhtml+xml',
+          'User-Agent': 'Mozilla/5.0 (compatible; CalorieTrackerRecipeImport/1.0)'
+        }
+      });
+    } catch (error) {
+      throw new RecipeImportError('Couldn\'t load that page. Try pasting its HTML instead.', `Fetch failed for ${url.href}: ${error.message}`, 502);
+    }
+
+    const location = response.headers.get('location');
+    if (response.status >= 300 && response.status < 400 && location) {
+      if (redirects >= MAX_REDIRECTS) {
+        throw new RecipeImportError('Couldn\'t load that page. Try pasting its HTML instead.', `Too many redirects from ${pageUrl}.`, 502);
+      }
+      url = await checkRecipeUrl(new URL(location, url).href);
+      continue;
+    }
+    if (!response.ok) {
+      throw new RecipeImportError(
+        'Couldn\'t load that page. Some sites block imports - try pasting its HTML instead.',
+        `HTTP ${response.status} from ${url.href}`,
+        502
+      );
+    }
+    return { html: await readLimitedText(response), url: url.href };
+  }
+};
+
+const parseJsonLd = (text) => {
+  const json = text.trim().replace(/^<!\[CDATA\[|\]\]>$/g, '').replace(/^\/\*[\s\S]*?\*\//, '');
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    // Raw newlines and tabs inside strings are a common hand-written JSON-LD mistake
+    try {
+      return JSON.parse(json.replace(/[\n\r\t]+/g, ' '));
+    } catch (retryError) {
+      return null;
+    }
+  }
+};
+
+const isRecipeNode = (node) => {
+  const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+  return types.some(type => typeof type === 'string' && type.replace(/^.*[/:]/, '') === 'Recipe');
+};
+
+// Recipes can sit at the top level, in a list, in @graph or under a WebPage's mainEntity
+const findRecipeNode = (value, depth = 0) => {
+  if (!value || typeof value !== 'object' || depth > 5) return null;
+  if (Array.isArray(value)) {
+    for (const entry of value) {
+      const found = findRecipeNode(entry, depth + 1);
+      if (found) return found;
+    }
+    return null;
+  }
+  if (isRecipeNode(value)) return value;
+  return findRecipeNode(value['@graph'], depth + 1) || findRecipeNode(value.mainEntity, depth + 1);
+};
+
+// "4", 4, "4 servings", "Serves 4-6", ["4", "4 bowls"] -> 4
+const readServings = (recipeYield) => {
+  const values = Array.isArray(recipeYield) ? recipeYield : [recipeYield];
+  for (const value of values) {
+    const n = typeof value === 'number' ? value : parseFloat(cleanText(String(value ?? '')).replace(/^[^\d]+/, ''));
+    if (Number.isFinite(n) && n > 0) return Math.min(Math.round(n * 10) / 10, MAX_SERVINGS);
+  }
+  return null;
+};
+
+const readYieldText = (recipeYield) => {
+  const values = (Array.isArray(recipeYield) ? recipeYield : [recipeYield]).map(value => cleanText(String(value ?? '')));
+  // Prefer "4 servings" over a bare "4"
+  return values.find(value => /[a-z]/i.test(value)) || values.find(Boolean) || null;
+};
+
+const readAmount = (value) => {
+  const text = cleanText(typeof value === 'number' ? String(value) : value).replace(/,/g, '');
+  const n = parseFloat(text.replace(/^[^\d.]+/, ''));
+  if (!Number.isFinite(n) || n < 0) return null;
+  return /kj\b/i.test(text) ? n / 4.184 : n;
+};
+
+// Per-serving values from the recipe's NutritionInformation, or null without at least calories
+const readNutrition = (nutrition) => {
+  if (!nutrition || typeof nutrition !== 'object') return null;
+  const values = Object.fromEntries(Object.entries(NUTRITION_PROPERTIES).map(([field, property]) => {
+    const amount = readAmount(nutrition[property]);
+    return [field, amount === null ? null : Math.round(amount)];
+  }));
+  return values.calories ? values : null;
+};
+
+const readIngredients = (node) => {
+  const raw = node.recipeIngredient ?? node.ingredients ?? [];
+  return (Array.isArray(raw) ? raw : [raw])
+    .map(line => cleanText(line).substring(0, MAX_INGREDIENT_LENGTH))
+    // Section headings ("For the sauce:") aren't ingredients
+    .filter(line => line && !/:$/.test(line))
+    .slice(0, MAX_INGREDIENTS);
+};
+
+// { name, url, servings, yield, ingredients: [line], nutrition: { calories, protein, carbs, fat } | null }
+// servings is null when the recipe doesn't say; nutrition fields the site leaves out are null
+const extractRecipe = (html, { url = null } = {}) => {
+  let node = null;
+  for (const [, block] of String(html).matchAll(JSON_LD_PATTERN)) {
+    node = findRecipeNode(parseJsonLd(block));
+    if (node) break;
+  }
+  if (!node) {
+    throw new RecipeImportError(
+      'Couldn\'t find a recipe on that page. It needs schema.org recipe data, which most recipe sites include.',
+      'No schema.org Recipe found in the page\'s JSON-LD.',
+      422
+    );
+  }
+
+  const ingredients = readIngredients(node);
+  const nutrition = readNutrition(node.nutrition);
+  if (ingredients.length === 0 && !nutrition) {
+    throw new RecipeImportError('That recipe has no ingredients or nutrition to import.', 'Recipe JSON-LD has neither recipeIngredient nor nutrition.', 422);
+  }
+
+  const pageUrl = typeof node.url === 'string' && /^https?:\/\//.test(node.url) ? node.url : url;
+  return {
+    name: cleanText(Array.isArray(node.name) ? node.name[0] : node.name).substring(0, 200) || 'Recipe',
+    url: pageUrl,
+    servings: readServings(node.recipeYield ?? node.yield),
+    yield: readYieldText(node.recipeYield ?? node.yield),
+    ingredients,
+    nutrition
+  };
+};
+
+module.exports = { MAX_HTML_BYTES, RecipeImportError, extractRecipe, fetchRecipePage };
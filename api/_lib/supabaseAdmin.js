@@ -0,0 +1,22 @@
+// Server-side Supabase client using the service role key.
+// Only used for server-owned tables (rate limits, caches); never expose this key to the browser.
+
+const { createClient } = require('@supabase/supabase-js');
+
+let adminClient = null;
+
+// Returns null when the service role isn't configured (e.g. local development)
+const getSupabaseAdmin = () => {
+  if (adminClient) return adminClient;
+
+  const url = process.env.SUPABASE_URL || process.env.REACT_APP_SUPABASE_URL;
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!url || !serviceRoleKey) return null;
+
+  adminClient = createClient(url, serviceRoleKey, {
+    auth: { persistSession: false, autoRefreshToken: false }
+  });
+  return adminClient;
+};
+
+module.exports = { getSupabaseAdmin };
@@ -0,0 +1,137 @@
+// Speech-to-text backends for /api/transcribe, driven by environment config:
+//
+//   TRANSCRIBE_PROVIDER=openai             (default) OPENAI_API_KEY, optional TRANSCRIBE_MODEL (default whisper-1)
+//   TRANSCRIBE_PROVIDER=openai-compatible  TRANSCRIBE_BASE_URL (e.g. http://localhost:8000/v1) for servers with the
+//                                          OpenAI /audio/transcriptions API, optional TRANSCRIBE_API_KEY, TRANSCRIBE_MODEL
+//   TRANSCRIBE_PROVIDER=whisper-cpp        TRANSCRIBE_BASE_URL of a whisper.cpp server (e.g. http://localhost:8080)
+//   TRANSCRIBE_PROVIDER=mock               returns MOCK_TRANSCRIPT (or a fixed meal) without any audio processing
+//
+// Every backend exposes { name, model, transcribe({ buffer, mimeType }) } resolving to the transcript text.
+
+const DEFAULT_OPENAI_MODEL = 'whisper-1';
+const DEFAULT_MOCK_TRANSCRIPT = '2 eggs and toast with butter';
+
+// Browsers record webm/opus (Chrome, Firefox) or mp4/aac (Safari); the file name tells the server which
+const EXTENSIONS = {
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'm4a',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav'
+};
+
+class TranscriptionConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TranscriptionConfigError';
+  }
+}
+
+class TranscriptionError extends Error {
+  constructor(userMessage, details, status = 502) {
+    super(details);
+    this.name = 'TranscriptionError';
+    this.userMessage = userMessage;
+    this.details = details;
+    this.status = status;
+  }
+}
+
+const getExtension = (mimeType) => EXTENSIONS[mimeType.split(';')[0]] || 'webm';
+
+const buildAudioForm = (buffer, mimeType, fields) => {
+  const form = new FormData();
+  form.append('file', new Blob([buffer], { type: mimeType }), `recording.${getExtension(mimeType)}`);
+  Object.entries(fields).forEach(([key, value]) => form.append(key, value));
+  return form;
+};
+
+const readTranscript = async (response, name) => {
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new TranscriptionError('Transcription failed. Please try again.', `${name} HTTP ${response.status}: ${errorText}`);
+  }
+  const data = await response.json();
+  return typeof data.text === 'string' ? data.text.trim() : '';
+};
+
+// OpenAI's /audio/transcriptions, also served by faster-whisper-server, LocalAI and others
+const createOpenAICompatibleTranscriber = ({ name, baseUrl, apiKey, model }) => ({
+  name,
+  model,
+  transcribe: async ({ buffer, mimeType }) => {
+    const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/audio/transcriptions`, {
+      method: 'POST',
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      body: buildAudioForm(buffer, mimeType, { model, response_format: 'json' })
+    });
+    return readTranscript(response, name);
+  }
+});
+
+// whisper.cpp's examples/server (POST /inference). Start it with --convert so it accepts webm/mp4
+// through ffmpeg; the model is whatever the server was started with.
+const createWhisperCppTranscriber = ({ baseUrl }) => ({
+  name: 'whisper-cpp',
+  model: 'whisper.cpp',
+  transcribe: async ({ buffer, mimeType }) => {
+    const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/inference`, {
+      method: 'POST',
+      body: buildAudioForm(buffer, mimeType, { response_format: 'json', temperature: '0' })
+    });
+    return readTranscript(response, 'whisper-cpp');
+  }
+});
+
+const createMockTranscriber = () => ({
+  name: 'mock',
+  model: 'mock-whisper',
+  transcribe: async () => process.env.MOCK_TRANSCRIPT || DEFAULT_MOCK_TRANSCRIPT
+});
+
+let transcriber = null;
+
+const createTranscriber = () => {
+  const providerName = (process.env.TRANSCRIBE_PROVIDER || 'openai').toLowerCase();
+
+  switch (providerName) {
+    case 'openai':
+      if (!process.env.OPENAI_API_KEY) {
+        throw new TranscriptionConfigError('Missing OPENAI_API_KEY in environment.');
+      }
+      return createOpenAICompatibleTranscriber({
+        name: 'openai',
+        baseUrl: 'https://api.openai.com/v1',
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.TRANSCRIBE_MODEL || DEFAULT_OPENAI_MODEL
+      });
+    case 'openai-compatible':
+      if (!process.env.TRANSCRIBE_BASE_URL) {
+        throw new TranscriptionConfigError('TRANSCRIBE_PROVIDER=openai-compatible requires TRANSCRIBE_BASE_URL (e.g. http://localhost:8000/v1).');
+      }
+      return createOpenAICompatibleTranscriber({
+        name: 'openai-compatible',
+        baseUrl: process.env.TRANSCRIBE_BASE_URL,
+        apiKey: process.env.TRANSCRIBE_API_KEY,
+        model: process.env.TRANSCRIBE_MODEL || DEFAULT_OPENAI_MODEL
+      });
+    case 'whisper-cpp':
+      if (!process.env.TRANSCRIBE_BASE_URL) {
+        throw new TranscriptionConfigError('TRANSCRIBE_PROVIDER=whisper-cpp requires TRANSCRIBE_BASE_URL (e.g. http://localhost:8080).');
+      }
+      return createWhisperCppTranscriber({ baseUrl: process.env.TRANSCRIBE_BASE_URL });
+    case 'mock':
+      return createMockTranscriber();
+    default:
+      throw new TranscriptionConfigError(`Unknown TRANSCRIBE_PROVIDER "${providerName}". Use openai, openai-compatible, whisper-cpp or mock.`);
+  }
+};
+
+// Resolved once per process; throws TranscriptionConfigError when the environment is incomplete
+const getTranscriber = () => {
+  if (!transcriber) transcriber = createTranscriber();
+  return transcriber;
+};
+
+module.exports = { TranscriptionConfigError, TranscriptionError, getTranscriber };
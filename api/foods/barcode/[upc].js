@@ -0,0 +1,34 @@
+const { normalizeBarcode, lookupBarcode } = require('../../_lib/openFoodFacts');
+
+// GET /api/foods/barcode/:upc
+// Returns: { product: { barcode, name, brand, quantity, per100g, servings: [{ label, amount, unit, calories, protein, carbs, fat }], source, url } }
+// Looks the code up in the local Open Food Facts import (see scripts/import-openfoodfacts.js).
+module.exports = async (req, res) => {
+  if (req.method !== 'GET') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  // Vercel passes the [upc] segment in req.query; the Express dev server in req.params
+  const upc = req.query?.upc || req.params?.upc || '';
+  if (!normalizeBarcode(upc)) {
+    res.status(400).json({
+      error: "That doesn't look like a barcode. Enter the 8 to 13 digits under the bars.",
+      details: `Invalid barcode "${String(upc).substring(0, 30)}".`
+    });
+    return;
+  }
+
+  const product = lookupBarcode(upc);
+  if (!product) {
+    res.status(404).json({
+      error: "We couldn't find that product. Try describing it in the chat instead.",
+      details: `Barcode ${normalizeBarcode(upc)} is not in the local Open Food Facts data.`
+    });
+    return;
+  }
+
+  console.log('[Barcode API] Found:', product.barcode, product.brand, product.name);
+  res.setHeader('Cache-Control', 'public, max-age=86400');
+  res.status(200).json({ product });
+};
@@ -0,0 +1,38 @@
+const { searchFoods } = require('../_lib/foodDatabase');
+
+const MAX_QUERY_LENGTH = 100;
+const MAX_LIMIT = 25;
+
+// GET /api/foods/search?q=banana&limit=10
+// Returns: { foods: [{ fdcId, description, dataType, name, per100g, portions, defaultUnit }] }
+// Searches the bundled USDA subset only, so there's no AI cost and no sign-in needed.
+module.exports = async (req, res) => {
+  if (req.method !== 'GET') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  const query = typeof req.query?.q === 'string' ? req.query.q.trim() : '';
+  if (!query) {
+    res.status(400).json({ error: 'Enter a food to search for.', details: 'Missing "q" query parameter.' });
+    return;
+  }
+  if (query.length > MAX_QUERY_LENGTH) {
+    res.status(400).json({ error: 'That search is too long.', details: `"q" must be at most ${MAX_QUERY_LENGTH} characters.` });
+    return;
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), MAX_LIMIT);
+  const foods = searchFoods(query, limit).map(({ fdcId, description, dataType, name, per100g, portions, defaultUnit }) => ({
+    fdcId,
+    description,
+    dataType,
+    name,
+    per100g,
+    portions: portions.map(({ unit, label, grams }) => ({ unit, label, grams })),
+    defaultUnit
+  }));
+
+  res.setHeader('Cache-Control', 'public, max-age=3600');
+  res.status(200).json({ foods });
+};
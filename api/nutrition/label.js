@@ -0,0 +1,97 @@
+const { getJsonBody } = require('../_lib/http');
+const { authenticateRequest, sendAuthError } = require('../_lib/auth');
+const { RateLimitError, enforceRateLimit, recordTokenUsage, sendRateLimitError } = require('../_lib/rateLimit');
+const { getLlmProvider } = require('../_lib/llm');
+const { NutritionParseError, extractCompletionText } = require('../_lib/nutritionResponse');
+const { MAX_LABEL_COMPLETION_TOKENS, buildLabelMessages, buildLabelResponseFormat, parseLabelFacts } = require('../_lib/nutritionLabel');
+const { MAX_LABEL_IMAGE_DIMENSION, MealImageError, prepareMealImage } = require('../_lib/mealImage');
+
+// POST /api/nutrition/label
+// Body: { image } - a photo of a Nutrition Facts panel as a data URL
+// Returns: { label: { name, servingSize, servingGrams, servingsPerContainer, calories, protein, carbs, fat } }
+// with values per serving as printed; fields the model couldn't read are null. A photo without a
+// readable label gets a 422. Counts against the same rate limits and token quota as parsing.
+module.exports = async (req, res) => {
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  let provider;
+  try {
+    provider = getLlmProvider();
+  } catch (error) {
+    res.status(500).json({ error: 'AI service is not configured.', details: error.message });
+    return;
+  }
+  if (!provider.supportsVision) {
+    res.status(400).json({
+      error: "Label scanning isn't available right now. Enter the numbers by hand instead.",
+      details: `The ${provider.name} provider (${provider.model}) is not configured for images. Set LLM_VISION=1 if the model accepts them.`
+    });
+    return;
+  }
+
+  let caller;
+  try {
+    caller = authenticateRequest(req, { allowAnonymous: true });
+    await enforceRateLimit(req, caller);
+  } catch (error) {
+    if (error instanceof RateLimitError) {
+      sendRateLimitError(res, error);
+      return;
+    }
+    sendAuthError(res, error);
+    return;
+  }
+
+  let body;
+  try {
+    body = await getJsonBody(req);
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid request.', details: `Request body is not valid JSON: ${error.message}` });
+    return;
+  }
+
+  try {
+    const requestStart = Date.now();
+    const image = await prepareMealImage(body.image, { maxDimension: MAX_LABEL_IMAGE_DIMENSION });
+    const structuredOutput = !!provider.supportsJsonSchema;
+
+    console.log('[Label API] Request:', {
+      user: caller.anonymous ? 'anonymous' : caller.userId,
+      image: `${image.width}x${image.height}, ${Math.round(image.bytes / 1024)} KB${image.resized ? ' (downscaled)' : ''}`,
+      provider: provider.name,
+      model: provider.model
+    });
+
+    const response = await provider.chatCompletion({
+      messages: buildLabelMessages(image.dataUrl),
+      maxTokens: MAX_LABEL_COMPLETION_TOKENS,
+      responseFormat: structuredOutput ? buildLabelResponseFormat() : undefined
+    });
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error(`[Label API] ${provider.name} error response:`, errorText);
+      throw new NutritionParseError(
+        'Unable to connect to AI service. Please try again.',
+        `HTTP ${response.status}: ${errorText}`
+      );
+    }
+
+    const data = await response.json();
+    await recordTokenUsage(req, caller, data.usage);
+    const label = parseLabelFacts(extractCompletionText(data));
+
+    console.log(`[PERF-API] Label read in ${((Date.now() - requestStart) / 1000).toFixed(2)}s`);
+    res.status(200).json({ label });
+  } catch (error) {
+    if (error instanceof MealImageError || error instanceof NutritionParseError) {
+      console.error('[Label API] Failed:', error.details);
+      res.status(error.status).json({ error: error.userMessage, details: error.details });
+      return;
+    }
+    console.error('[Label API] Exception:', error.message);
+    res.status(500).json({ error: 'Failed to read the label. Please try again.', details: error.message });
+  }
+};
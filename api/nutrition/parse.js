@@ -0,0 +1,271 @@
+const { getJsonBody, startEventStream, sendEvent } = require('../_lib/http');
+const { readCompletionStream } = require('../_lib/openaiStream');
+const { authenticateRequest, sendAuthError } = require('../_lib/auth');
+const { RateLimitError, enforceRateLimit, recordTokenUsage, sendRateLimitError, getClientIp, getQuotaSubject } = require('../_lib/rateLimit');
+const { getLlmProvider } = require('../_lib/llm');
+const {
+  PROMPT_VERSION,
+  MAX_COMPLETION_TOKENS,
+  MAX_INPUT_LENGTH,
+  ANONYMOUS_MAX_INPUT_LENGTH,
+  sanitizeMacroToggles,
+  trackedMicronutrients,
+  sanitizeRecipes,
+  sanitizeCustomNutrients,
+  sanitizeUnitSystem,
+  getPromptCorrections,
+  buildNutritionMessages,
+  buildNutritionResponseFormat
+} = require('../_lib/nutritionPrompt');
+const { NutritionParseError, extractCompletionText, parseNutritionItems, createItemStreamParser } = require('../_lib/nutritionResponse');
+const { repairNutritionItems } = require('../_lib/nutritionRepair');
+const { getNutritionCacheKey, getCachedItems, setCachedItems } = require('../_lib/nutritionCache');
+const { findMentionedRecipes, resolveFoodText } = require('../_lib/foodDatabase');
+const { MealImageError, prepareMealImage } = require('../_lib/mealImage');
+const { extractLogTarget } = require('../_lib/logTarget');
+
+// POST /api/nutrition/parse
+// Body: { text, image, history, macroToggles, corrections, recipes, units, customNutrients, today, stream }
+// image is an optional meal photo as a data URL (text is then an optional note about it); today is
+// the app's local "YYYY-MM-DD"; units is 'us' or 'metric'.
+// Returns: { items: [{ item, calories, protein, carbs, fat, source, error, fdcId?, recipeId? }], cached, local, target }
+// Items also carry the tracked micronutrients and, when there are any, vitamins and custom maps.
+// target is { date, time, meal } when the text says when the food was eaten, else null.
+// With stream: true, responds with server-sent events instead: "item" ({ index, item }) as each item
+// completes, then "done" ({ items, cached, local, target }) with the validated list, or "error" ({ error, details, status }).
+// Signed-in callers send their Supabase access token; callers without one get the anonymous tier.
+module.exports = async (req, res) => {
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  let provider;
+  try {
+    provider = getLlmProvider();
+  } catch (error) {
+    res.status(500).json({ error: 'AI service is not configured.', details: error.message });
+    return;
+  }
+
+  let caller;
+  try {
+    caller = authenticateRequest(req, { allowAnonymous: true });
+    await enforceRateLimit(req, caller);
+  } catch (error) {
+    if (error instanceof RateLimitError) {
+      sendRateLimitError(res, error);
+      return;
+    }
+    sendAuthError(res, error);
+    return;
+  }
+
+  let body;
+  try {
+    body = await getJsonBody(req);
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid request.', details: `Request body is not valid JSON: ${error.message}` });
+    return;
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    res.status(400).json({ error: 'Invalid request.', details: 'Request body must be a JSON object.' });
+    return;
+  }
+
+  const input = typeof body.text === 'string' ? body.text.trim() : '';
+  const hasImage = body.image !== undefined && body.image !== null;
+  if (!input && !hasImage) {
+    res.status(400).json({ error: 'Please describe what you ate.', details: 'Missing "text" in request body.' });
+    return;
+  }
+  const maxInputLength = caller.anonymous ? ANONYMOUS_MAX_INPUT_LENGTH : MAX_INPUT_LENGTH;
+  if (input.length > maxInputLength) {
+    res.status(400).json({
+      error: caller.anonymous
+        ? 'That description is too long. Sign up for longer entries, or try fewer items.'
+        : 'That description is too long. Try entering fewer items.',
+      details: `"text" must be at most ${maxInputLength} characters (got ${input.length}).`
+    });
+    return;
+  }
+  const { text, target } = extractLogTarget(input, body.today);
+
+  let image = null;
+  if (hasImage) {
+    if (!provider.supportsVision) {
+      res.status(400).json({
+        error: "Photo logging isn't available right now. Describe your meal in words instead.",
+        details: `The ${provider.name} provider (${provider.model}) is not configured for images. Set LLM_VISION=1 if the model accepts them.`
+      });
+      return;
+    }
+    try {
+      const imageStart = Date.now();
+      const prepared = await prepareMealImage(body.image);
+      image = prepared.dataUrl;
+      console.log(`[PERF-API] Photo ready in ${((Date.now() - imageStart) / 1000).toFixed(2)}s: ${prepared.width}x${prepared.height}, ${Math.round(prepared.bytes / 1024)} KB${prepared.resized ? ' (downscaled)' : ''}`);
+    } catch (error) {
+      if (error instanceof MealImageError) {
+        res.status(error.status).json({ error: error.userMessage, details: error.details });
+        return;
+      }
+      console.error('[Nutrition API] Photo processing failed:', error.message);
+      res.status(500).json({ error: 'Failed to process your photo. Please try again.', details: error.message });
+      return;
+    }
+  }
+
+  const stream = body.stream === true;
+  let streamStarted = false;
+
+  try {
+    const requestStart = Date.now();
+
+    // Simple inputs come straight from the local USDA data and saved recipes; follow-ups like
+    // "make that 3" never match them. Photos and custom nutrients always go to the model.
+    const recipes = findMentionedRecipes(text, sanitizeRecipes(body.recipes));
+    const customNutrients = sanitizeCustomNutrients(body.customNutrients);
+    const localItems = !image && customNutrients.length === 0 && resolveFoodText(text, {
+      corrections: getPromptCorrections(body.corrections, caller.anonymous),
+      recipes,
+      micronutrients: trackedMicronutrients(sanitizeMacroToggles(body.macroToggles))
+    });
+    if (localItems) {
+      console.log(`[PERF-API] Resolved from local food data in ${((Date.now() - requestStart) / 1000).toFixed(2)}s, ${localItems.length} items`);
+      if (stream) {
+        startEventStream(res);
+        sendEvent(res, 'done', { items: localItems, cached: false, local: true, target });
+        res.end();
+        return;
+      }
+      res.status(200).json({ items: localItems, cached: false, local: true, target });
+      return;
+    }
+
+    // Photos are never cached
+    const cacheSubject = getQuotaSubject(caller, getClientIp(req));
+    const cacheKey = !image && getNutritionCacheKey({
+      subject: cacheSubject,
+      text,
+      macroToggles: sanitizeMacroToggles(body.macroToggles),
+      corrections: getPromptCorrections(body.corrections, caller.anonymous),
+      recipes,
+      customNutrients,
+      units: sanitizeUnitSystem(body.units),
+      promptVersion: PROMPT_VERSION,
+      model: provider.model
+    });
+    const cachedItems = await getCachedItems(cacheKey);
+    if (cachedItems) {
+      console.log(`[PERF-API] Cache hit in ${((Date.now() - requestStart) / 1000).toFixed(2)}s, ${cachedItems.length} items`);
+      if (stream) {
+        startEventStream(res);
+        sendEvent(res, 'done', { items: cachedItems, cached: true, local: false, target });
+        res.end();
+        return;
+      }
+      res.status(200).json({ items: cachedItems, cached: true, local: false, target });
+      return;
+    }
+
+    const structuredOutput = !!provider.supportsJsonSchema;
+    const responseFormat = structuredOutput ? buildNutritionResponseFormat(body.macroToggles, customNutrients) : undefined;
+    const messages = buildNutritionMessages({
+      text,
+      image,
+      history: body.history,
+      macroToggles: body.macroToggles,
+      corrections: body.corrections,
+      recipes,
+      units: body.units,
+      customNutrients,
+      anonymous: caller.anonymous,
+      structuredOutput
+    });
+
+    console.log('[Nutrition API] Request:', {
+      user: caller.anonymous ? 'anonymous' : caller.userId,
+      text_preview: text.substring(0, 100),
+      photo: !!image,
+      history_length: messages.length - 2,
+      provider: provider.name,
+      model: provider.model,
+      structured_output: structuredOutput,
+      stream
+    });
+
+    const apiCallStart = Date.now();
+    const response = await provider.chatCompletion({ messages, maxTokens: MAX_COMPLETION_TOKENS, stream, responseFormat });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error(`[Nutrition API] ${provider.name} error response:`, errorText);
+      throw new NutritionParseError(
+        'Unable to connect to AI service. Please try again.',
+        `HTTP ${response.status}: ${errorText}`
+      );
+    }
+
+    let data;
+    let firstItemDuration = null;
+    if (stream) {
+      // Send each item as soon as its JSON object is complete, then the validated list
+      startEventStream(res);
+      streamStarted = true;
+      const itemParser = createItemStreamParser((item, index) => {
+        if (firstItemDuration === null) {
+          firstItemDuration = ((Date.now() - apiCallStart) / 1000).toFixed(2);
+          console.log(`[PERF-API] First item streamed after ${firstItemDuration}s`);
+        }
+        sendEvent(res, 'item', { index, item });
+      });
+      data = await readCompletionStream(response, { onContent: (delta) => itemParser.push(delta) });
+    } else {
+      data = await response.json();
+    }
+    const apiCallDuration = ((Date.now() - apiCallStart) / 1000).toFixed(2);
+    console.log(`[PERF-API] ${provider.name} API call completed in ${apiCallDuration}s`);
+
+    await recordTokenUsage(req, caller, data.usage);
+    const replyText = extractCompletionText(data);
+    let items;
+    try {
+      items = parseNutritionItems(replyText);
+    } catch (parseError) {
+      if (!(parseError instanceof NutritionParseError) || !parseError.repairable) throw parseError;
+      items = await repairNutritionItems({ req, caller, provider, messages, responseFormat, badReply: replyText, parseError });
+    }
+    await setCachedItems(cacheKey, cacheSubject, items);
+
+    const totalDuration = ((Date.now() - requestStart) / 1000).toFixed(2);
+    console.log(`[PERF-API] Total parse handler time: ${totalDuration}s (${provider.name} API: ${apiCallDuration}s${firstItemDuration !== null ? `, first item: ${firstItemDuration}s` : ''}), ${items.length} items`);
+
+    if (stream) {
+      sendEvent(res, 'done', { items, cached: false, local: false, target });
+      res.end();
+      return;
+    }
+    res.status(200).json({ items, cached: false, local: false, target });
+  } catch (error) {
+    const isParseError = error instanceof NutritionParseError;
+    if (isParseError) {
+      console.error('[Nutrition API] Parse failed:', error.details);
+    } else {
+      console.error('[Nutrition API] Exception:', error.message);
+      console.error('[Nutrition API] Stack:', error.stack);
+    }
+    const status = isParseError ? error.status : 500;
+    const payload = isParseError
+      ? { error: error.userMessage, details: error.details }
+      : { error: 'Failed to process your food. Please try again.', details: error.message };
+
+    // Once the event stream has started the status is already 200, so report the failure as an event
+    if (streamStarted) {
+      sendEvent(res, 'error', { ...payload, status });
+      res.end();
+      return;
+    }
+    res.status(status).json(payload);
+  }
+};
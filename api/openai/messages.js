@@ -1,27 +1,12 @@
-const getJsonBody = async (req) => {
-  if (req.body && typeof req.body === 'object') return req.body;
-  if (typeof req.body === 'string' && req.body.length > 0) {
-    return JSON.parse(req.body);
-  }
+const { getJsonBody, startEventStream } = require('../_lib/http');
+const { readCompletionStream } = require('../_lib/openaiStream');
+const { authenticateRequest, sendAuthError } = require('../_lib/auth');
+const { RateLimitError, enforceRateLimit, recordTokenUsage, sendRateLimitError } = require('../_lib/rateLimit');
+const { getLlmProvider } = require('../_lib/llm');
 
-  return new Promise((resolve, reject) => {
-    let data = '';
-    req.on('data', (chunk) => {
-      data += chunk;
-    });
-    req.on('end', () => {
-      if (!data) {
-        resolve({});
-        return;
-      }
-      try {
-        resolve(JSON.parse(data));
-      } catch (error) {
-        reject(error);
-      }
-    });
-  });
-};
+// Raw chat-completions proxy. Requires a signed-in Supabase session; anonymous users
+// go through /api/nutrition/parse, which has its own limited tier.
+// The model is chosen by the configured LLM provider; a "model" in the request body is ignored.
 
 module.exports = async (req, res) => {
   if (req.method !== 'POST') {
@@ -29,9 +14,24 @@ module.exports = async (req, res) => {
     return;
   }
 
-  const openaiApiKey = process.env.OPENAI_API_KEY;
-  if (!openaiApiKey) {
-    res.status(500).json({ error: 'Missing OPENAI_API_KEY in environment.' });
+  let caller;
+  try {
+    caller = authenticateRequest(req);
+    await enforceRateLimit(req, caller);
+  } catch (error) {
+    if (error instanceof RateLimitError) {
+      sendRateLimitError(res, error);
+      return;
+    }
+    sendAuthError(res, error);
+    return;
+  }
+
+  let provider;
+  try {
+    provider = getLlmProvider();
+  } catch (error) {
+    res.status(500).json({ error: 'AI service is not configured.', details: error.message });
     return;
   }
 
@@ -41,29 +41,47 @@ module.exports = async (req, res) => {
 
     // Log request details (sanitize messages for privacy)
     console.log('[OpenAI API] Request:', {
-      model: body.model,
+      user: caller.userId,
+      provider: provider.name,
+      model: provider.model,
+      requested_model: body.model,
       max_completion_tokens: body.max_completion_tokens,
+      stream: !!body.stream,
       message_preview: body.messages?.[0]?.content?.substring(0, 100) + '...'
     });
 
     const apiCallStart = Date.now();
-    console.log('[PERF-API] Starting OpenAI API call');
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${openaiApiKey}`
-      },
-      body: JSON.stringify({
-        model: body.model,
-        messages: body.messages,
-        max_completion_tokens: body.max_completion_tokens
-      })
+    console.log(`[PERF-API] Starting ${provider.name} API call`);
+    const response = await provider.chatCompletion({
+      messages: body.messages,
+      maxTokens: body.max_completion_tokens,
+      stream: !!body.stream
     });
 
+    // Streaming: relay the provider's SSE chunks to the client as they arrive
+    if (body.stream && response.ok) {
+      startEventStream(res);
+      let firstChunkDuration = null;
+      const streamed = await readCompletionStream(response, {
+        onRaw: (text) => {
+          if (firstChunkDuration === null) {
+            firstChunkDuration = ((Date.now() - apiCallStart) / 1000).toFixed(2);
+            console.log(`[PERF-API] First stream chunk after ${firstChunkDuration}s`);
+          }
+          res.write(text);
+        }
+      });
+      res.end();
+
+      await recordTokenUsage(req, caller, streamed.usage);
+      const streamDuration = ((Date.now() - requestStart) / 1000).toFixed(2);
+      console.log(`[PERF-API] Total proxy handler time: ${streamDuration}s (first chunk: ${firstChunkDuration ?? 'n/a'}s, streamed)`);
+      return;
+    }
+
     const apiCallEnd = Date.now();
     const apiCallDuration = ((apiCallEnd - apiCallStart) / 1000).toFixed(2);
-    console.log(`[PERF-API] OpenAI API call completed in ${apiCallDuration}s`);
+    console.log(`[PERF-API] ${provider.name} API call completed in ${apiCallDuration}s`);
 
     const responseText = await response.text();
     const contentType = response.headers.get('content-type') || 'application/json';
@@ -74,11 +92,17 @@ module.exports = async (req, res) => {
     // Log response details
     console.log('[OpenAI API] Response Status:', response.status);
     console.log('[OpenAI API] Response Preview:', responseText.substring(0, 500));
-    console.log(`[PERF-API] Total proxy handler time: ${totalDuration}s (OpenAI API: ${apiCallDuration}s)`);
+    console.log(`[PERF-API] Total proxy handler time: ${totalDuration}s (${provider.name} API: ${apiCallDuration}s)`);
 
     // If error status, log full response
     if (!response.ok) {
       console.error('[OpenAI API] Error Response:', responseText);
+    } else {
+      try {
+        await recordTokenUsage(req, caller, JSON.parse(responseText).usage);
+      } catch (parseError) {
+        console.error('[OpenAI API] Could not read token usage:', parseError.message);
+      }
     }
 
     res.status(response.status).setHeader('Content-Type', contentType);
@@ -86,6 +110,10 @@ module.exports = async (req, res) => {
   } catch (error) {
     console.error('[OpenAI proxy] Exception:', error.message);
     console.error('[OpenAI proxy] Stack:', error.stack);
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
     res.status(500).json({ error: 'OpenAI proxy failed.', details: error.message });
   }
 };
@@ -0,0 +1,211 @@
+const { getJsonBody } = require('../_lib/http');
+const { authenticateRequest, sendAuthError } = require('../_lib/auth');
+const { RateLimitError, enforceRateLimit, recordTokenUsage, sendRateLimitError, getClientIp, getQuotaSubject } = require('../_lib/rateLimit');
+const { getLlmProvider } = require('../_lib/llm');
+const {
+  PROMPT_VERSION,
+  MAX_COMPLETION_TOKENS,
+  VITAMINS,
+  sanitizeMacroToggles,
+  trackedMicronutrients,
+  sanitizeUnitSystem,
+  getPromptCorrections,
+  buildNutritionMessages,
+  buildNutritionResponseFormat
+} = require('../_lib/nutritionPrompt');
+const { NutritionParseError, extractCompletionText, parseNutritionItems } = require('../_lib/nutritionResponse');
+const { repairNutritionItems } = require('../_lib/nutritionRepair');
+const { getNutritionCacheKey, getCachedItems, setCachedItems } = require('../_lib/nutritionCache');
+const { resolveFoodText } = require('../_lib/foodDatabase');
+const { MAX_HTML_BYTES, RecipeImportError, extractRecipe, fetchRecipePage } = require('../_lib/recipeImport');
+
+const MACROS = ['calories', 'protein', 'carbs', 'fat'];
+
+// Whole-recipe items for the ingredient lines: local USDA matches first, the rest in one model call
+// (cached like /api/nutrition/parse). Model items go back into the unresolved lines' places when the
+// counts line up, so the breakdown follows the recipe's order.
+const resolveIngredients = async ({ req, caller, provider, lines, body }) => {
+  const corrections = getPromptCorrections(body.corrections, caller.anonymous);
+  const macroToggles = sanitizeMacroToggles(body.macroToggles);
+  const micronutrients = trackedMicronutrients(macroToggles);
+  const resolved = lines.map(line => resolveFoodText(line, { corrections, micronutrients }));
+  const unresolved = lines.filter((_, index) => !resolved[index]);
+  if (unresolved.length === 0) return resolved.flat();
+
+  const text = unresolved.join('\n');
+  const cacheSubject = getQuotaSubject(caller, getClientIp(req));
+  const cacheKey = getNutritionCacheKey({
+    subject: cacheSubject,
+    text,
+    macroToggles,
+    corrections,
+    units: sanitizeUnitSystem(body.units),
+    promptVersion: PROMPT_VERSION,
+    model: provider.model
+  });
+  let modelItems = await getCachedItems(cacheKey);
+
+  if (!modelItems) {
+    const structuredOutput = !!provider.supportsJsonSchema;
+    const responseFormat = structuredOutput ? buildNutritionResponseFormat(macroToggles) : undefined;
+    const messages = buildNutritionMessages({
+      text,
+      macroToggles: body.macroToggles,
+      corrections: body.corrections,
+      units: body.units,
+      anonymous: caller.anonymous,
+      structuredOutput
+    });
+
+    const response = await provider.chatCompletion({ messages, maxTokens: MAX_COMPLETION_TOKENS, responseFormat });
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error(`[Recipe API] ${provider.name} error response:`, errorText);
+      throw new NutritionParseError('Unable to connect to AI service. Please try again.', `HTTP ${response.status}: ${errorText}`);
+    }
+    const data = await response.json();
+    await recordTokenUsage(req, caller, data.usage);
+    const replyText = extractCompletionText(data);
+    try {
+      modelItems = parseNutritionItems(replyText);
+    } catch (parseError) {
+      if (!(parseError instanceof NutritionParseError) || !parseError.repairable) throw parseError;
+      modelItems = await repairNutritionItems({ req, caller, provider, messages, responseFormat, badReply: replyText, parseError });
+    }
+    await setCachedItems(cacheKey, cacheSubject, modelItems);
+  }
+
+  if (modelItems.length !== unresolved.length) {
+    return [...resolved.filter(Boolean).flat(), ...modelItems];
+  }
+  let next = 0;
+  return resolved.flatMap(items => items || [modelItems[next++]]);
+};
+
+const perServing = (value, servings) => Math.round((value || 0) / servings);
+
+// Vitamins keep one decimal, as on parsed items
+const vitaminsPerServing = (vitamins, servings) => Object.fromEntries(VITAMINS.map(({ key }) => [
+  key,
+  Math.round(((vitamins[key] || 0) / servings) * 10) / 10
+]));
+
+const sumVitamins = (items) => Object.fromEntries(VITAMINS.map(({ key }) => [
+  key,
+  items.reduce((sum, item) => sum + ((item.vitamins && item.vitamins[key]) || 0), 0)
+]));
+
+// POST /api/recipes/import
+// Body: { url } or { html } (a saved or copied recipe page), plus macroToggles, corrections and units as for
+// /api/nutrition/parse
+// Returns: { recipe: { name, url, servings, yield, nutritionSource, perServing, ingredients } }
+// perServing is { calories, protein, carbs, fat } for one serving, plus the tracked micronutrients and,
+// with macroToggles.vitamins, a vitamins map. The recipe's own nutrition block wins for the fields it
+// has (nutritionSource "recipe"); the rest are the ingredients summed ("ingredients").
+// ingredients holds the per-serving share of each ingredient, always resolved through the parser so
+// there's a breakdown either way. servings is 1 when the recipe doesn't give a yield.
+module.exports = async (req, res) => {
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  let provider;
+  try {
+    provider = getLlmProvider();
+  } catch (error) {
+    res.status(500).json({ error: 'AI service is not configured.', details: error.message });
+    return;
+  }
+
+  let caller;
+  try {
+    caller = authenticateRequest(req, { allowAnonymous: true });
+    await enforceRateLimit(req, caller);
+  } catch (error) {
+    if (error instanceof RateLimitError) {
+      sendRateLimitError(res, error);
+      return;
+    }
+    sendAuthError(res, error);
+    return;
+  }
+
+  let body;
+  try {
+    body = await getJsonBody(req);
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid request.', details: `Request body is not valid JSON: ${error.message}` });
+    return;
+  }
+
+  const url = typeof body.url === 'string' ? body.url.trim() : '';
+  const html = typeof body.html === 'string' ? body.html : '';
+  if (!url && !html.trim()) {
+    res.status(400).json({ error: 'Paste a recipe link or the page\'s HTML.', details: 'Missing "url" or "html" in request body.' });
+    return;
+  }
+  if (Buffer.byteLength(html) > MAX_HTML_BYTES) {
+    res.status(413).json({ error: 'That page is too large to import.', details: `"html" must be at most ${MAX_HTML_BYTES / 1024 / 1024} MB.` });
+    return;
+  }
+
+  try {
+    const requestStart = Date.now();
+    const page = html.trim() ? { html, url: url || null } : await fetchRecipePage(url);
+    const recipe = extractRecipe(page.html, { url: page.url });
+    const servings = recipe.servings || 1;
+
+    console.log('[Recipe API] Request:', {
+      user: caller.anonymous ? 'anonymous' : caller.userId,
+      recipe: recipe.name,
+      source: html.trim() ? 'pasted html' : page.url,
+      ingredients: recipe.ingredients.length,
+      servings: recipe.servings,
+      has_nutrition: !!recipe.nutrition,
+      provider: provider.name,
+      model: provider.model
+    });
+
+    const wholeRecipeItems = recipe.ingredients.length > 0
+      ? await resolveIngredients({ req, caller, provider, lines: recipe.ingredients, body })
+      : [];
+    const macroToggles = sanitizeMacroToggles(body.macroToggles);
+    const fields = [...MACROS, ...trackedMicronutrients(macroToggles)];
+    const ingredients = wholeRecipeItems.map(({ error, ...item }) => ({
+      ...item,
+      ...Object.fromEntries(fields.map(field => [field, perServing(item[field], servings)])),
+      ...(item.vitamins && { vitamins: vitaminsPerServing(item.vitamins, servings) })
+    }));
+
+    const summed = Object.fromEntries(fields.map(field => [
+      field,
+      perServing(wholeRecipeItems.reduce((sum, item) => sum + (item[field] || 0), 0), servings)
+    ]));
+    const nutrition = {
+      ...Object.fromEntries(fields.map(field => [field, (recipe.nutrition && recipe.nutrition[field]) ?? summed[field]])),
+      ...(macroToggles.vitamins && wholeRecipeItems.some(item => item.vitamins) && { vitamins: vitaminsPerServing(sumVitamins(wholeRecipeItems), servings) })
+    };
+
+    console.log(`[PERF-API] Recipe imported in ${((Date.now() - requestStart) / 1000).toFixed(2)}s, ${ingredients.length} ingredients`);
+    res.status(200).json({
+      recipe: {
+        name: recipe.name,
+        url: recipe.url,
+        servings,
+        yield: recipe.yield,
+        nutritionSource: recipe.nutrition ? 'recipe' : 'ingredients',
+        perServing: nutrition,
+        ingredients
+      }
+    });
+  } catch (error) {
+    if (error instanceof RecipeImportError || error instanceof NutritionParseError) {
+      console.error('[Recipe API] Failed:', error.details);
+      res.status(error.status).json({ error: error.userMessage, details: error.details });
+      return;
+    }
+    console.error('[Recipe API] Exception:', error.message);
+    res.status(500).json({ error: 'Failed to import that recipe. Please try again.', details: error.message });
+  }
+};
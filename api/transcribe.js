@@ -0,0 +1,88 @@
+const { getJsonBody } = require('./_lib/http');
+const { authenticateRequest, sendAuthError } = require('./_lib/auth');
+const { RateLimitError, enforceRateLimit, sendRateLimitError } = require('./_lib/rateLimit');
+const { TranscriptionError, getTranscriber } = require('./_lib/transcription');
+
+// A minute of browser-recorded opus/aac is well under 1 MB; this leaves room for other codecs
+const MAX_AUDIO_BYTES = 3 * 1024 * 1024;
+
+const AUDIO_DATA_URL_PATTERN = /^data:(audio\/[\w.+-]+(?:;[\w-]+=[\w.-]+)*);base64,([A-Za-z0-9+/=\s]+)$/;
+
+// POST /api/transcribe
+// Body: { audio } - a voice recording as a data URL (data:audio/webm;codecs=opus;base64,...)
+// Returns: { text } with the transcript, which the app then sends to /api/nutrition/parse.
+// The speech-to-text backend is picked with TRANSCRIBE_PROVIDER (see api/_lib/transcription.js).
+// Shares the per-minute rate limits with the other AI routes.
+module.exports = async (req, res) => {
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  let transcriber;
+  try {
+    transcriber = getTranscriber();
+  } catch (error) {
+    res.status(500).json({ error: 'Voice logging is not configured.', details: error.message });
+    return;
+  }
+
+  let caller;
+  try {
+    caller = authenticateRequest(req, { allowAnonymous: true });
+    await enforceRateLimit(req, caller);
+  } catch (error) {
+    if (error instanceof RateLimitError) {
+      sendRateLimitError(res, error);
+      return;
+    }
+    sendAuthError(res, error);
+    return;
+  }
+
+  let body;
+  try {
+    body = await getJsonBody(req);
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid request.', details: `Request body is not valid JSON: ${error.message}` });
+    return;
+  }
+
+  const match = typeof body.audio === 'string' ? body.audio.match(AUDIO_DATA_URL_PATTERN) : null;
+  if (!match) {
+    res.status(400).json({ error: 'That recording could not be read.', details: '"audio" must be a base64 data URL (data:audio/...;base64,...).' });
+    return;
+  }
+  const mimeType = match[1];
+  const buffer = Buffer.from(match[2], 'base64');
+  if (buffer.length > MAX_AUDIO_BYTES) {
+    res.status(413).json({
+      error: 'That recording is too long. Try a shorter one.',
+      details: `Recording is ${(buffer.length / 1024 / 1024).toFixed(1)} MB; the limit is ${MAX_AUDIO_BYTES / 1024 / 1024} MB.`
+    });
+    return;
+  }
+
+  try {
+    const requestStart = Date.now();
+    const text = await transcriber.transcribe({ buffer, mimeType });
+    console.log(`[PERF-API] ${transcriber.name} transcription took ${((Date.now() - requestStart) / 1000).toFixed(2)}s`, {
+      user: caller.anonymous ? 'anonymous' : caller.userId,
+      audio: `${mimeType}, ${Math.round(buffer.length / 1024)} KB`,
+      characters: text.length
+    });
+
+    if (!text) {
+      throw new TranscriptionError("Didn't catch that. Try again a little closer to the mic.", 'Transcript was empty.', 422);
+    }
+    res.status(200).json({ text });
+  } catch (error) {
+    if (error instanceof TranscriptionError) {
+      console.error('[Transcribe API] Failed:', error.details);
+      res.status(error.status).json({ error: error.userMessage, details: error.details });
+      return;
+    }
+    console.error('[Transcribe API] Exception:', error.message);
+    res.status(500).json({ error: 'Transcription failed. Please try again.', details: error.message });
+  }
+};
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+/**
+ * Import an Open Food Facts dump for /api/foods/barcode/:upc.
+ *
+ * Download either export from https://world.openfoodfacts.org/data:
+ *   - openfoodfacts-products.jsonl.gz (JSONL, gzipped)
+ *   - en.openfoodfacts.org.products.csv.gz (tab-separated)
+ * then run:
+ *   node scripts/import-openfoodfacts.js <dump> [--country united-states] [--out <dir>]
+ *
+ * Only products with a name and calories per 100 g are kept. --country keeps products sold in
+ * that country (an Open Food Facts country tag, without the "en:" prefix), which keeps the
+ * output small enough to deploy. Output goes to --out, else OFF_DATA_DIR, else
+ * api/_lib/data/openfoodfacts; existing shards there are merged, not replaced.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const readline = require('readline');
+const { normalizeBarcode, getShardName } = require('../api/_lib/openFoodFacts');
+
+const DEFAULT_OUT_DIR = path.join(__dirname, '..', 'api', '_lib', 'data', 'openfoodfacts');
+
+const readArg = (args, name) => {
+  const index = args.indexOf(name);
+  return index === -1 ? null : args[index + 1];
+};
+
+const toNumber = (value) => {
+  const n = parseFloat(value);
+  return Number.isFinite(n) && n >= 0 ? Math.round(n * 100) / 100 : null;
+};
+
+// Both exports carry the same fields; the CSV flattens nutriments into "<name>_100g" columns
+const toProduct = (raw) => {
+  const nutriments = raw.nutriments || raw;
+  const calories = toNumber(nutriments['energy-kcal_100g']);
+  const name = (raw.product_name || '').trim();
+  if (!name || calories === null) return null;
+
+  const brand = (raw.brands || '').split(',')[0].trim();
+  return {
+    name,
+    ...(brand ? { brand } : {}),
+    ...(raw.quantity ? { quantity: String(raw.quantity).trim() } : {}),
+    ...(raw.serving_size ? { servingSize: String(raw.serving_size).trim() } : {}),
+    ...(toNumber(raw.serving_quantity) ? { servingGrams: toNumber(raw.serving_quantity) } : {}),
+    per100g: {
+      calories,
+      protein: toNumber(nutriments.proteins_100g) || 0,
+      carbs: toNumber(nutriments.carbohydrates_100g) || 0,
+      fat: toNumber(nutriments.fat_100g) || 0
+    }
+  };
+};
+
+const getCountries = (raw) => {
+  const tags = raw.countries_tags;
+  if (Array.isArray(tags)) return tags;
+  return String(tags || '').split(',');
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const dumpFile = args[0];
+  if (!dumpFile || dumpFile.startsWith('--')) {
+    console.error('Usage: node scripts/import-openfoodfacts.js <dump.jsonl[.gz] | dump.csv[.gz]> [--country united-states] [--out <dir>]');
+    process.exit(1);
+  }
+  const country = readArg(args, '--country');
+  const countryTag = country ? `en:${country.replace(/^en:/, '')}` : null;
+  const outDir = readArg(args, '--out') || process.env.OFF_DATA_DIR || DEFAULT_OUT_DIR;
+  const isCsv = /\.(csv|tsv)(\.gz)?$/.test(dumpFile);
+
+  let input = fs.createReadStream(dumpFile);
+  if (dumpFile.endsWith('.gz')) input = input.pipe(zlib.createGunzip());
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  const shards = new Map(); // shard name -> { barcode: product }
+  let header = null;
+  let read = 0;
+  let kept = 0;
+
+  for await (const line of lines) {
+    if (!line) continue;
+
+    let raw;
+    if (isCsv) {
+      const fields = line.split('\t');
+      if (!header) {
+        header = fields;
+        continue;
+      }
+      raw = Object.fromEntries(header.map((name, i) => [name, fields[i]]));
+    } else {
+      try {
+        raw = JSON.parse(line);
+      } catch (error) {
+        continue;
+      }
+    }
+
+    read++;
+    if (read % 100000 === 0) console.log(`  ${read} products read, ${kept} kept...`);
+
+    if (countryTag && !getCountries(raw).includes(countryTag)) continue;
+    const barcode = normalizeBarcode(raw.code);
+    const product = barcode && toProduct(raw);
+    if (!product) continue;
+
+    const shardName = getShardName(barcode);
+    if (!shards.has(shardName)) shards.set(shardName, {});
+    shards.get(shardName)[barcode] = product;
+    kept++;
+  }
+
+  fs.mkdirSync(outDir, { recursive: true });
+  for (const [shardName, products] of shards) {
+    const file = path.join(outDir, `${shardName}.json`);
+    const existing = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+    fs.writeFileSync(file, `${JSON.stringify({ ...existing, ...products }, null, 2)}\n`);
+  }
+
+  console.log(`\nRead ${read} products, kept ${kept} in ${shards.size} shards under ${outDir}`);
+};
+
+main().catch(error => {
+  console.error('Import failed:', error.message);
+  process.exit(1);
+});
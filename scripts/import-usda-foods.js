@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+/**
+ * Refresh api/_lib/data/usda-foods.json from a USDA FoodData Central CSV download.
+ *
+ * Download "SR Legacy" or "Foundation Foods" (CSV) from https://fdc.nal.usda.gov/download-datasets,
+ * unzip it, then run:
+ *   node scripts/import-usda-foods.js <path to unzipped folder>
+ *   node scripts/import-usda-foods.js <folder> --add 173944 169097   # print entries to paste in
+ *
+ * Names, aliases, emoji and portion units in the JSON are curated by hand; this updates each
+ * food's official description and per-100 g calories, macros, micronutrients and vitamins, and lists
+ * the official portions so the curated gram weights can be checked. IDs missing from the download
+ * are reported.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { micronutrients: MICRONUTRIENTS } = require('../src/nutrients.json');
+const { vitamins: VITAMINS } = require('../src/vitamins.json');
+
+const DATA_FILE = path.join(__dirname, '..', 'api', '_lib', 'data', 'usda-foods.json');
+
+// FDC nutrient ids. Foundation Foods often only report Atwater energy (2047/2048), not 1008.
+const NUTRIENTS = {
+  1008: 'calories',
+  2047: 'caloriesAtwaterGeneral',
+  2048: 'caloriesAtwaterSpecific',
+  1003: 'protein',
+  1005: 'carbs',
+  1004: 'fat',
+  // Fiber, sodium, ... and the vitamins and minerals for the report (their JSON files have the ids)
+  ...Object.fromEntries(MICRONUTRIENTS.map(({ key, fdcNutrientId }) => [fdcNutrientId, key])),
+  ...Object.fromEntries(VITAMINS.map(({ key, fdcNutrientId }) => [fdcNutrientId, key]))
+};
+
+// Minimal CSV line parser (FDC files quote every field and don't embed newlines)
+const parseCsvLine = (line) => {
+  const fields = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (inQuotes) {
+      if (ch === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field);
+  return fields;
+};
+
+// Calls onRow(row) for every row whose fdc_id is wanted, with columns keyed by header name
+const readCsv = async (file, wantedIds, onRow) => {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Missing ${path.basename(file)} in ${path.dirname(file)}`);
+  }
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  let header = null;
+  for await (const line of lines) {
+    if (!line) continue;
+    const fields = parseCsvLine(line);
+    if (!header) {
+      header = fields;
+      continue;
+    }
+    const row = Object.fromEntries(header.map((name, i) => [name, fields[i]]));
+    if (wantedIds.has(Number(row.fdc_id))) onRow(row);
+  }
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const folder = args[0];
+  if (!folder || folder.startsWith('--')) {
+    console.error('Usage: node scripts/import-usda-foods.js <FoodData Central CSV folder> [--add <fdcId> ...]');
+    process.exit(1);
+  }
+  const addIndex = args.indexOf('--add');
+  const addIds = addIndex === -1 ? [] : args.slice(addIndex + 1).map(Number).filter(Boolean);
+
+  const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+  const wantedIds = new Set([...data.foods.map(food => food.fdcId), ...addIds]);
+
+  const records = new Map(); // fdcId -> { description, dataType, nutrients: {}, portions: [] }
+  const recordFor = (fdcId) => {
+    if (!records.has(fdcId)) records.set(fdcId, { nutrients: {}, portions: [] });
+    return records.get(fdcId);
+  };
+
+  const measureUnits = {};
+  const measureUnitFile = path.join(folder, 'measure_unit.csv');
+  if (fs.existsSync(measureUnitFile)) {
+    const allIds = { has: () => true };
+    await readCsv(measureUnitFile, allIds, row => {
+      measureUnits[row.id] = row.name;
+    });
+  }
+
+  console.log('Reading food.csv...');
+  await readCsv(path.join(folder, 'food.csv'), wantedIds, row => {
+    const record = recordFor(Number(row.fdc_id));
+    record.description = row.description;
+    record.dataType = row.data_type;
+  });
+
+  console.log('Reading food_nutrient.csv...');
+  await readCsv(path.join(folder, 'food_nutrient.csv'), wantedIds, row => {
+    const key = NUTRIENTS[row.nutrient_id];
+    if (key) recordFor(Number(row.fdc_id)).nutrients[key] = parseFloat(row.amount);
+  });
+
+  console.log('Reading food_portion.csv...');
+  await readCsv(path.join(folder, 'food_portion.csv'), wantedIds, row => {
+    const unitName = measureUnits[row.measure_unit_id];
+    const measure = [row.amount, unitName && unitName !== 'undetermined' ? unitName : '', row.modifier || row.portion_description]
+      .filter(Boolean)
+      .join(' ');
+    recordFor(Number(row.fdc_id)).portions.push({ label: measure, grams: parseFloat(row.gram_weight) });
+  });
+
+  const per100gFor = (record) => ({
+    calories: Math.round(record.nutrients.calories ?? record.nutrients.caloriesAtwaterSpecific ?? record.nutrients.caloriesAtwaterGeneral ?? 0),
+    protein: round2(record.nutrients.protein || 0),
+    carbs: round2(record.nutrients.carbs || 0),
+    fat: round2(record.nutrients.fat || 0),
+    // SR Legacy doesn't report added sugars, so they come out 0: set them by hand for sweetened foods
+    ...Object.fromEntries(MICRONUTRIENTS.map(({ key }) => [key, round2(record.nutrients[key] || 0)])),
+    vitamins: Object.fromEntries(VITAMINS.map(({ key }) => [key, round2(record.nutrients[key] || 0)]))
+  });
+
+  const missing = [];
+  data.foods.forEach(food => {
+    const record = records.get(food.fdcId);
+    if (!record?.description) {
+      missing.push(food.fdcId);
+      return;
+    }
+    const per100g = per100gFor(record);
+    const changed = JSON.stringify(per100g) !== JSON.stringify(food.per100g) || record.description !== food.description;
+    food.description = record.description;
+    food.dataType = record.dataType;
+    food.per100g = per100g;
+
+    console.log(`\n${food.fdcId} ${food.description}${changed ? '  (updated)' : ''}`);
+    console.log(`  curated: ${food.portions.map(p => `${p.unit}=${p.grams}g`).join(', ')}`);
+    console.log(`  official: ${record.portions.map(p => `${p.label}=${p.grams}g`).join(', ') || 'none'}`);
+  });
+
+  fs.writeFileSync(DATA_FILE, `${JSON.stringify(data, null, 2)}\n`);
+  console.log(`\nUpdated ${data.foods.length - missing.length} foods in ${path.relative(process.cwd(), DATA_FILE)}`);
+  if (missing.length > 0) {
+    console.warn(`Not found in this download (check the IDs or try the other dataset): ${missing.join(', ')}`);
+  }
+
+  addIds.forEach(fdcId => {
+    const record = records.get(fdcId);
+    if (!record?.description) {
+      console.warn(`--add ${fdcId}: not found`);
+      return;
+    }
+    const entry = {
+      fdcId,
+      description: record.description,
+      dataType: record.dataType,
+      name: '',
+      plural: '',
+      emoji: '',
+      aliases: [],
+      per100g: per100gFor(record),
+      portions: record.portions.map(p => ({ unit: '', plural: '', label: p.label, grams: p.grams, count: false })),
+      defaultUnit: ''
+    };
+    console.log(`\nNew entry for ${fdcId} (fill in name, aliases and portion units):`);
+    console.log(JSON.stringify(entry, null, 2));
+  });
+};
+
+main().catch(error => {
+  console.error('Import failed:', error.message);
+  process.exit(1);
+});
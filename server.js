@@ -4,16 +4,60 @@ require('dotenv').config({ path: '.env.local' });
 const express = require('express');
 const { createProxyMiddleware } = require('http-proxy-middleware');
 const openaiHandler = require('./api/openai/messages');
+const nutritionParseHandler = require('./api/nutrition/parse');
+const nutritionLabelHandler = require('./api/nutrition/label');
+const transcribeHandler = require('./api/transcribe');
+const recipesImportHandler = require('./api/recipes/import');
+const foodsSearchHandler = require('./api/foods/search');
+const foodsBarcodeHandler = require('./api/foods/barcode/[upc]');
+const { MOCK_MODEL } = require('./api/_lib/llm/mock');
+const { mockChatCompletionsHandler } = require('./api/_lib/llm/mockServer');
 
 const app = express();
 const PORT = 3001;
+const MOCK_LLM = ['1', 'true'].includes(process.env.MOCK_LLM);
 
-// Parse JSON bodies for API routes
-app.use('/api', express.json());
+// MOCK_LLM=1 serves a fake chat-completions API (no key, no network) and, unless
+// LLM_PROVIDER says otherwise, points the API routes at it. Voice logging gets the
+// mock transcriber unless TRANSCRIBE_PROVIDER is set.
+if (MOCK_LLM) {
+  app.post('/mock-llm/v1/chat/completions', mockChatCompletionsHandler);
+  if (!process.env.LLM_PROVIDER) {
+    process.env.LLM_PROVIDER = 'openai-compatible';
+    process.env.LLM_BASE_URL = `http://localhost:${PORT}/mock-llm/v1`;
+    process.env.LLM_MODEL = MOCK_MODEL;
+    process.env.LLM_JSON_SCHEMA = '1';
+    process.env.LLM_VISION = '1';
+  }
+  if (!process.env.TRANSCRIBE_PROVIDER) {
+    process.env.TRANSCRIBE_PROVIDER = 'mock';
+  }
+}
+
+// Parse JSON bodies for API routes (meal photos and voice recordings arrive as data URLs, up to Vercel's 4.5 MB body limit)
+app.use('/api', express.json({ limit: '4.5mb' }));
 
 // API route - handle OpenAI GPT messages
 app.post('/api/openai/messages', openaiHandler);
 
+// API route - parse food descriptions into nutrition items
+app.post('/api/nutrition/parse', nutritionParseHandler);
+
+// API route - read a Nutrition Facts label from a photo
+app.post('/api/nutrition/label', nutritionLabelHandler);
+
+// API route - import a recipe page as a per-serving composite item
+app.post('/api/recipes/import', recipesImportHandler);
+
+// API route - transcribe a voice recording for logging
+app.post('/api/transcribe', transcribeHandler);
+
+// API route - search the bundled USDA food data
+app.get('/api/foods/search', foodsSearchHandler);
+
+// API route - look up packaged foods by barcode
+app.get('/api/foods/barcode/:upc', foodsBarcodeHandler);
+
 // Proxy everything else to React dev server
 app.use('/', createProxyMiddleware({
   target: 'http://localhost:3000',
@@ -25,5 +69,8 @@ app.listen(PORT, () => {
   console.log(`\n🚀 Local development proxy running!`);
   console.log(`\n   Frontend + API: http://localhost:${PORT}`);
   console.log(`   React dev:      http://localhost:3000 (background)`);
+  if (MOCK_LLM) {
+    console.log(`   Mock LLM:       http://localhost:${PORT}/mock-llm/v1 (LLM_PROVIDER=${process.env.LLM_PROVIDER})`);
+  }
   console.log(`\n✅ Open http://localhost:${PORT} in your browser\n`);
 });
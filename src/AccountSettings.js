@@ -1,6 +1,9 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { X, Mail, Lock, Download, Upload, Target, Check, AlertCircle, LogOut } from 'lucide-react';
+import { X, Mail, Lock, Download, Upload, Target, Check, AlertCircle, LogOut, Plus, Trash2 } from 'lucide-react';
 import { supabase } from './supabase';
+import { MACROS, MICRONUTRIENTS, NUTRIENTS, MAX_CUSTOM_NUTRIENTS, columnFor, customNutrientKey } from './nutrients';
+import { itemPortion, portionLabel } from './units';
+import { MEALS } from './meals';
 
 const LBS_PER_KG = 2.20462;
 
@@ -15,9 +18,15 @@ const AccountSettings = ({
   setUsername,
   macroToggles,
   setMacroToggles,
+  customNutrients,
+  setCustomNutrients,
+  mealSettings,
+  setMealSettings,
   onWeightDataImported,
   weightUnit,
   setWeightUnit,
+  unitSystem,
+  setUnitSystem,
   weightGoal,
   setWeightGoal
 }) => {
@@ -26,11 +35,10 @@ const AccountSettings = ({
   const [emailInput, setEmailInput] = useState('');
   const [goalInputs, setGoalInputs] = useState({
     calories: '',
-    protein: '',
-    carbs: '',
-    fat: ''
+    ...Object.fromEntries(NUTRIENTS.map(({ key }) => [key, '']))
   });
   const [weightGoalInput, setWeightGoalInput] = useState('');
+  const [customNutrientInputs, setCustomNutrientInputs] = useState({ label: '', unit: '', goal: '' });
 
   // UI states
   const [activeTab, setActiveTab] = useState('goals');
@@ -52,9 +60,7 @@ const AccountSettings = ({
         setEmailInput(session.user.email || '');
         setGoalInputs({
           calories: goals?.calories?.toString() || '',
-          protein: goals?.protein?.toString() || '',
-          carbs: goals?.carbs?.toString() || '',
-          fat: goals?.fat?.toString() || ''
+          ...Object.fromEntries(NUTRIENTS.map(({ key }) => [key, goals?.[key]?.toString() || '']))
         });
       }
       // Only clear message when modal first opens, not when username/goals update
@@ -209,16 +215,15 @@ const AccountSettings = ({
     try {
       const newGoals = {
         calories: goalInputs.calories ? parseInt(goalInputs.calories) : null,
-        protein: goalInputs.protein ? parseFloat(goalInputs.protein) : null,
-        carbs: goalInputs.carbs ? parseFloat(goalInputs.carbs) : null,
-        fat: goalInputs.fat ? parseFloat(goalInputs.fat) : null
+        ...Object.fromEntries(NUTRIENTS.map(({ key }) => [key, goalInputs[key] ? parseFloat(goalInputs[key]) : null]))
       };
 
       const { error } = await supabase
         .from('goals')
         .upsert({
           user_id: session.user.id,
-          ...newGoals
+          calories: newGoals.calories,
+          ...Object.fromEntries(NUTRIENTS.map(nutrient => [columnFor(nutrient), newGoals[nutrient.key]]))
         }, { onConflict: 'user_id' });
 
       if (error) throw error;
@@ -276,11 +281,98 @@ const AccountSettings = ({
     setMessage({ type: 'success', text: 'Weight goal cleared' });
   };
 
+  // A nutrient's tracking switch, with its goal input inline when it's on (signed-in users only)
+  const renderNutrientToggle = (nutrient) => (
+    <div key={nutrient.key}>
+      <div className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
+        <div className="flex-1">
+          <p className="font-medium text-gray-800">{nutrient.label}</p>
+        </div>
+        {macroToggles[nutrient.key] && session && (
+          <div className="flex items-center gap-2 mr-4">
+            <label className="text-xs text-gray-500 whitespace-nowrap">Goal ({nutrient.unit})</label>
+            <input
+              type="number"
+              value={goalInputs[nutrient.key]}
+              onChange={(e) => setGoalInputs({ ...goalInputs, [nutrient.key]: e.target.value })}
+              placeholder="—"
+              className="w-20 px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent outline-none"
+              min="0"
+              step={nutrient.unit === 'mg' ? '1' : '0.1'}
+            />
+          </div>
+        )}
+        <button
+          onClick={() => setMacroToggles(prev => ({ ...prev, [nutrient.key]: !prev[nutrient.key] }))}
+          className={`relative inline-flex h-6 w-11 flex-shrink-0 items-center rounded-full transition-colors ${
+            macroToggles[nutrient.key] ? 'bg-purple-600' : 'bg-gray-300'
+          }`}
+          role="switch"
+          aria-checked={macroToggles[nutrient.key]}
+        >
+          <span
+            className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+              macroToggles[nutrient.key] ? 'translate-x-6' : 'translate-x-1'
+            }`}
+          />
+        </button>
+      </div>
+    </div>
+  );
+
+  // Custom nutrients: saved with the macro toggles, so they work signed out too
+  const handleAddCustomNutrient = (e) => {
+    e.preventDefault();
+    const label = customNutrientInputs.label.trim().substring(0, 40);
+    if (!label) return;
+    if (customNutrients.some(nutrient => nutrient.label.toLowerCase() === label.toLowerCase())) {
+      setMessage({ type: 'error', text: `You already track ${label}` });
+      return;
+    }
+    if (customNutrients.length >= MAX_CUSTOM_NUTRIENTS) {
+      setMessage({ type: 'error', text: `You can track up to ${MAX_CUSTOM_NUTRIENTS} custom nutrients` });
+      return;
+    }
+
+    const goal = parseFloat(customNutrientInputs.goal);
+    setCustomNutrients(prev => [...prev, {
+      key: customNutrientKey(label, prev),
+      label,
+      unit: customNutrientInputs.unit.trim().substring(0, 20),
+      goal: goal > 0 ? goal : null
+    }]);
+    setCustomNutrientInputs({ label: '', unit: '', goal: '' });
+    setMessage({ type: 'success', text: `Now tracking ${label}` });
+  };
+
+  const handleCustomGoalChange = (key, value) => {
+    const goal = parseFloat(value);
+    setCustomNutrients(prev => prev.map(nutrient => (nutrient.key === key ? { ...nutrient, goal: goal > 0 ? goal : null } : nutrient)));
+  };
+
+  const handleRemoveCustomNutrient = (key) => {
+    setCustomNutrients(prev => prev.filter(nutrient => nutrient.key !== key));
+  };
+
+  // Meal cutoffs and targets are saved as they change, like the nutrient toggles
+  const handleMealCutoffChange = (meal, time) => {
+    if (!time) return;
+    setMealSettings(prev => ({ ...prev, cutoffs: { ...prev.cutoffs, [meal]: time } }));
+  };
+
+  const handleMealTargetChange = (meal, value) => {
+    const target = parseInt(value, 10);
+    setMealSettings(prev => {
+      const { [meal]: _previous, ...targets } = prev.targets;
+      return { ...prev, targets: target > 0 ? { ...targets, [meal]: target } : targets };
+    });
+  };
+
   // Handle CSV export
   const handleExportCSV = () => {
     try {
       const rows = [
-        ['Date', 'Time', 'Food Item', 'Quantity', 'Calories', 'Protein (g)', 'Carbs (g)', 'Fat (g)', 'Source']
+        ['Date', 'Time', 'Food Item', 'Quantity', 'Calories', ...[...NUTRIENTS, ...customNutrients].map(({ label, unit }) => (unit ? `${label} (${unit})` : label)), 'Source']
       ];
 
       const sortedDates = Object.keys(entries).sort();
@@ -290,12 +382,13 @@ const AccountSettings = ({
             rows.push([
               date,
               entry.localTime || '',
-              item.food || '',
-              item.quantity || '',
+              item.item || '',
+              portionLabel(itemPortion(item)),
               item.calories || 0,
-              item.protein || 0,
-              item.carbs || 0,
-              item.fat || 0,
+              ...MACROS.map(({ key }) => item[key] || 0),
+              // Blank when the item was logged without it
+              ...MICRONUTRIENTS.map(({ key }) => item[key] ?? ''),
+              ...customNutrients.map(({ key }) => item.custom?.[key] ?? ''),
               item.source || ''
             ]);
           });
@@ -672,46 +765,131 @@ const AccountSettings = ({
               </p>
 
               <div className="space-y-3 mb-6">
-                {[
-                  { key: 'protein', label: 'Protein' },
-                  { key: 'carbs', label: 'Carbs' },
-                  { key: 'fat', label: 'Fat' }
-                ].map(macro => (
-                  <div key={macro.key}>
-                    <div className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
-                      <div className="flex-1">
-                        <p className="font-medium text-gray-800">{macro.label}</p>
-                      </div>
-                      {/* Goal input inline when toggled on & authenticated */}
-                      {macroToggles[macro.key] && session && (
-                        <div className="flex items-center gap-2 mr-4">
-                          <label className="text-xs text-gray-500 whitespace-nowrap">Goal (g)</label>
-                          <input
-                            type="number"
-                            value={goalInputs[macro.key]}
-                            onChange={(e) => setGoalInputs({ ...goalInputs, [macro.key]: e.target.value })}
-                            placeholder="—"
-                            className="w-20 px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent outline-none"
-                            min="0"
-                            step="0.1"
-                          />
-                        </div>
-                      )}
-                      <button
-                        onClick={() => setMacroToggles(prev => ({ ...prev, [macro.key]: !prev[macro.key] }))}
-                        className={`relative inline-flex h-6 w-11 flex-shrink-0 items-center rounded-full transition-colors ${
-                          macroToggles[macro.key] ? 'bg-purple-600' : 'bg-gray-300'
-                        }`}
-                        role="switch"
-                        aria-checked={macroToggles[macro.key]}
-                      >
-                        <span
-                          className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
-                            macroToggles[macro.key] ? 'translate-x-6' : 'translate-x-1'
-                          }`}
-                        />
-                      </button>
-                    </div>
+                {MACROS.map(renderNutrientToggle)}
+              </div>
+
+              {/* Micronutrient Toggles Section */}
+              <h3 className="text-lg font-semibold text-gray-800 mb-2">Micronutrient Tracking</h3>
+              <p className="text-sm text-gray-600 mb-4">
+                Fiber, sugars, sodium and more. For sodium, added sugars, saturated fat and cholesterol, set the goal as your daily limit.
+              </p>
+
+              <div className="space-y-3 mb-6">
+                {MICRONUTRIENTS.map(renderNutrientToggle)}
+              </div>
+
+              {/* Custom Nutrients Section */}
+              <h3 className="text-lg font-semibold text-gray-800 mb-2">Custom Nutrients</h3>
+              <p className="text-sm text-gray-600 mb-1">
+                Track anything else with a number, like caffeine, alcohol units or points from another diet. The AI estimates them for each food, and you can correct them like any other value.
+              </p>
+              <p className="text-xs text-gray-500 mb-4">
+                Removing one hides it; values already logged stay with their items.
+              </p>
+
+              <div className="space-y-3 mb-3">
+                {customNutrients.map(nutrient => (
+                  <div key={nutrient.key} className="flex items-center justify-between gap-2 p-4 bg-gray-50 rounded-lg">
+                    <p className="flex-1 font-medium text-gray-800 truncate">
+                      {nutrient.label}
+                      {nutrient.unit && <span className="text-sm font-normal text-gray-500 ml-1">({nutrient.unit})</span>}
+                    </p>
+                    <label className="text-xs text-gray-500 whitespace-nowrap">Goal</label>
+                    <input
+                      type="number"
+                      // Saved on blur, so typing doesn't sync every keystroke
+                      key={`${nutrient.key}-${nutrient.goal}`}
+                      defaultValue={nutrient.goal ?? ''}
+                      onBlur={(e) => handleCustomGoalChange(nutrient.key, e.target.value)}
+                      placeholder="—"
+                      className="w-20 px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent outline-none"
+                      min="0"
+                      step="0.1"
+                    />
+                    <button
+                      onClick={() => handleRemoveCustomNutrient(nutrient.key)}
+                      className="text-red-600 hover:text-red-800 p-1"
+                      title={`Stop tracking ${nutrient.label}`}
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                ))}
+              </div>
+
+              {customNutrients.length < MAX_CUSTOM_NUTRIENTS && (
+                <form onSubmit={handleAddCustomNutrient} className="flex flex-wrap gap-2 mb-6">
+                  <input
+                    type="text"
+                    value={customNutrientInputs.label}
+                    onChange={(e) => setCustomNutrientInputs({ ...customNutrientInputs, label: e.target.value })}
+                    placeholder="Name, e.g. Caffeine"
+                    className="flex-1 min-w-[10rem] px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent outline-none"
+                    maxLength={40}
+                  />
+                  <input
+                    type="text"
+                    value={customNutrientInputs.unit}
+                    onChange={(e) => setCustomNutrientInputs({ ...customNutrientInputs, unit: e.target.value })}
+                    placeholder="Unit (mg)"
+                    className="w-24 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent outline-none"
+                    maxLength={20}
+                  />
+                  <input
+                    type="number"
+                    value={customNutrientInputs.goal}
+                    onChange={(e) => setCustomNutrientInputs({ ...customNutrientInputs, goal: e.target.value })}
+                    placeholder="Goal"
+                    className="w-20 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent outline-none"
+                    min="0"
+                    step="0.1"
+                  />
+                  <button
+                    type="submit"
+                    disabled={!customNutrientInputs.label.trim()}
+                    className="px-4 py-2 bg-purple-600 text-white rounded-lg text-sm font-medium hover:bg-purple-700 transition disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-1"
+                  >
+                    <Plus size={16} />
+                    Add
+                  </button>
+                </form>
+              )}
+
+              {/* Meals Section */}
+              <h3 className="text-lg font-semibold text-gray-800 mb-2">Meals</h3>
+              <p className="text-sm text-gray-600 mb-1">
+                New entries go in the meal that starts most recently before the time you log them. Change an entry's meal from the menu next to its time, or drag items between meals.
+              </p>
+              <p className="text-xs text-gray-500 mb-4">
+                Entries keep the meal they were logged in when you change these times.
+              </p>
+
+              <div className="space-y-3 mb-6">
+                {MEALS.map(meal => (
+                  <div key={meal.key} className="flex flex-wrap items-center gap-3 p-4 bg-gray-50 rounded-lg">
+                    <p className="flex-1 font-medium text-gray-800">{meal.label}</p>
+                    <label className="flex items-center gap-2 text-xs text-gray-500 whitespace-nowrap">
+                      Starts
+                      <input
+                        type="time"
+                        value={mealSettings.cutoffs[meal.key]}
+                        onChange={(e) => handleMealCutoffChange(meal.key, e.target.value)}
+                        className="px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent outline-none"
+                      />
+                    </label>
+                    <label className="flex items-center gap-2 text-xs text-gray-500 whitespace-nowrap">
+                      Target
+                      <input
+                        type="number"
+                        // Saved on blur, so typing doesn't sync every keystroke
+                        key={`${meal.key}-${mealSettings.targets[meal.key]}`}
+                        defaultValue={mealSettings.targets[meal.key] ?? ''}
+                        onBlur={(e) => handleMealTargetChange(meal.key, e.target.value)}
+                        placeholder="— cal"
+                        className="w-20 px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent outline-none"
+                        min="0"
+                      />
+                    </label>
                   </div>
                 ))}
               </div>
@@ -805,6 +983,28 @@ const AccountSettings = ({
                 </div>
               </div>
 
+              {/* Portion Units */}
+              <div>
+                <h3 className="text-lg font-semibold text-gray-800 mb-2">Portion Units</h3>
+                <p className="text-sm text-gray-600 mb-4">
+                  Choose whether assumed portions and unit pickers use US units (oz, cups) or metric (g, ml).
+                </p>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => setUnitSystem('us')}
+                    className={`px-5 py-2.5 rounded-lg text-sm font-medium transition ${unitSystem === 'us' ? 'bg-purple-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
+                  >
+                    US
+                  </button>
+                  <button
+                    onClick={() => setUnitSystem('metric')}
+                    className={`px-5 py-2.5 rounded-lg text-sm font-medium transition ${unitSystem === 'metric' ? 'bg-purple-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
+                  >
+                    Metric
+                  </button>
+                </div>
+              </div>
+
               {/* Food Export */}
               <div className="border-t border-gray-200 pt-8">
                 <h3 className="text-lg font-semibold text-gray-800 mb-4">Export Food Data</h3>
@@ -0,0 +1,155 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { X, ScanBarcode } from 'lucide-react';
+
+const BARCODE_FORMATS = ['ean_13', 'ean_8', 'upc_a', 'upc_e'];
+const SCAN_INTERVAL_MS = 400;
+
+// Camera scanning needs the BarcodeDetector API (Chrome/Edge on Android, Safari 17+ on iOS);
+// everywhere else, and when camera access is denied, the code can be typed in
+const canScan = () => typeof window !== 'undefined' && 'BarcodeDetector' in window && !!navigator.mediaDevices?.getUserMedia;
+
+const BarcodeScanner = ({ onClose, onProduct }) => {
+  const [codeInput, setCodeInput] = useState('');
+  const [cameraState, setCameraState] = useState(canScan() ? 'starting' : 'unsupported'); // starting | scanning | unavailable | unsupported
+  const [isLooking, setIsLooking] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const videoRef = useRef(null);
+  const lookingRef = useRef(false); // the detector fires repeatedly for the same code
+  const lastCodeRef = useRef(null);
+  const onProductRef = useRef(onProduct); // keeps the camera running when the parent re-renders
+  onProductRef.current = onProduct;
+
+  const lookUp = useCallback(async (code) => {
+    if (lookingRef.current) return;
+    lookingRef.current = true;
+    setIsLooking(true);
+    setMessage(null);
+
+    try {
+      const response = await fetch(`/api/foods/barcode/${encodeURIComponent(code)}`);
+      const data = await response.json().catch(() => ({}));
+      if (response.ok && data.product) {
+        onProductRef.current(data.product);
+        return;
+      }
+      setMessage(data.error || 'Could not look up that barcode.');
+    } catch (error) {
+      setMessage('Could not look up that barcode. Check your connection and try again.');
+    } finally {
+      lookingRef.current = false;
+      setIsLooking(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!canScan()) return;
+
+    let stream = null;
+    let timer = null;
+    let cancelled = false;
+
+    const start = async () => {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        if (cancelled) return;
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+        setCameraState('scanning');
+
+        const detector = new window.BarcodeDetector({ formats: BARCODE_FORMATS });
+        timer = setInterval(async () => {
+          if (lookingRef.current || !videoRef.current || videoRef.current.readyState < 2) return;
+          try {
+            const [barcode] = await detector.detect(videoRef.current);
+            // Don't keep retrying a code that wasn't found while it stays in view
+            if (barcode && barcode.rawValue !== lastCodeRef.current) {
+              lastCodeRef.current = barcode.rawValue;
+              setCodeInput(barcode.rawValue);
+              lookUp(barcode.rawValue);
+            }
+          } catch (error) {
+            // A frame that can't be decoded isn't an error worth showing
+          }
+        }, SCAN_INTERVAL_MS);
+      } catch (error) {
+        console.error('Camera unavailable:', error);
+        if (!cancelled) setCameraState('unavailable');
+      }
+    };
+
+    start();
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+      stream?.getTracks().forEach(track => track.stop());
+    };
+  }, [lookUp]);
+
+  const submitCode = () => {
+    const code = codeInput.replace(/\D/g, '');
+    if (code.length < 8 || code.length > 14) {
+      setMessage('Enter the 8 to 14 digits printed under the barcode.');
+      return;
+    }
+    lookUp(code);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-xl p-6 w-full max-w-md">
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-xl font-bold text-gray-800">Scan Barcode</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <X size={24} />
+          </button>
+        </div>
+
+        {cameraState !== 'unsupported' && cameraState !== 'unavailable' && (
+          <div className="relative mb-4 rounded-lg overflow-hidden bg-black aspect-video">
+            <video ref={videoRef} className="w-full h-full object-cover" muted playsInline />
+            <div className="absolute inset-x-8 top-1/2 border-t-2 border-purple-400 opacity-75" />
+            {cameraState === 'starting' && (
+              <div className="absolute inset-0 flex items-center justify-center text-sm text-white">Starting camera...</div>
+            )}
+          </div>
+        )}
+        <p className="text-sm text-gray-600 mb-4">
+          {cameraState === 'scanning' && 'Point your camera at the barcode, or type the number below.'}
+          {cameraState === 'starting' && 'Allow camera access to scan, or type the number below.'}
+          {cameraState === 'unavailable' && "Couldn't open the camera. Type the number printed under the barcode instead."}
+          {cameraState === 'unsupported' && "This browser can't scan barcodes. Type the number printed under the barcode instead."}
+        </p>
+
+        <div className="flex gap-3">
+          <input
+            type="text"
+            inputMode="numeric"
+            value={codeInput}
+            onChange={(e) => setCodeInput(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') submitCode();
+            }}
+            placeholder="e.g., 049000028911"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 outline-none"
+          />
+          <button
+            onClick={submitCode}
+            disabled={isLooking || !codeInput.trim()}
+            className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+          >
+            <ScanBarcode size={18} />
+            {isLooking ? 'Looking up...' : 'Look up'}
+          </button>
+        </div>
+
+        {message && (
+          <p className="text-sm text-red-600 mt-3">{message}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BarcodeScanner;
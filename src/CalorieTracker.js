@@ -1,9 +1,20 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
-import { Send, Trash2, Edit2, X, ChevronLeft, ChevronRight, Eye, EyeOff, GripVertical, Plus, Settings } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { Send, Trash2, Edit2, X, ChevronLeft, ChevronRight, Eye, EyeOff, GripVertical, Plus, Settings, Zap, ScanBarcode, Camera, ChefHat, ChevronDown, Minus, BookmarkPlus, History, Copy } from 'lucide-react';
 import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
-import { supabase } from './supabase';
+import { supabase, getAuthHeaders } from './supabase';
 import AccountSettings from './AccountSettings';
 import WeightTracker from './WeightTracker';
+import BarcodeScanner from './BarcodeScanner';
+import VoiceButton from './VoiceButton';
+import RecipeImporter from './RecipeImporter';
+import RecipeBook from './RecipeBook';
+import CopyEntriesDialog from './CopyEntriesDialog';
+import PortionControl from './PortionControl';
+import VitaminReport from './VitaminReport';
+import { SCALED_FIELDS, UNIT_SYSTEMS, compatibleUnits, convertQuantity, formatUnit, parsePortion, portionLabel, withPortion } from './units';
+import { DEFAULT_PROFILE, SEXES } from './vitamins';
+import { MEALS, entryMeal, entryTimestamp, mealForTime, readMealSettings } from './meals';
+import { MACROS, MICRONUTRIENTS, NUTRIENTS, DEFAULT_TOGGLES, columnFor, customLabel, nutrientLabel, readCustomNutrients, rowTotals, sumCustom, sumItems, totalColumns, totalKey, withDefaultToggles } from './nutrients';
 
 // Auth Modal Component - defined outside to prevent re-mounting on state changes
 const AuthModal = ({
@@ -154,6 +165,101 @@ const AuthModal = ({
   </div>
 );
 
+// Reads a server-sent events response, calling onEvent(eventName, data) for each JSON event
+const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (block) => {
+    let eventName = 'message';
+    const dataLines = [];
+    block.split('\n').forEach(line => {
+      if (line.startsWith('event:')) eventName = line.slice(6).trim();
+      else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+    });
+    if (dataLines.length === 0) return;
+
+    let payload;
+    try {
+      payload = JSON.parse(dataLines.join('\n'));
+    } catch (e) {
+      console.warn('[readEventStream] Skipping malformed event:', e.message);
+      return;
+    }
+    onEvent(eventName, payload);
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      dispatch(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+    }
+  }
+  if (buffer.trim()) dispatch(buffer);
+};
+
+// Signed-out users keep their meal templates in this browser
+const MEAL_TEMPLATES_STORAGE_KEY = 'easily-meal-templates';
+
+const readLocalMealTemplates = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(MEAL_TEMPLATES_STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+// Chips per tab in the recent/frequent foods panel
+const QUICK_ADD_LIMIT = 10;
+
+// Time until a usage limit lifts: "45s", "3m 20s", "5h 12m"
+const formatWait = (seconds) => {
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+};
+
+// Manual entry form. Nutrition is per serving; servings is how much was eaten, in servingsUnit: 'serving'
+// or any unit the serving size converts to ("45 g" of a "30 g" serving). source records where the
+// numbers came from ('manual entry', 'nutrition label' or 'custom food'). Micronutrients left blank
+// aren't stored on the item.
+const EMPTY_MANUAL_ENTRY = {
+  item: '',
+  calories: '',
+  protein: '',
+  carbs: '',
+  fat: '',
+  ...Object.fromEntries(MICRONUTRIENTS.map(({ key }) => [key, ''])),
+  servingSize: '',
+  servingsPerContainer: '',
+  servings: '1',
+  servingsUnit: 'serving',
+  source: 'manual entry',
+  saveAsFood: false,
+  addToLog: true
+};
+
+// Meal photos are shrunk before upload so they stay well under the API's request size limit;
+// the API downscales again to what the vision model needs
+const MAX_PHOTO_UPLOAD_DIMENSION = 1600;
+
+const downscalePhoto = async (file) => {
+  const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+  const scale = Math.min(1, MAX_PHOTO_UPLOAD_DIMENSION / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return canvas.toDataURL('image/jpeg', 0.85);
+};
+
 const CalorieTracker = () => {
   // Helper functions
   const getLocalDateString = (date = new Date()) => {
@@ -167,11 +273,17 @@ const CalorieTracker = () => {
     return name.toLowerCase().trim().replace(/\s+/g, ' ');
   };
 
-  const parseSource = (source) => {
+  // fdcId is set on items resolved from the local USDA data and barcode on scanned products,
+  // so the link can go to the exact record
+  const parseSource = (source, { fdcId, barcode } = {}) => {
     if (!source || source === 'unknown' || source === 'error') {
       return { displayName: source || 'unknown', url: null };
     }
 
+    if (barcode) {
+      return { displayName: 'Open Food Facts', url: `https://world.openfoodfacts.org/product/${barcode}` };
+    }
+
     // Handle user corrections
     if (source === 'user correction') {
       return { displayName: 'User', url: null };
@@ -179,7 +291,8 @@ const CalorieTracker = () => {
 
     // Handle USDA sources
     if (source.toLowerCase().includes('usda') || source.toLowerCase().includes('fooddata central')) {
-      return { displayName: 'USDA', url: 'https://fdc.nal.usda.gov/' };
+      const url = fdcId ? `https://fdc.nal.usda.gov/food-details/${fdcId}/nutrients` : 'https://fdc.nal.usda.gov/';
+      return { displayName: 'USDA', url };
     }
 
     // Try to extract URL from the source
@@ -250,6 +363,8 @@ const CalorieTracker = () => {
   const [goals, setGoals] = useState(null);
   const [visibleSourceKey, setVisibleSourceKey] = useState(null);
   const [processingError, setProcessingError] = useState(null); // { message, details }
+  const [usageLimit, setUsageLimit] = useState(null); // { code: 'rate_limited'|'daily_limit', message, retryAt }
+  const [limitSecondsLeft, setLimitSecondsLeft] = useState(0); // until usageLimit.retryAt
   const [showErrorDetails, setShowErrorDetails] = useState(false);
   const [draggedItem, setDraggedItem] = useState(null); // { entryId, itemIndex }
   const [dragPreview, setDragPreview] = useState(null); // { x, y, item } for visual feedback
@@ -269,30 +384,78 @@ const CalorieTracker = () => {
     catch { return 'lbs'; }
   });
   const [weightGoal, setWeightGoal] = useState(null);
+  // Metric or US portions: the parser's assumed portions and the unit pickers follow it
+  const [unitSystem, setUnitSystem] = useState(() => {
+    try {
+      const saved = localStorage.getItem('easily-unit-system');
+      return UNIT_SYSTEMS.includes(saved) ? saved : 'us';
+    } catch { return 'us'; }
+  });
+
+  // Sex and age for the vitamin report's reference intakes (persisted in localStorage)
+  const [vitaminProfile, setVitaminProfile] = useState(() => {
+    try {
+      const saved = JSON.parse(localStorage.getItem('easily-vitamin-profile'));
+      if (saved && SEXES.includes(saved.sex) && saved.age > 0) return saved;
+    } catch { /* ignore */ }
+    return DEFAULT_PROFILE;
+  });
 
   // Macro tracking toggle (persisted in localStorage + Supabase user_metadata for authenticated users)
   const [macroToggles, setMacroToggles] = useState(() => {
     try {
       const saved = localStorage.getItem('easily-macro-toggles');
-      if (saved) return JSON.parse(saved);
+      if (saved) return withDefaultToggles(JSON.parse(saved));
     } catch (e) { /* ignore */ }
-    return { protein: false, carbs: false, fat: false }; // Default: calories only
+    return DEFAULT_TOGGLES;
+  });
+
+  // The user's own nutrients, [{ key, label, unit, goal }] (persisted and synced with macroToggles)
+  const [customNutrients, setCustomNutrients] = useState(() => {
+    try { return readCustomNutrients(JSON.parse(localStorage.getItem('easily-custom-nutrients'))); }
+    catch { return []; }
+  });
+
+  // Meal cutoffs and per-meal calorie targets (persisted and synced with macroToggles)
+  const [mealSettings, setMealSettings] = useState(() => {
+    try { return readMealSettings(JSON.parse(localStorage.getItem('easily-meal-settings'))); }
+    catch { return readMealSettings(null); }
   });
 
   // Track whether we've synced macro toggles from the server for this session
   const macroTogglesSyncedRef = useRef(false);
 
+  const trackedMacros = MACROS.filter(({ key }) => macroToggles[key]);
+  const trackedMicronutrients = MICRONUTRIENTS.filter(({ key }) => macroToggles[key]);
+  const trackedNutrients = [...trackedMacros, ...trackedMicronutrients];
+  const hasNutrientLabels = trackedNutrients.length > 0 || customNutrients.length > 0;
+
+  // "P: 12g", ..., "Caffeine: 95 mg" for an item (or, with totals, an entry's totals)
+  const nutrientLabels = (item, totals = false) => [
+    ...trackedNutrients.map(nutrient => nutrientLabel(nutrient, totals ? item[totalKey(nutrient.key)] : item[nutrient.key])),
+    ...customNutrients.map(nutrient => customLabel(nutrient, totals ? sumCustom(item.items, nutrient.key) : item.custom?.[nutrient.key]))
+  ];
+
   // Chat and confirmation states
   const [messages, setMessages] = useState([]); // Conversation history
   const [pendingFoods, setPendingFoods] = useState(null); // {items: [], selectionState: {0: true, 1: true, ...}}
   const [showManualEntry, setShowManualEntry] = useState(false);
-  const [manualEntryInputs, setManualEntryInputs] = useState({
-    item: '',
-    calories: '',
-    protein: '',
-    carbs: '',
-    fat: ''
-  });
+  const [showBarcodeScanner, setShowBarcodeScanner] = useState(false);
+  const [showRecipeImporter, setShowRecipeImporter] = useState(false);
+  const [showCopyEntries, setShowCopyEntries] = useState(false);
+  const copyInFlightRef = useRef(false); // state updates too late to stop a quick second tap
+  const [photoAttachment, setPhotoAttachment] = useState(null); // data URL of a meal photo to send with the next message
+  const photoInputRef = useRef(null);
+  const [manualEntryInputs, setManualEntryInputs] = useState(EMPTY_MANUAL_ENTRY);
+  const [customFoods, setCustomFoods] = useState([]); // [{ id, name, servingSize, servingsPerContainer, calories, protein, carbs, fat }]
+  const [recipes, setRecipes] = useState([]); // [{ id, name, servings, ingredients, calories, protein, carbs, fat }], values per serving
+  const [mealTemplates, setMealTemplates] = useState(readLocalMealTemplates); // [{ id, name, items }], items shaped like entries.items
+  const [templateEditor, setTemplateEditor] = useState(null); // { id?, name, items } while saving or editing a template
+  const [isQuickLogging, setIsQuickLogging] = useState(false); // a template or quick-add food is being logged
+  const [quickAddTab, setQuickAddTab] = useState('frequent'); // 'frequent' | 'recent'
+  const [showQuickAdd, setShowQuickAdd] = useState(true);
+  const [labelScan, setLabelScan] = useState(null); // { status: 'reading' | 'done' | 'error', message }
+  const labelInputRef = useRef(null);
   const chatEndRef = useRef(null);
 
   // Unified gesture state for swipe and drag
@@ -327,25 +490,49 @@ const CalorieTracker = () => {
     catch { /* ignore */ }
   }, [weightUnit]);
 
-  // Persist macro toggles to localStorage + Supabase user_metadata
+  // Persist portion units to localStorage
+  useEffect(() => {
+    try { localStorage.setItem('easily-unit-system', unitSystem); }
+    catch { /* ignore */ }
+  }, [unitSystem]);
+
+  // Persist the vitamin report profile to localStorage
+  useEffect(() => {
+    try { localStorage.setItem('easily-vitamin-profile', JSON.stringify(vitaminProfile)); }
+    catch { /* ignore */ }
+  }, [vitaminProfile]);
+
+  // Persist macro toggles, custom nutrients and meal settings to localStorage + Supabase user_metadata
   useEffect(() => {
     localStorage.setItem('easily-macro-toggles', JSON.stringify(macroToggles));
+    localStorage.setItem('easily-custom-nutrients', JSON.stringify(customNutrients));
+    localStorage.setItem('easily-meal-settings', JSON.stringify(mealSettings));
 
     // Save to Supabase user metadata for cross-device sync (skip the initial load sync)
     if (session?.user && macroTogglesSyncedRef.current) {
-      supabase.auth.updateUser({ data: { macroToggles } });
+      supabase.auth.updateUser({ data: { macroToggles, customNutrients, mealSettings } });
     }
-  }, [macroToggles, session?.user]);
+  }, [macroToggles, customNutrients, mealSettings, session?.user]);
 
-  // Load macro toggles from Supabase user_metadata on login (overrides localStorage)
+  // Load macro toggles, custom nutrients and meal settings from Supabase user_metadata on login (overrides localStorage)
   useEffect(() => {
     if (session?.user?.user_metadata?.macroToggles && !macroTogglesSyncedRef.current) {
       const saved = session.user.user_metadata.macroToggles;
       if (typeof saved === 'object' && 'protein' in saved && 'carbs' in saved && 'fat' in saved) {
-        setMacroToggles(saved);
-        localStorage.setItem('easily-macro-toggles', JSON.stringify(saved));
+        setMacroToggles(withDefaultToggles(saved));
+        localStorage.setItem('easily-macro-toggles', JSON.stringify(withDefaultToggles(saved)));
       }
     }
+    if (session?.user?.user_metadata?.customNutrients && !macroTogglesSyncedRef.current) {
+      const saved = readCustomNutrients(session.user.user_metadata.customNutrients);
+      setCustomNutrients(saved);
+      localStorage.setItem('easily-custom-nutrients', JSON.stringify(saved));
+    }
+    if (session?.user?.user_metadata?.mealSettings && !macroTogglesSyncedRef.current) {
+      const saved = readMealSettings(session.user.user_metadata.mealSettings);
+      setMealSettings(saved);
+      localStorage.setItem('easily-meal-settings', JSON.stringify(saved));
+    }
     if (session?.user) {
       macroTogglesSyncedRef.current = true;
     }
@@ -384,6 +571,9 @@ const CalorieTracker = () => {
         if (_event === 'SIGNED_OUT') {
           setEntries({});
           setCorrections({});
+          setCustomFoods([]);
+          setRecipes([]);
+          setMealTemplates(readLocalMealTemplates());
           setGoals(null);
           setHasCompletedFirstEntry(false);
           anonymousEntriesRef.current = null;
@@ -426,12 +616,10 @@ const CalorieTracker = () => {
         id: entry.id,
         timestamp: entry.timestamp,
         localTime: entry.local_time,
+        meal: entry.meal,
         input: entry.input,
         items: entry.items,
-        totalCalories: entry.total_calories,
-        totalProtein: entry.total_protein,
-        totalCarbs: entry.total_carbs,
-        totalFat: entry.total_fat
+        ...rowTotals(entry)
       });
     });
     setEntries(grouped);
@@ -461,6 +649,69 @@ const CalorieTracker = () => {
     setCorrections(correctionsMap);
   }, [session?.user?.id]);
 
+  const loadCustomFoods = useCallback(async () => {
+    const { data, error } = await supabase
+      .from('custom_foods')
+      .select('*')
+      .eq('user_id', session.user.id)
+      .order('name', { ascending: true });
+
+    if (error) {
+      console.error('Error loading custom foods:', error);
+      return;
+    }
+
+    setCustomFoods(data.map(food => ({
+      id: food.id,
+      name: food.name,
+      servingSize: food.serving_size,
+      servingsPerContainer: food.servings_per_container,
+      calories: food.calories,
+      protein: food.protein,
+      carbs: food.carbs,
+      fat: food.fat
+    })));
+  }, [session?.user?.id]);
+
+  const loadRecipes = useCallback(async () => {
+    const { data, error } = await supabase
+      .from('recipes')
+      .select('*')
+      .eq('user_id', session.user.id)
+      .order('name', { ascending: true });
+
+    if (error) {
+      console.error('Error loading recipes:', error);
+      return;
+    }
+
+    setRecipes(data.map(recipe => ({
+      id: recipe.id,
+      name: recipe.name,
+      servings: parseFloat(recipe.servings),
+      ingredients: recipe.ingredients || [],
+      calories: recipe.calories,
+      protein: recipe.protein,
+      carbs: recipe.carbs,
+      fat: recipe.fat
+    })));
+  }, [session?.user?.id]);
+
+  const loadMealTemplates = useCallback(async () => {
+    const { data, error } = await supabase
+      .from('meal_templates')
+      .select('*')
+      .eq('user_id', session.user.id)
+      .order('name', { ascending: true });
+
+    if (error) {
+      console.error('Error loading meal templates:', error);
+      return;
+    }
+
+    setMealTemplates(data.map(template => ({ id: template.id, name: template.name, items: template.items || [] })));
+  }, [session?.user?.id]);
+
   const loadGoals = useCallback(async () => {
     const { data, error } = await supabase
       .from('goals')
@@ -476,9 +727,7 @@ const CalorieTracker = () => {
     if (data) {
       setGoals({
         calories: data.calories,
-        protein: data.protein,
-        carbs: data.carbs,
-        fat: data.fat
+        ...Object.fromEntries(NUTRIENTS.map(nutrient => [nutrient.key, data[columnFor(nutrient)]]))
       });
     }
   }, [session?.user?.id]);
@@ -503,9 +752,9 @@ const CalorieTracker = () => {
   const loadAllData = useCallback(async () => {
     if (!session?.user) return;
     setIsLoading(true);
-    await Promise.all([loadEntries(), loadCorrections(), loadGoals(), loadUsername()]);
+    await Promise.all([loadEntries(), loadCorrections(), loadCustomFoods(), loadRecipes(), loadMealTemplates(), loadGoals(), loadUsername()]);
     setIsLoading(false);
-  }, [loadEntries, loadCorrections, loadGoals, loadUsername, session?.user]);
+  }, [loadEntries, loadCorrections, loadCustomFoods, loadRecipes, loadMealTemplates, loadGoals, loadUsername, session?.user]);
 
   // Migrate anonymous entries to authenticated user's account
   const migrateAnonymousEntries = useCallback(async () => {
@@ -523,12 +772,10 @@ const CalorieTracker = () => {
           date: date,
           timestamp: entry.timestamp,
           local_time: entry.localTime,
+          meal: entry.meal,
           input: entry.input,
           items: entry.items,
-          total_calories: entry.totalCalories,
-          total_protein: entry.totalProtein,
-          total_carbs: entry.totalCarbs,
-          total_fat: entry.totalFat
+          ...totalColumns(entry)
         };
 
         const { error } = await supabase.from('entries').insert(newEntry);
@@ -581,6 +828,22 @@ const CalorieTracker = () => {
     setPendingFoods(null);
   }, [selectedDate]);
 
+  // Count down to usageLimit.retryAt, then clear the limit so AI logging works again
+  useEffect(() => {
+    if (!usageLimit?.retryAt) {
+      setLimitSecondsLeft(0);
+      return undefined;
+    }
+    const tick = () => {
+      const secondsLeft = Math.ceil((usageLimit.retryAt - Date.now()) / 1000);
+      setLimitSecondsLeft(Math.max(secondsLeft, 0));
+      if (secondsLeft <= 0) setUsageLimit(null);
+    };
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [usageLimit]);
+
   // Auth functions
   const handleSignUp = async () => {
     setAuthLoading(true);
@@ -669,247 +932,110 @@ const CalorieTracker = () => {
   };
 
   // Food processing with conversation context
-  const processFood = async (foodText, conversationHistory = []) => {
+  // onItem(item, index) is called as each item streams in, before the full list is validated;
+  // onInstant() is called when the server answered without the AI (response cache or local USDA data)
+  // image: optional meal photo (data URL); foodText is then an optional note about it
+  const processFood = async (foodText, conversationHistory = [], { onItem, onInstant, onTarget, image } = {}) => {
     const perfStart = performance.now();
     console.log('[PERF] processFood: Starting for:', foodText);
 
     setIsProcessing(true);
     setProcessingError(null);
     setShowErrorDetails(false);
+    setUsageLimit(null);
 
-    try {
-      // Only include corrections that might be relevant (limit to 10 most recent to reduce token usage)
-      const relevantCorrections = Object.keys(corrections).length > 0
-        ? Object.fromEntries(Object.entries(corrections).slice(-10))
-        : {};
-
-      const correctionsContext = Object.keys(relevantCorrections).length > 0
-        ? `\n\nUSER'S SAVED CORRECTIONS (use these exact values if the food matches - match case-insensitively):\n${JSON.stringify(relevantCorrections, null, 2)}`
-        : '';
-
-      // Build dynamic nutrition fields based on macro toggles
-      const enabledMacros = ['protein', 'carbs', 'fat'].filter(m => macroToggles[m]);
-      const macroFormatParts = enabledMacros.map(m => `"${m}":0`).join(',');
-      const returnFields = `"item":"name","calories":100${macroFormatParts ? ',' + macroFormatParts : ''},"source":"source"`;
-
-      // Build examples based on enabled macros
-      const buildExample = (item, cal, protein, carbs, fat, source) => {
-        let obj = `"item":"${item}","calories":${cal}`;
-        if (macroToggles.protein) obj += `,"protein":${protein}`;
-        if (macroToggles.carbs) obj += `,"carbs":${carbs}`;
-        if (macroToggles.fat) obj += `,"fat":${fat}`;
-        obj += `,"source":"${source}"`;
-        return `{${obj}}`;
-      };
-
-      const macroTrackingNote = enabledMacros.length === 0
-        ? '\n\nIMPORTANT: The user is only tracking calories. Do NOT include protein, carbs, or fat in your response.'
-        : enabledMacros.length < 3
-          ? `\n\nIMPORTANT: The user is only tracking calories and ${enabledMacros.join(', ')}. Only include those fields - do NOT include ${['protein', 'carbs', 'fat'].filter(m => !macroToggles[m]).join(' or ')}.`
-          : '';
-
-      // Build messages array with conversation history
-      const apiMessages = [
-        {
-          role: 'system',
-          content: `You are a friendly nutrition tracking assistant. You have two response modes:
-
-MODE 1 - INITIAL RESPONSE (ALWAYS DO THIS FIRST):
-Provide nutrition data immediately with reasonable assumptions. Return a JSON array with the food items.
-
-ASSUMPTIONS TO MAKE:
-- "Glass of milk" = 8 oz whole milk
-- "Coffee" = black coffee with optional mention of adding cream/sugar
-- "Banana" = medium banana (120g)
-- "Chicken breast" = 6 oz cooked
-- "Steak" = 8 oz
-- Generic items = standard serving sizes
-
-After the JSON array, you may add a brief friendly suggestion for refinement (optional, keep it natural):
-"These are the values for whole milk - let me know if you had skim, 2%, or another type for more precise tracking!"
-
-MODE 2 - CLARIFYING QUESTIONS (Only when truly necessary):
-Only ask clarifying questions if the food is genuinely ambiguous and you cannot make a reasonable assumption.
-Examples: "pasta" (need to know if plain, with sauce, etc.), "salad" (countless variations)
-
-When asking questions, still provide an initial estimate with assumptions stated clearly.
-
-FORMATTING RULES:
-1. Clean up food names: Fix typos, capitalize properly, use official brand names
-2. Emoji: Use only if clearly representative (🍌 🍎 🍕 🍟 🥚). Skip for branded items
-3. Quantity: Put number BEFORE name ("2 Eggs" not "Eggs (2)")
-4. Portions: Add assumed portions for proteins ("Chicken Breast (6 oz)")
-${macroTrackingNote}
-
-Examples:
-"2 eggs" → ${buildExample('🥚 2 Eggs', 140, 12, 2, 10, 'USDA')}
-"glass of milk" → ${buildExample('🥛 Glass of Milk (8 oz, Whole)', 150, 8, 12, 8, 'USDA')} + suggestion about milk types
-"chicken breast" → ${buildExample('🍗 Chicken Breast (6 oz)', 280, 53, 0, 6, 'USDA')}
-"large fries from McDonald's" → ${buildExample("🍟 Large McDonald's French Fries", 490, 6, 66, 23, "McDonald's nutrition")}
-
-Return format: [{${returnFields}}]`
-        },
-        // Add conversation history (limit to last 10 messages to manage token usage)
-        ...conversationHistory.slice(-10),
-        {
-          role: 'user',
-          content: `Parse "${foodText}" and return nutrition for each item.${correctionsContext}`
-        }
-      ];
+    // Tracks whether a specific error was already shown (processingError state is stale inside this closure)
+    let errorReported = false;
 
+    try {
       const apiStart = performance.now();
       console.log('[PERF] processFood: Starting API call');
-      const response = await fetch('/api/openai/messages', {
+      const response = await fetch('/api/nutrition/parse', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', ...(await getAuthHeaders()) },
         body: JSON.stringify({
-          model: 'gpt-5-mini-2025-08-07',
-          max_completion_tokens: 4000,
-          messages: apiMessages
+          text: foodText,
+          // Only role/content are needed; the server owns the prompt and trims history
+          history: conversationHistory.map(({ role, content }) => ({ role, content })),
+          macroToggles,
+          corrections,
+          // Per-serving values, so "a bowl of my chili" resolves without the AI
+          recipes: recipes.map(({ id, name, calories, protein, carbs, fat }) => ({ id, name, calories, protein, carbs, fat })),
+          units: unitSystem,
+          customNutrients: customNutrients.map(({ key, label, unit }) => ({ key, label, unit })),
+          // "yesterday" and weekdays count from the user's own date, not the server's
+          today: getLocalDateString(),
+          stream: true,
+          ...(image ? { image } : {})
         })
       });
 
-      const apiEnd = performance.now();
-      const apiDuration = ((apiEnd - apiStart) / 1000).toFixed(2);
-      console.log(`[PERF] processFood: API call completed in ${apiDuration}s`);
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        const errorMsg = `API error (${response.status}): ${errorText}`;
-        console.error('[processFood] API error:', errorMsg);
-        setProcessingError({
-          message: 'Unable to connect to AI service. Please try again.',
-          details: `HTTP ${response.status}: ${errorText}`
-        });
-        throw new Error(errorMsg);
-      }
-
-      const parseStart = performance.now();
-      console.log('[PERF] processFood: Parsing response');
-      const data = await response.json();
-      console.log('[processFood] Full API response:', JSON.stringify(data, null, 2));
-
-      // Extract text from OpenAI response format
-      let allText = '';
-      let refusalReason = null;
-      let finishReason = null;
-
-      if (data.choices && data.choices.length > 0 && data.choices[0].message) {
-        const message = data.choices[0].message;
-        const choice = data.choices[0];
-
-        allText = message.content || '';
-        refusalReason = message.refusal;
-        finishReason = choice.finish_reason;
-
-        console.log('[processFood] Message details:', {
-          hasContent: !!message.content,
-          contentType: typeof message.content,
-          contentLength: message.content?.length,
-          content: message.content,
-          refusal: message.refusal,
-          finishReason: choice.finish_reason
+      let data = null;
+      let firstItemDuration = null;
+      const isEventStream = response.ok && (response.headers.get('Content-Type') || '').includes('text/event-stream');
+      if (isEventStream) {
+        // Items arrive one at a time; the final "done" (or "error") event carries the validated result
+        await readEventStream(response, (eventName, payload) => {
+          if (eventName === 'item') {
+            if (firstItemDuration === null) {
+              firstItemDuration = ((performance.now() - apiStart) / 1000).toFixed(2);
+              console.log(`[PERF] processFood: First item after ${firstItemDuration}s`);
+            }
+            if (onItem) onItem(payload.item, payload.index);
+          } else if (eventName === 'done' || eventName === 'error') {
+            data = payload;
+          }
         });
       } else {
-        console.error('[processFood] Unexpected response structure:', {
-          hasChoices: !!data.choices,
-          choicesLength: data.choices?.length,
-          hasMessage: !!data.choices?.[0]?.message,
-          fullData: data
-        });
-      }
-
-      // Check for refusal
-      if (refusalReason) {
-        const errorMsg = `AI refused to process: ${refusalReason}`;
-        console.error('[processFood] AI refusal:', refusalReason);
-        setProcessingError({
-          message: 'Unable to process your request. Try rephrasing your food description.',
-          details: `AI Refusal: ${refusalReason}`
-        });
-        throw new Error(errorMsg);
-      }
-
-      if (!allText || allText.trim() === '') {
-        // Provide user-friendly message and technical details based on finish reason
-        let userMessage = 'Unable to process your food. Please try again.';
-        let technicalDetails = 'No text content in API response.';
-
-        if (finishReason === 'content_filter') {
-          userMessage = 'Your request was blocked. Try rephrasing your food description.';
-          technicalDetails = `Finish reason: content_filter. The AI's content filter blocked this request.`;
-        } else if (finishReason === 'length') {
-          userMessage = 'Too many items at once. Try entering fewer items.';
-          technicalDetails = `Finish reason: length. Response was cut off due to token length limits.`;
-        } else if (data.error) {
-          userMessage = 'AI service error. Please try again in a moment.';
-          technicalDetails = `OpenAI API error: ${data.error.message || JSON.stringify(data.error)}`;
-        } else {
-          userMessage = 'Temporary issue with AI service. Please try again.';
-          technicalDetails = `No text content in API response. Finish reason: ${finishReason || 'unknown'}. Full response: ${JSON.stringify(data)}`;
+        try {
+          data = await response.json();
+        } catch (jsonError) {
+          console.error('[processFood] Response was not JSON:', jsonError.message);
         }
-
-        console.error('[processFood]', technicalDetails, 'Full response:', data);
-        setProcessingError({
-          message: userMessage,
-          details: technicalDetails
-        });
-        throw new Error(technicalDetails);
       }
 
-      console.log('[processFood] Extracted text preview:', allText.substring(0, 300));
+      const apiEnd = performance.now();
+      const apiDuration = ((apiEnd - apiStart) / 1000).toFixed(2);
+      console.log(`[PERF] processFood: API call completed in ${apiDuration}s`);
 
-      // Clean markdown code blocks
-      let content = allText.trim().replace(/```json\s*/g, '').replace(/```\s*/g, '');
+      const parseStart = performance.now();
 
-      // Try to find JSON array
-      const arrayMatch = content.match(/\[\s*\{[\s\S]*?\}\s*\]/);
-      if (!arrayMatch) {
-        const errorMsg = 'Could not find JSON array in response';
-        console.error('[processFood]', errorMsg);
-        console.error('[processFood] Response content:', content);
-        setProcessingError({
-          message: 'AI returned an unexpected format. Please try again.',
-          details: `Could not find JSON array in response. Content received: ${content.substring(0, 500)}`
+      // Rate limited or out of daily quota: show the friendly limit card instead of an error
+      if (response.status === 429) {
+        const retryAfter = parseInt(response.headers.get('Retry-After'), 10) || data?.retryAfter || 60;
+        console.warn('[processFood] Usage limit reached:', data?.details);
+        setUsageLimit({
+          code: data?.code || 'rate_limited',
+          message: data?.error || "You've hit today's limit for AI logging. You can still add foods manually.",
+          retryAt: Date.now() + retryAfter * 1000
         });
-        throw new Error(errorMsg);
+        return [{
+          item: foodText || 'Photo',
+          calories: 0,
+          protein: 0,
+          carbs: 0,
+          fat: 0,
+          source: 'error',
+          error: true,
+          limitReached: true
+        }];
       }
 
-      console.log('[processFood] Found JSON array:', arrayMatch[0].substring(0, 200));
-
-      // Parse the JSON
-      let foodItems;
-      try {
-        foodItems = JSON.parse(arrayMatch[0]);
-      } catch (parseError) {
-        const errorMsg = `JSON parse error: ${parseError.message}`;
-        console.error('[processFood]', errorMsg);
-        console.error('[processFood] Attempted to parse:', arrayMatch[0]);
+      if (!response.ok || !data || data.error) {
+        const errorMsg = `API error (${data?.status || response.status}): ${data?.details || data?.error || 'invalid response'}`;
+        console.error('[processFood] API error:', errorMsg);
         setProcessingError({
-          message: 'Failed to parse AI response. Please try again.',
-          details: `JSON parse error: ${parseError.message}. Attempted to parse: ${arrayMatch[0]}`
+          message: data?.error || 'Unable to connect to AI service. Please try again.',
+          details: data?.details || `HTTP ${data?.status || response.status}`
         });
-        throw parseError;
+        errorReported = true;
+        throw new Error(errorMsg);
       }
 
-      console.log('[processFood] Parsed food items:', foodItems);
-
-      // Validate and map items
-      const mappedItems = foodItems.map((item, index) => {
-        const hasCalories = item.calories && parseInt(item.calories) > 0;
-        if (!hasCalories) {
-          console.warn(`[processFood] Item ${index} has no calories:`, item);
-        }
-        return {
-          item: item.item || 'Unknown',
-          calories: parseInt(item.calories) || 0,
-          protein: parseInt(item.protein) || 0,
-          carbs: parseInt(item.carbs) || 0,
-          fat: parseInt(item.fat) || 0,
-          source: item.source || 'estimate',
-          error: !hasCalories
-        };
-      });
+      const mappedItems = Array.isArray(data.items) ? data.items : [];
+      console.log('[processFood] Parsed food items:', mappedItems, data.cached ? '(cached)' : data.local ? '(local USDA data)' : '');
+      if ((data.cached || data.local) && onInstant) onInstant();
+      if (onTarget) onTarget(data.target || null);
 
       const parseEnd = performance.now();
       const parseDuration = ((parseEnd - parseStart) / 1000).toFixed(2);
@@ -917,7 +1043,7 @@ Return format: [{${returnFields}}]`
 
       const perfEnd = performance.now();
       const totalDuration = ((perfEnd - perfStart) / 1000).toFixed(2);
-      console.log(`[PERF] processFood: Total time ${totalDuration}s (API: ${apiDuration}s, Parse: ${parseDuration}s)`);
+      console.log(`[PERF] processFood: Total time ${totalDuration}s (First item: ${firstItemDuration ?? 'n/a'}s, API: ${apiDuration}s, Parse: ${parseDuration}s)`);
       console.log('[processFood] Success! Returning', mappedItems.length, 'items');
       return mappedItems;
 
@@ -926,7 +1052,7 @@ Return format: [{${returnFields}}]`
       console.error('[processFood] Stack:', error.stack);
 
       // Set user-friendly error message if not already set
-      if (!processingError) {
+      if (!errorReported) {
         setProcessingError({
           message: 'Failed to process your food. Please try again.',
           details: `Error: ${error.message}\n\nStack trace:\n${error.stack}`
@@ -934,7 +1060,7 @@ Return format: [{${returnFields}}]`
       }
 
       return [{
-        item: foodText,
+        item: foodText || 'Photo',
         calories: 0,
         protein: 0,
         carbs: 0,
@@ -947,27 +1073,55 @@ Return format: [{${returnFields}}]`
     }
   };
 
-  // Entry management with conversational flow
-  const handleSubmit = async () => {
-    if (!currentInput.trim() || isProcessing) return;
+  // Entry management with conversational flow. textOverride is a voice transcript to send instead of the input box.
+  const handleSubmit = async (textOverride) => {
+    const userMessage = typeof textOverride === 'string' ? textOverride : currentInput;
+    if ((!userMessage.trim() && !photoAttachment) || isProcessing) return;
 
     const submitStart = performance.now();
     console.log('[PERF] handleSubmit: Starting');
 
-    const userMessage = currentInput;
+    const image = photoAttachment;
+    // With a photo, the typed text is an optional note; the log entry and chat still need a description
+    const originalInput = image ? `📷 ${userMessage.trim() || 'Photo'}` : userMessage;
 
     // Add user message to chat
     const newUserMessage = {
       role: 'user',
-      content: userMessage,
-      timestamp: new Date().toISOString()
+      content: originalInput,
+      timestamp: new Date().toISOString(),
+      ...(image ? { image } : {})
     };
 
     setMessages(prev => [...prev, newUserMessage]);
     setCurrentInput('');
-
-    // Process food with conversation history
-    const foodItems = await processFood(userMessage, messages);
+    setPhotoAttachment(null);
+
+    // Process food with conversation history, showing items in the confirmation card as they stream in
+    let instant = false;
+    let target = null;
+    const foodItems = await processFood(userMessage, messages, {
+      image,
+      onInstant: () => {
+        instant = true;
+      },
+      onTarget: (saidTarget) => {
+        target = saidTarget;
+      },
+      onItem: (item, index) => {
+        setPendingFoods(prev => {
+          const streaming = prev?.isStreaming ? prev : { items: [], selectionState: {} };
+          const items = [...streaming.items];
+          items[index] = item;
+          return {
+            items,
+            selectionState: { ...streaming.selectionState, [index]: streaming.selectionState[index] ?? true },
+            originalInput,
+            isStreaming: true
+          };
+        });
+      }
+    });
 
     if (foodItems.length > 0 && !foodItems[0].error) {
       // Add AI response message to chat
@@ -980,25 +1134,35 @@ Return format: [{${returnFields}}]`
 
       setMessages(prev => [...prev, aiMessage]);
 
-      // Set pending foods for confirmation (all selected by default)
-      const selectionState = {};
-      foodItems.forEach((_, index) => {
-        selectionState[index] = true;
-      });
+      // Set pending foods for confirmation (all selected by default, keeping any choices made while streaming)
+      setPendingFoods(prev => {
+        const selectionState = {};
+        foodItems.forEach((_, index) => {
+          selectionState[index] = prev?.isStreaming ? (prev.selectionState[index] ?? true) : true;
+        });
 
-      setPendingFoods({
-        items: foodItems,
-        selectionState: selectionState,
-        originalInput: userMessage
+        return {
+          items: foodItems,
+          selectionState: selectionState,
+          originalInput,
+          instant,
+          // A date or time changed on the card while items streamed in wins over the one in the text
+          target: prev?.isStreaming && prev.target ? prev.target : pendingTarget(target)
+        };
       });
     } else {
-      // Error case
-      const aiMessage = {
-        role: 'assistant',
-        content: 'Sorry, I had trouble processing that. Please try again.',
-        timestamp: new Date().toISOString()
-      };
-      setMessages(prev => [...prev, aiMessage]);
+      // Error case: drop any partially streamed items
+      setPendingFoods(prev => (prev?.isStreaming ? null : prev));
+
+      // Usage limits have their own card, so no chat message for those
+      if (!foodItems[0]?.limitReached) {
+        const aiMessage = {
+          role: 'assistant',
+          content: 'Sorry, I had trouble processing that. Please try again.',
+          timestamp: new Date().toISOString()
+        };
+        setMessages(prev => [...prev, aiMessage]);
+      }
     }
 
     const submitEnd = performance.now();
@@ -1006,14 +1170,47 @@ Return format: [{${returnFields}}]`
     console.log(`[PERF] handleSubmit: Total submission time ${totalSubmitDuration}s`);
   };
 
+  const handlePhotoSelected = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // allow picking the same file again
+    if (!file) return;
+
+    try {
+      setPhotoAttachment(await downscalePhoto(file));
+    } catch (error) {
+      console.error('[handlePhotoSelected] Could not read photo:', error);
+      setProcessingError({
+        message: "Couldn't read that photo. Try a JPEG or PNG.",
+        details: `Error: ${error.message}`
+      });
+    }
+  };
+
+  // Where the confirmation card logs to: { date, time, meal }, pre-filled from what the text said
+  // ("yesterday ... for dinner"). An empty meal is the one for the time; addConfirmedFoodsToLog
+  // works out the time when it's empty.
+  const pendingTarget = (saidTarget) => ({
+    date: saidTarget?.date || selectedDate,
+    time: saidTarget?.time || '',
+    meal: saidTarget?.meal || ''
+  });
+
+  const changePendingTarget = (field, value) => {
+    setPendingFoods(prev => ({ ...prev, target: { ...(prev.target || pendingTarget(null)), [field]: value } }));
+  };
+
   // Add confirmed foods to log
   const addConfirmedFoodsToLog = async () => {
     if (!pendingFoods) return;
 
     const { items, selectionState, originalInput } = pendingFoods;
+    const target = pendingFoods.target || pendingTarget(null);
+    const logDate = target.date || selectedDate;
 
-    // Get only selected items
-    const selectedItems = items.filter((_, index) => selectionState[index]);
+    // Get only selected items (serving choices are only needed while confirming)
+    const selectedItems = items
+      .filter((_, index) => selectionState[index])
+      .map(({ product, servingIndex, recipe, servings, showIngredients, ...item }) => withPortion(item));
 
     if (selectedItems.length === 0) {
       setPendingFoods(null);
@@ -1022,18 +1219,17 @@ Return format: [{${returnFields}}]`
 
     const dbStart = performance.now();
     console.log('[PERF] addConfirmedFoodsToLog: Starting database operations');
-    const now = new Date();
+    const now = entryTimestamp(logDate, mealSettings.cutoffs, target);
+    const localTime = now.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
 
     const newEntry = {
-      date: selectedDate,
+      date: logDate,
       timestamp: now.toISOString(),
-      local_time: now.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }),
+      local_time: localTime,
+      meal: target.meal || mealForTime(localTime, mealSettings.cutoffs),
       input: originalInput,
       items: selectedItems,
-      total_calories: selectedItems.reduce((sum, item) => sum + (item.calories || 0), 0),
-      total_protein: selectedItems.reduce((sum, item) => sum + (item.protein || 0), 0),
-      total_carbs: selectedItems.reduce((sum, item) => sum + (item.carbs || 0), 0),
-      total_fat: selectedItems.reduce((sum, item) => sum + (item.fat || 0), 0)
+      ...sumItems(selectedItems)
     };
 
     if (session?.user) {
@@ -1079,18 +1275,17 @@ Return format: [{${returnFields}}]`
       console.log(`[PERF] addConfirmedFoodsToLog: Database save took ${dbDuration}s`);
 
       const updatedEntries = { ...entries };
-      if (!updatedEntries[selectedDate]) updatedEntries[selectedDate] = [];
-      updatedEntries[selectedDate].push({
+      if (!updatedEntries[logDate]) updatedEntries[logDate] = [];
+      updatedEntries[logDate].push({
         id: data.id,
         timestamp: data.timestamp,
         localTime: data.local_time,
+        meal: data.meal,
         input: data.input,
         items: data.items,
-        totalCalories: data.total_calories,
-        totalProtein: data.total_protein,
-        totalCarbs: data.total_carbs,
-        totalFat: data.total_fat
+        ...rowTotals(data)
       });
+      updatedEntries[logDate].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
 
       setEntries(updatedEntries);
     } else {
@@ -1098,18 +1293,17 @@ Return format: [{${returnFields}}]`
       const tempId = `temp-${Date.now()}-${Math.random().toString(36).substring(7)}`;
 
       const updatedEntries = { ...entries };
-      if (!updatedEntries[selectedDate]) updatedEntries[selectedDate] = [];
-      updatedEntries[selectedDate].push({
+      if (!updatedEntries[logDate]) updatedEntries[logDate] = [];
+      updatedEntries[logDate].push({
         id: tempId,
         timestamp: newEntry.timestamp,
         localTime: newEntry.local_time,
+        meal: newEntry.meal,
         input: newEntry.input,
         items: newEntry.items,
-        totalCalories: newEntry.total_calories,
-        totalProtein: newEntry.total_protein,
-        totalCarbs: newEntry.total_carbs,
-        totalFat: newEntry.total_fat
+        ...rowTotals(newEntry)
       });
+      updatedEntries[logDate].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
 
       setEntries(updatedEntries);
 
@@ -1125,10 +1319,236 @@ Return format: [{${returnFields}}]`
       }
     }
 
+    // Show the day it went to
+    if (logDate !== selectedDate) setSelectedDate(logDate);
+
     // Clear pending foods
     setPendingFoods(null);
   };
 
+  // Log items as a new entry on selectedDate straight away, for foods that are already known
+  // (meal templates). meal puts it in that meal instead of the current one. Returns false if the
+  // entry couldn't be saved.
+  const logItems = async (items, input, meal = null) => {
+    const now = entryTimestamp(selectedDate, mealSettings.cutoffs, { meal });
+    const localTime = now.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+    const newEntry = {
+      date: selectedDate,
+      timestamp: now.toISOString(),
+      local_time: localTime,
+      meal: meal || mealForTime(localTime, mealSettings.cutoffs),
+      input,
+      items: items.map(withPortion),
+      ...sumItems(items)
+    };
+
+    let saved = {
+      id: `temp-${Date.now()}-${Math.random().toString(36).substring(7)}`,
+      timestamp: newEntry.timestamp,
+      localTime: newEntry.local_time,
+      meal: newEntry.meal,
+      input: newEntry.input,
+      items: newEntry.items,
+      ...rowTotals(newEntry)
+    };
+
+    if (session?.user) {
+      const { data, error } = await supabase.from('entries').insert({ ...newEntry, user_id: session.user.id }).select().single();
+      if (error) {
+        console.error('Error saving entry:', error);
+        setProcessingError({
+          message: 'Failed to save your entry.',
+          details: error.message
+        });
+        return false;
+      }
+      saved = {
+        id: data.id,
+        timestamp: data.timestamp,
+        localTime: data.local_time,
+        meal: data.meal,
+        input: data.input,
+        items: data.items,
+        ...rowTotals(data)
+      };
+    }
+
+    setEntries(prev => ({
+      ...prev,
+      [selectedDate]: [...(prev[selectedDate] || []), saved].sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+    }));
+    return true;
+  };
+
+  // "Copy from...": duplicate entries from another day onto selectedDate. The copies get new ids and
+  // timestamps but keep their time of day. Returns false if nothing was saved.
+  const copyEntriesToSelectedDate = async (sourceEntries) => {
+    if (copyInFlightRef.current) return false;
+    copyInFlightRef.current = true;
+
+    try {
+      const targetDate = selectedDate;
+      const now = Date.now();
+      const newEntries = sourceEntries.map((entry, index) => ({
+        date: targetDate,
+        // A millisecond apart so the copies keep their order
+        timestamp: new Date(now + index).toISOString(),
+        local_time: entry.localTime || new Date(entry.timestamp).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }),
+        meal: entryMeal(entry, mealSettings.cutoffs),
+        input: entry.input,
+        items: entry.items.map(item => ({ ...item })),
+        ...totalColumns(entry)
+      }));
+
+      let copies;
+      if (session?.user) {
+        // One insert for every copy, so a failure can't leave half of them saved
+        const { data, error } = await supabase
+          .from('entries')
+          .insert(newEntries.map(entry => ({ ...entry, user_id: session.user.id })))
+          .select();
+
+        if (error) {
+          console.error('Error copying entries:', error);
+          setProcessingError({
+            message: 'Failed to copy your entries.',
+            details: error.message
+          });
+          return false;
+        }
+        copies = data.sort((a, b) => a.timestamp.localeCompare(b.timestamp)).map(entry => ({
+          id: entry.id,
+          timestamp: entry.timestamp,
+          localTime: entry.local_time,
+          meal: entry.meal,
+          input: entry.input,
+          items: entry.items,
+          ...rowTotals(entry)
+        }));
+      } else {
+        copies = newEntries.map(entry => ({
+          id: `temp-${Date.now()}-${Math.random().toString(36).substring(7)}`,
+          timestamp: entry.timestamp,
+          localTime: entry.local_time,
+          meal: entry.meal,
+          input: entry.input,
+          items: entry.items,
+          ...rowTotals(entry)
+        }));
+      }
+
+      setEntries(prev => ({ ...prev, [targetDate]: [...(prev[targetDate] || []), ...copies] }));
+      return true;
+    } finally {
+      copyInFlightRef.current = false;
+    }
+  };
+
+  // Meal templates: saved to Supabase for signed-in users, to localStorage otherwise
+  const saveMealTemplate = async ({ id, name, items }) => {
+    const byName = (a, b) => a.name.localeCompare(b.name);
+
+    if (session?.user) {
+      const row = { user_id: session.user.id, name, items, updated_at: new Date().toISOString() };
+      const { data, error } = id
+        ? await supabase.from('meal_templates').update(row).eq('id', id).select().single()
+        : await supabase.from('meal_templates').insert(row).select().single();
+
+      if (error) {
+        console.error('Error saving meal template:', error);
+        setProcessingError({
+          message: 'Failed to save your meal.',
+          details: error.message
+        });
+        return false;
+      }
+      const template = { id: data.id, name: data.name, items: data.items };
+      setMealTemplates(prev => [...prev.filter(t => t.id !== template.id), template].sort(byName));
+      return true;
+    }
+
+    const template = { id: id || `temp-${Date.now()}-${Math.random().toString(36).substring(7)}`, name, items };
+    const updated = [...mealTemplates.filter(t => t.id !== template.id), template].sort(byName);
+    setMealTemplates(updated);
+    try { localStorage.setItem(MEAL_TEMPLATES_STORAGE_KEY, JSON.stringify(updated)); }
+    catch (e) { console.error('Error storing meal templates:', e); }
+    return true;
+  };
+
+  const deleteMealTemplate = async (templateId) => {
+    if (session?.user) {
+      const { error } = await supabase.from('meal_templates').delete().eq('id', templateId);
+      if (error) {
+        console.error('Error deleting meal template:', error);
+        return;
+      }
+      setMealTemplates(prev => prev.filter(t => t.id !== templateId));
+      return;
+    }
+
+    const updated = mealTemplates.filter(t => t.id !== templateId);
+    setMealTemplates(updated);
+    try { localStorage.setItem(MEAL_TEMPLATES_STORAGE_KEY, JSON.stringify(updated)); }
+    catch (e) { console.error('Error storing meal templates:', e); }
+  };
+
+  const submitTemplateEditor = async () => {
+    const name = templateEditor.name.trim();
+    if (!name || templateEditor.items.length === 0) return;
+    if (await saveMealTemplate({ ...templateEditor, name })) setTemplateEditor(null);
+  };
+
+  // One tap from the quick-add tray: the template's items become a new entry on selectedDate
+  const logMealTemplate = async (template) => {
+    if (isQuickLogging) return;
+    setIsQuickLogging(true);
+    await logItems(template.items.map(item => ({ ...item })), `Meal: ${template.name}`);
+    setIsQuickLogging(false);
+  };
+
+  // Individual foods from the whole history for the quick-add panel, deduplicated by normalizeFoodName.
+  // Each keeps its most recently logged copy, so the stored calories, macros and source are reused.
+  const quickAddFoods = useMemo(() => {
+    const foods = new Map(); // normalized name -> { item, count, lastUsed }
+    Object.values(entries).forEach(dayEntries => dayEntries.forEach(entry => {
+      const lastUsed = Date.parse(entry.timestamp) || 0;
+      (entry.items || []).forEach(item => {
+        if (item.error || !item.calories || !item.item) return;
+        const key = normalizeFoodName(item.item);
+        const food = foods.get(key);
+        if (!food) {
+          foods.set(key, { item, count: 1, lastUsed });
+          return;
+        }
+        food.count += 1;
+        if (lastUsed >= food.lastUsed) {
+          food.item = item;
+          food.lastUsed = lastUsed;
+        }
+      });
+    }));
+
+    const all = [...foods.values()];
+    return {
+      recent: [...all].sort((a, b) => b.lastUsed - a.lastUsed).slice(0, QUICK_ADD_LIMIT).map(food => food.item),
+      frequent: all
+        .filter(food => food.count > 1)
+        .sort((a, b) => b.count - a.count || b.lastUsed - a.lastUsed)
+        .slice(0, QUICK_ADD_LIMIT)
+        .map(food => food.item)
+    };
+    // normalizeFoodName is a pure helper
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [entries]);
+
+  // One tap from the quick-add panel: log a food again as its own entry, without the AI
+  const quickAddFood = async (item) => {
+    if (isQuickLogging) return;
+    setIsQuickLogging(true);
+    await logItems([{ ...item }], `Quick add: ${item.item}`);
+    setIsQuickLogging(false);
+  };
+
   // Toggle food selection in pending foods
   const toggleFoodSelection = (index) => {
     if (!pendingFoods) return;
@@ -1142,35 +1562,159 @@ Return format: [{${returnFields}}]`
     }));
   };
 
+  // Pending item for a scanned product at one of its serving sizes
+  const barcodeItem = (product, servingIndex) => {
+    const serving = product.servings[servingIndex];
+    const name = [product.brand, product.name].filter(Boolean).join(' ');
+    return {
+      item: `${name} (${serving.label})`,
+      calories: serving.calories,
+      protein: serving.protein,
+      carbs: serving.carbs,
+      fat: serving.fat,
+      source: product.source,
+      barcode: product.barcode,
+      ...(serving.amount > 0 && { quantity: serving.amount, unit: serving.unit }),
+      product,
+      servingIndex,
+      error: false
+    };
+  };
+
+  // Add an item to the confirmation card, next to anything already waiting there
+  const addPendingItem = (item, originalInput) => {
+    setPendingFoods(prev => {
+      if (!prev || prev.isStreaming) {
+        return { items: [item], selectionState: { 0: true }, originalInput };
+      }
+      return {
+        ...prev,
+        items: [...prev.items, item],
+        selectionState: { ...prev.selectionState, [prev.items.length]: true }
+      };
+    });
+  };
+
+  const addBarcodeProduct = (product) => {
+    setShowBarcodeScanner(false);
+    addPendingItem(barcodeItem(product, 0), `Barcode: ${product.barcode}`);
+  };
+
+  const changePendingServing = (index, servingIndex) => {
+    setPendingFoods(prev => ({
+      ...prev,
+      items: prev.items.map((item, i) => (i === index ? barcodeItem(item.product, servingIndex) : item))
+    }));
+  };
+
+  // Pending composite item for an imported recipe: per-serving nutrition times the servings eaten,
+  // with each ingredient's share kept for the breakdown
+  const recipeItem = (recipe, servings, showIngredients = false) => {
+    const scaleValues = (values) => ({
+      ...Object.fromEntries(SCALED_FIELDS
+        .filter(field => typeof values[field] === 'number')
+        .map(field => [field, Math.round(values[field] * servings)])),
+      ...(values.vitamins && {
+        vitamins: Object.fromEntries(Object.entries(values.vitamins).map(([key, amount]) => [key, Math.round(amount * servings * 10) / 10]))
+      })
+    });
+    return {
+      item: `${recipe.name} (${servings} serving${servings === 1 ? '' : 's'})`,
+      ...scaleValues(recipe.perServing),
+      source: recipe.url || 'recipe',
+      ingredients: recipe.ingredients.map(ingredient => ({ ...ingredient, ...scaleValues(ingredient) })),
+      quantity: servings,
+      unit: 'serving',
+      recipe,
+      servings,
+      showIngredients,
+      error: false
+    };
+  };
+
+  const addImportedRecipe = (recipe) => {
+    setShowRecipeImporter(false);
+    addPendingItem(recipeItem(recipe, 1), `Recipe: ${recipe.name}`);
+  };
+
+  const changePendingRecipeServings = (index, servings) => {
+    if (!(servings > 0)) return;
+    setPendingFoods(prev => ({
+      ...prev,
+      items: prev.items.map((item, i) => (i === index ? recipeItem(item.recipe, servings, item.showIngredients) : item))
+    }));
+  };
+
+  const togglePendingIngredients = (index) => {
+    setPendingFoods(prev => ({
+      ...prev,
+      items: prev.items.map((item, i) => (i === index ? { ...item, showIngredients: !item.showIngredients } : item))
+    }));
+  };
+
   // Manual entry submission
   const submitManualEntry = async () => {
-    const { item, calories, protein, carbs, fat } = manualEntryInputs;
+    const { item, calories, protein, carbs, fat, servingSize, servingsPerContainer, source, saveAsFood, addToLog } = manualEntryInputs;
 
     if (!item.trim()) {
       setProcessingError({ message: 'Please enter a food name.' });
       return;
     }
 
+    if (saveAsFood) {
+      const saved = await saveCustomFood({
+        name: item.trim(),
+        servingSize: servingSize.trim() || null,
+        servingsPerContainer: parseFloat(servingsPerContainer) || null,
+        calories: parseInt(calories) || 0,
+        protein: parseInt(protein) || 0,
+        carbs: parseInt(carbs) || 0,
+        fat: parseInt(fat) || 0
+      });
+      if (!saved) return;
+    }
+
+    if (!addToLog) {
+      setManualEntryInputs(EMPTY_MANUAL_ENTRY);
+      setLabelScan(null);
+      setShowManualEntry(false);
+      return;
+    }
+
+    // Values are per serving; scale by the amount eaten, converted to servings when it's in another unit
+    const amount = parseFloat(manualEntryInputs.servings) > 0 ? parseFloat(manualEntryInputs.servings) : 1;
+    const servingPortion = parsePortion(servingSize);
+    const inServingUnits = manualEntryInputs.servingsUnit === 'serving'
+      ? null
+      : convertQuantity(amount, manualEntryInputs.servingsUnit, servingPortion.unit, item);
+    const unit = inServingUnits !== null ? manualEntryInputs.servingsUnit : 'serving';
+    const servings = inServingUnits !== null ? inServingUnits / servingPortion.quantity : amount;
     const now = new Date();
+    const localTime = now.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
     const foodItem = {
-      item: item.trim(),
-      calories: parseInt(calories) || 0,
-      protein: parseInt(protein) || 0,
-      carbs: parseInt(carbs) || 0,
-      fat: parseInt(fat) || 0,
-      source: 'manual entry'
+      item: unit !== 'serving'
+        ? `${item.trim()} (${portionLabel({ quantity: amount, unit })})`
+        : servings !== 1 ? `${item.trim()} (${portionLabel({ quantity: servings, unit: 'serving' })})` : item.trim(),
+      calories: Math.round((parseInt(calories) || 0) * servings),
+      protein: Math.round((parseInt(protein) || 0) * servings),
+      carbs: Math.round((parseInt(carbs) || 0) * servings),
+      fat: Math.round((parseInt(fat) || 0) * servings),
+      ...Object.fromEntries(trackedMicronutrients
+        .filter(({ key }) => manualEntryInputs[key] !== '')
+        .map(({ key }) => [key, Math.round((parseFloat(manualEntryInputs[key]) || 0) * servings)])),
+      quantity: amount,
+      unit,
+      source
     };
 
     const newEntry = {
       date: selectedDate,
       timestamp: now.toISOString(),
-      local_time: now.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }),
+      local_time: localTime,
+      meal: mealForTime(localTime, mealSettings.cutoffs),
       input: `Manual: ${item.trim()}`,
       items: [foodItem],
-      total_calories: foodItem.calories,
-      total_protein: foodItem.protein,
-      total_carbs: foodItem.carbs,
-      total_fat: foodItem.fat
+      ...sumItems([foodItem])
     };
 
     if (session?.user) {
@@ -1194,45 +1738,181 @@ Return format: [{${returnFields}}]`
         id: data.id,
         timestamp: data.timestamp,
         localTime: data.local_time,
+        meal: data.meal,
         input: data.input,
         items: data.items,
-        totalCalories: data.total_calories,
-        totalProtein: data.total_protein,
-        totalCarbs: data.total_carbs,
-        totalFat: data.total_fat
+        ...rowTotals(data)
       });
 
-      setEntries(updatedEntries);
+      setEntries(updatedEntries);
+    } else {
+      // Anonymous user: keep in memory only
+      const tempId = `temp-${Date.now()}-${Math.random().toString(36).substring(7)}`;
+
+      const updatedEntries = { ...entries };
+      if (!updatedEntries[selectedDate]) updatedEntries[selectedDate] = [];
+      updatedEntries[selectedDate].push({
+        id: tempId,
+        timestamp: newEntry.timestamp,
+        localTime: newEntry.local_time,
+        meal: newEntry.meal,
+        input: newEntry.input,
+        items: newEntry.items,
+        ...rowTotals(newEntry)
+      });
+
+      setEntries(updatedEntries);
+    }
+
+    // Reset form and close modal
+    setManualEntryInputs(EMPTY_MANUAL_ENTRY);
+    setLabelScan(null);
+    setShowManualEntry(false);
+  };
+
+  // Custom foods: saved to Supabase for signed-in users, kept for the session otherwise
+  const saveCustomFood = async (food) => {
+    if (session?.user) {
+      const { data, error } = await supabase.from('custom_foods').insert({
+        user_id: session.user.id,
+        name: food.name,
+        serving_size: food.servingSize,
+        servings_per_container: food.servingsPerContainer,
+        calories: food.calories,
+        protein: food.protein,
+        carbs: food.carbs,
+        fat: food.fat
+      }).select().single();
+
+      if (error) {
+        console.error('Error saving custom food:', error);
+        setProcessingError({
+          message: 'Failed to save your food.',
+          details: error.message
+        });
+        return null;
+      }
+      food = { ...food, id: data.id };
+    } else {
+      food = { ...food, id: `temp-${Date.now()}-${Math.random().toString(36).substring(7)}` };
+    }
+
+    setCustomFoods(prev => [...prev, food].sort((a, b) => a.name.localeCompare(b.name)));
+    return food;
+  };
+
+  const deleteCustomFood = async (foodId) => {
+    if (session?.user && !String(foodId).startsWith('temp-')) {
+      const { error } = await supabase.from('custom_foods').delete().eq('id', foodId);
+      if (error) {
+        console.error('Error deleting custom food:', error);
+        return;
+      }
+    }
+    setCustomFoods(prev => prev.filter(food => food.id !== foodId));
+  };
+
+  // Recipes: saved to Supabase for signed-in users, kept for the session otherwise. Returns the saved recipe or null.
+  const saveRecipe = async (recipe) => {
+    const { id, ...fields } = recipe;
+    if (session?.user) {
+      const row = {
+        user_id: session.user.id,
+        name: fields.name,
+        servings: fields.servings,
+        ingredients: fields.ingredients,
+        calories: fields.calories,
+        protein: fields.protein,
+        carbs: fields.carbs,
+        fat: fields.fat,
+        updated_at: new Date().toISOString()
+      };
+      const { data, error } = id && !String(id).startsWith('temp-')
+        ? await supabase.from('recipes').update(row).eq('id', id).select().single()
+        : await supabase.from('recipes').insert(row).select().single();
+
+      if (error) {
+        console.error('Error saving recipe:', error);
+        return null;
+      }
+      recipe = { ...fields, id: data.id };
     } else {
-      // Anonymous user: keep in memory only
-      const tempId = `temp-${Date.now()}-${Math.random().toString(36).substring(7)}`;
+      recipe = { ...fields, id: id || `temp-${Date.now()}-${Math.random().toString(36).substring(7)}` };
+    }
 
-      const updatedEntries = { ...entries };
-      if (!updatedEntries[selectedDate]) updatedEntries[selectedDate] = [];
-      updatedEntries[selectedDate].push({
-        id: tempId,
-        timestamp: newEntry.timestamp,
-        localTime: newEntry.local_time,
-        input: newEntry.input,
-        items: newEntry.items,
-        totalCalories: newEntry.total_calories,
-        totalProtein: newEntry.total_protein,
-        totalCarbs: newEntry.total_carbs,
-        totalFat: newEntry.total_fat
-      });
+    setRecipes(prev => [...prev.filter(r => r.id !== recipe.id), recipe].sort((a, b) => a.name.localeCompare(b.name)));
+    return recipe;
+  };
 
-      setEntries(updatedEntries);
+  const deleteRecipe = async (recipeId) => {
+    if (session?.user && !String(recipeId).startsWith('temp-')) {
+      const { error } = await supabase.from('recipes').delete().eq('id', recipeId);
+      if (error) {
+        console.error('Error deleting recipe:', error);
+        return;
+      }
     }
+    setRecipes(prev => prev.filter(recipe => recipe.id !== recipeId));
+  };
 
-    // Reset form and close modal
+  const selectCustomFood = (food) => {
     setManualEntryInputs({
-      item: '',
-      calories: '',
-      protein: '',
-      carbs: '',
-      fat: ''
+      ...EMPTY_MANUAL_ENTRY,
+      item: food.name,
+      calories: String(food.calories),
+      protein: String(food.protein || 0),
+      carbs: String(food.carbs || 0),
+      fat: String(food.fat || 0),
+      servingSize: food.servingSize || '',
+      servingsPerContainer: food.servingsPerContainer ? String(food.servingsPerContainer) : '',
+      source: 'custom food'
     });
-    setShowManualEntry(false);
+    setLabelScan(null);
+  };
+
+  // Read a Nutrition Facts photo into the manual entry form, to be checked before saving
+  const handleLabelPhotoSelected = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // allow picking the same file again
+    if (!file) return;
+
+    setLabelScan({ status: 'reading' });
+    try {
+      const image = await downscalePhoto(file);
+      const response = await fetch('/api/nutrition/label', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(await getAuthHeaders()) },
+        body: JSON.stringify({ image })
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok || !data.label) {
+        console.error('[handleLabelPhotoSelected] Label API error:', data.details || response.status);
+        setLabelScan({ status: 'error', message: data.error || 'Could not read that label. Please try again.' });
+        return;
+      }
+
+      const { label } = data;
+      const toInput = (value) => (value === null || value === undefined ? '' : String(value));
+      setManualEntryInputs(prev => ({
+        ...prev,
+        item: label.name || prev.item,
+        calories: toInput(label.calories),
+        protein: toInput(label.protein),
+        carbs: toInput(label.carbs),
+        fat: toInput(label.fat),
+        servingSize: label.servingSize || '',
+        servingsPerContainer: toInput(label.servingsPerContainer),
+        servings: '1',
+        servingsUnit: 'serving',
+        source: 'nutrition label',
+        saveAsFood: true
+      }));
+      setLabelScan({ status: 'done', message: 'Check these numbers against the label, then save.' });
+    } catch (error) {
+      console.error('[handleLabelPhotoSelected] Could not read label:', error);
+      setLabelScan({ status: 'error', message: 'Could not read that photo. Try a JPEG or PNG.' });
+    }
   };
 
   const deleteEntry = async (date, entryId) => {
@@ -1259,7 +1939,9 @@ Return format: [{${returnFields}}]`
       calories: item.calories,
       protein: item.protein,
       carbs: item.carbs,
-      fat: item.fat
+      fat: item.fat,
+      ...Object.fromEntries(MICRONUTRIENTS.map(({ key }) => [key, item[key] ?? ''])),
+      custom: Object.fromEntries(customNutrients.map(({ key }) => [key, item.custom?.[key] ?? '']))
     });
   };
 
@@ -1272,7 +1954,8 @@ Return format: [{${returnFields}}]`
     const entry = entries[date].find(e => e.id === entryId);
     if (!entry || !entry.items[itemIndex]) return;
 
-    const item = entry.items[itemIndex];
+    // The edited values are the new base for the portion stepper
+    const { base, ...item } = entry.items[itemIndex];
     const correctionKey = normalizeFoodName(item.item);
 
     // Only save correction to database if user is authenticated
@@ -1307,15 +1990,21 @@ Return format: [{${returnFields}}]`
       protein: parseInt(nutritionEditValues.protein) || 0,
       carbs: parseInt(nutritionEditValues.carbs) || 0,
       fat: parseInt(nutritionEditValues.fat) || 0,
+      ...Object.fromEntries(trackedMicronutrients
+        .filter(({ key }) => nutritionEditValues[key] !== '')
+        .map(({ key }) => [key, parseInt(nutritionEditValues[key]) || 0])),
+      ...(customNutrients.some(({ key }) => nutritionEditValues.custom[key] !== '') && {
+        custom: {
+          ...item.custom,
+          ...Object.fromEntries(customNutrients
+            .filter(({ key }) => nutritionEditValues.custom[key] !== '')
+            .map(({ key }) => [key, Math.round((parseFloat(nutritionEditValues.custom[key]) || 0) * 10) / 10]))
+        }
+      }),
       source: session?.user ? 'user correction' : 'manual edit'
     };
 
-    const newTotals = {
-      total_calories: updatedItems.reduce((sum, i) => sum + (i.calories || 0), 0),
-      total_protein: updatedItems.reduce((sum, i) => sum + (i.protein || 0), 0),
-      total_carbs: updatedItems.reduce((sum, i) => sum + (i.carbs || 0), 0),
-      total_fat: updatedItems.reduce((sum, i) => sum + (i.fat || 0), 0)
-    };
+    const newTotals = sumItems(updatedItems);
 
     // Only update database if user is authenticated
     if (session?.user) {
@@ -1329,10 +2018,7 @@ Return format: [{${returnFields}}]`
       updatedEntries[date][entryIndex] = {
         ...updatedEntries[date][entryIndex],
         items: updatedItems,
-        totalCalories: newTotals.total_calories,
-        totalProtein: newTotals.total_protein,
-        totalCarbs: newTotals.total_carbs,
-        totalFat: newTotals.total_fat
+        ...rowTotals(newTotals)
       };
     }
     setEntries(updatedEntries);
@@ -1340,6 +2026,47 @@ Return format: [{${returnFields}}]`
     setNutritionEditValues({});
   };
 
+  // Portion control: save an item rescaled or converted by PortionControl
+  const changeItemPortion = async (date, entryId, itemIndex, scaledItem) => {
+    const entry = entries[date].find(e => e.id === entryId);
+    if (!entry || !entry.items[itemIndex] || scaledItem === entry.items[itemIndex]) return;
+
+    const updatedItems = [...entry.items];
+    updatedItems[itemIndex] = scaledItem;
+
+    const newTotals = sumItems(updatedItems);
+
+    // Update local state first so the stepper responds straight away
+    setEntries(prev => ({
+      ...prev,
+      [date]: prev[date].map(e => (e.id === entryId ? {
+        ...e,
+        items: updatedItems,
+        ...rowTotals(newTotals)
+      } : e))
+    }));
+
+    // Only update database if user is authenticated
+    if (session?.user) {
+      const { error } = await supabase.from('entries').update({ items: updatedItems, ...newTotals }).eq('id', entryId);
+      if (error) console.error('Error updating portion:', error);
+    }
+  };
+
+  // Move an entry to another meal (the select on each entry, or dropping its only item on a meal)
+  const changeEntryMeal = async (entryId, meal) => {
+    setEntries(prev => ({
+      ...prev,
+      [selectedDate]: prev[selectedDate].map(e => (e.id === entryId ? { ...e, meal } : e))
+    }));
+
+    // Only update database if user is authenticated
+    if (session?.user) {
+      const { error } = await supabase.from('entries').update({ meal }).eq('id', entryId);
+      if (error) console.error('Error updating meal:', error);
+    }
+  };
+
   // Unified touch gesture handler for swipe (edit/delete) and drag (reorder)
   const handleUnifiedTouchStart = (e, entryId, itemIndex, isGripIcon = false) => {
     // Don't start gesture if editing nutrition
@@ -1493,6 +2220,7 @@ Return format: [{${returnFields}}]`
       const touch = e.changedTouches[0];
       const targetElement = document.elementFromPoint(touch.clientX, touch.clientY);
       const itemDiv = targetElement?.closest('[data-item-drop-target]');
+      const mealDiv = targetElement?.closest('[data-meal-drop-target]');
 
       if (itemDiv) {
         const targetEntryId = itemDiv.getAttribute('data-entry-id');
@@ -1501,6 +2229,8 @@ Return format: [{${returnFields}}]`
         if (targetEntryId && !isNaN(targetItemIndex)) {
           await handleDrop(targetEntryId, targetItemIndex);
         }
+      } else if (mealDiv) {
+        await handleDrop(null, null, mealDiv.getAttribute('data-meal-drop-target'));
       }
 
       // Clean up drag state
@@ -1534,12 +2264,7 @@ Return format: [{${returnFields}}]`
     }
 
     // Calculate new totals
-    const newTotals = {
-      total_calories: updatedItems.reduce((sum, i) => sum + (i.calories || 0), 0),
-      total_protein: updatedItems.reduce((sum, i) => sum + (i.protein || 0), 0),
-      total_carbs: updatedItems.reduce((sum, i) => sum + (i.carbs || 0), 0),
-      total_fat: updatedItems.reduce((sum, i) => sum + (i.fat || 0), 0)
-    };
+    const newTotals = sumItems(updatedItems);
 
     // Update database if authenticated
     if (session?.user) {
@@ -1553,10 +2278,7 @@ Return format: [{${returnFields}}]`
       updatedEntries[date][entryIndexInList] = {
         ...entry,
         items: updatedItems,
-        totalCalories: newTotals.total_calories,
-        totalProtein: newTotals.total_protein,
-        totalCarbs: newTotals.total_carbs,
-        totalFat: newTotals.total_fat
+        ...rowTotals(newTotals)
       };
     }
     setEntries(updatedEntries);
@@ -1592,15 +2314,45 @@ Return format: [{${returnFields}}]`
   };
 
   const handleDragEnd = () => {
-    // Clear preview when drag ends (for desktop)
+    // Clear preview when drag ends (for desktop). The drop, if any, has already read draggedItem;
+    // clearing it here also hides the empty meals shown as drop targets after a cancelled drag.
     setDragPreview(null);
+    setDraggedItem(null);
   };
 
-  const handleDrop = async (targetEntryId, targetItemIndex) => {
+  // Moves the dragged item onto another item, or with targetMeal instead, into that meal: an entry
+  // with only that item just changes meal, otherwise the item becomes its own entry there
+  const handleDrop = async (targetEntryId, targetItemIndex, targetMeal = null) => {
     if (!draggedItem) return;
 
     const { entryId: sourceEntryId, itemIndex: sourceItemIndex } = draggedItem;
 
+    if (targetMeal) {
+      const sourceEntry = entries[selectedDate]?.find(e => e.id === sourceEntryId);
+      setDraggedItem(null);
+      setDragPreview(null);
+      if (!sourceEntry || entryMeal(sourceEntry, mealSettings.cutoffs) === targetMeal) return;
+
+      if (sourceEntry.items.length === 1) {
+        await changeEntryMeal(sourceEntryId, targetMeal);
+        return;
+      }
+
+      const movedItem = sourceEntry.items[sourceItemIndex];
+      if (!(await logItems([movedItem], movedItem.item, targetMeal))) return;
+
+      const sourceItems = sourceEntry.items.filter((_, idx) => idx !== sourceItemIndex);
+      const sourceTotals = sumItems(sourceItems);
+      if (session?.user) {
+        await supabase.from('entries').update({ items: sourceItems, ...sourceTotals }).eq('id', sourceEntryId);
+      }
+      setEntries(prev => ({
+        ...prev,
+        [selectedDate]: prev[selectedDate].map(e => (e.id === sourceEntryId ? { ...e, items: sourceItems, ...rowTotals(sourceTotals) } : e))
+      }));
+      return;
+    }
+
     // Don't do anything if dropped in the same position
     if (sourceEntryId === targetEntryId && sourceItemIndex === targetItemIndex) {
       setDraggedItem(null);
@@ -1626,12 +2378,7 @@ Return format: [{${returnFields}}]`
       newItems.splice(targetItemIndex, 0, movedItem);
 
       // Update totals
-      const newTotals = {
-        total_calories: newItems.reduce((sum, i) => sum + (i.calories || 0), 0),
-        total_protein: newItems.reduce((sum, i) => sum + (i.protein || 0), 0),
-        total_carbs: newItems.reduce((sum, i) => sum + (i.carbs || 0), 0),
-        total_fat: newItems.reduce((sum, i) => sum + (i.fat || 0), 0)
-      };
+      const newTotals = sumItems(newItems);
 
       // Update database only if user is authenticated
       if (session?.user) {
@@ -1643,10 +2390,7 @@ Return format: [{${returnFields}}]`
       updatedEntries[selectedDate][entryIndex] = {
         ...sourceEntry,
         items: newItems,
-        totalCalories: newTotals.total_calories,
-        totalProtein: newTotals.total_protein,
-        totalCarbs: newTotals.total_carbs,
-        totalFat: newTotals.total_fat
+        ...rowTotals(newTotals)
       };
     } else {
       // Moving between entries
@@ -1659,23 +2403,18 @@ Return format: [{${returnFields}}]`
       targetItems.splice(targetItemIndex, 0, movedItem);
 
       // Calculate new totals for both entries
-      const sourceTotals = {
-        total_calories: sourceItems.reduce((sum, i) => sum + (i.calories || 0), 0),
-        total_protein: sourceItems.reduce((sum, i) => sum + (i.protein || 0), 0),
-        total_carbs: sourceItems.reduce((sum, i) => sum + (i.carbs || 0), 0),
-        total_fat: sourceItems.reduce((sum, i) => sum + (i.fat || 0), 0)
-      };
+      const sourceTotals = sumItems(sourceItems);
 
-      const targetTotals = {
-        total_calories: targetItems.reduce((sum, i) => sum + (i.calories || 0), 0),
-        total_protein: targetItems.reduce((sum, i) => sum + (i.protein || 0), 0),
-        total_carbs: targetItems.reduce((sum, i) => sum + (i.carbs || 0), 0),
-        total_fat: targetItems.reduce((sum, i) => sum + (i.fat || 0), 0)
-      };
+      const targetTotals = sumItems(targetItems);
 
-      // Update database for both entries only if user is authenticated
+      // Update database for both entries only if user is authenticated. An entry whose last item
+      // moved out (often into another meal) is deleted rather than left empty.
       if (session?.user) {
-        await supabase.from('entries').update({ items: sourceItems, ...sourceTotals }).eq('id', sourceEntryId);
+        if (sourceItems.length === 0) {
+          await supabase.from('entries').delete().eq('id', sourceEntryId);
+        } else {
+          await supabase.from('entries').update({ items: sourceItems, ...sourceTotals }).eq('id', sourceEntryId);
+        }
         await supabase.from('entries').update({ items: targetItems, ...targetTotals }).eq('id', targetEntryId);
       }
 
@@ -1686,20 +2425,18 @@ Return format: [{${returnFields}}]`
       updatedEntries[selectedDate][sourceIndex] = {
         ...sourceEntry,
         items: sourceItems,
-        totalCalories: sourceTotals.total_calories,
-        totalProtein: sourceTotals.total_protein,
-        totalCarbs: sourceTotals.total_carbs,
-        totalFat: sourceTotals.total_fat
+        ...rowTotals(sourceTotals)
       };
 
       updatedEntries[selectedDate][targetIndex] = {
         ...targetEntry,
         items: targetItems,
-        totalCalories: targetTotals.total_calories,
-        totalProtein: targetTotals.total_protein,
-        totalCarbs: targetTotals.total_carbs,
-        totalFat: targetTotals.total_fat
+        ...rowTotals(targetTotals)
       };
+
+      if (sourceItems.length === 0) {
+        updatedEntries[selectedDate] = updatedEntries[selectedDate].filter(e => e.id !== sourceEntryId);
+      }
     }
 
     setEntries(updatedEntries);
@@ -1712,9 +2449,7 @@ Return format: [{${returnFields}}]`
   // Utility functions
   const getDailyTotal = (date, type = 'calories') => {
     if (!entries[date]) return 0;
-    const key = type === 'calories' ? 'totalCalories' : 
-                type === 'protein' ? 'totalProtein' :
-                type === 'carbs' ? 'totalCarbs' : 'totalFat';
+    const key = totalKey(type);
     return entries[date].reduce((sum, entry) => sum + (entry[key] || 0), 0);
   };
 
@@ -1727,6 +2462,8 @@ Return format: [{${returnFields}}]`
 
   const goToToday = () => setSelectedDate(getLocalDateString());
   const isToday = selectedDate === getLocalDateString();
+  // Frequent needs foods logged more than once; new users see Recent
+  const shownQuickAddTab = quickAddTab === 'frequent' && quickAddFoods.frequent.length > 0 ? 'frequent' : 'recent';
 
   const getWeeklyData = () => {
     const [year, month, day] = selectedDate.split('-').map(Number);
@@ -1756,6 +2493,18 @@ Return format: [{${returnFields}}]`
     return 'bg-red-500';
   };
 
+  // The selected day's entries in meal order, each meal led by a header row with its subtotals.
+  // Empty meals only show while an item is being dragged, as somewhere to drop it.
+  const mealRows = MEALS.flatMap(meal => {
+    const mealEntries = (entries[selectedDate] || []).filter(entry => entryMeal(entry, mealSettings.cutoffs) === meal.key);
+    if (mealEntries.length === 0 && !draggedItem) return [];
+    const items = mealEntries.flatMap(entry => entry.items);
+    return [
+      { meal: { ...meal, empty: mealEntries.length === 0, target: mealSettings.targets[meal.key], totals: { ...rowTotals(sumItems(items)), items } } },
+      ...mealEntries.map(entry => ({ entry }))
+    ];
+  });
+
   const formatDate = (dateStr) => {
     const [year, month, day] = dateStr.split('-').map(Number);
     const date = new Date(year, month - 1, day);
@@ -1771,13 +2520,19 @@ Return format: [{${returnFields}}]`
     );
   }
 
+  // Serving fields only matter for label/custom foods, so plain manual entries stay short
+  const showServingFields = manualEntryInputs.source !== 'manual entry' || manualEntryInputs.saveAsFood || !!manualEntryInputs.servingSize;
+  // The amount eaten can be in servings or in anything the serving size converts to
+  const servingsUnits = ['serving', ...compatibleUnits(parsePortion(manualEntryInputs.servingSize).unit, manualEntryInputs.item, unitSystem)
+    .filter(unit => unit !== 'serving')];
+
   // Main app
   return (
     <div className="min-h-screen bg-gray-50 flex flex-col">
       {/* Manual Entry Modal */}
       {showManualEntry && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-          <div className="bg-white rounded-xl shadow-xl p-6 w-full max-w-md">
+          <div className="bg-white rounded-xl shadow-xl p-6 w-full max-w-md max-h-[90vh] overflow-y-auto">
             <div className="flex justify-between items-center mb-6">
               <h2 className="text-xl font-bold text-gray-800">Manual Entry</h2>
               <button onClick={() => setShowManualEntry(false)} className="text-gray-500 hover:text-gray-700">
@@ -1785,7 +2540,42 @@ Return format: [{${returnFields}}]`
               </button>
             </div>
             <p className="text-sm text-gray-600 mb-4">Add a food entry manually with exact nutrition values.</p>
-            <div className="space-y-4">
+            <input
+              ref={labelInputRef}
+              type="file"
+              accept="image/*"
+              onChange={handleLabelPhotoSelected}
+              className="hidden"
+            />
+            <button
+              onClick={() => labelInputRef.current?.click()}
+              disabled={labelScan?.status === 'reading'}
+              className="w-full mb-2 px-4 py-2 border border-purple-300 text-purple-700 rounded-lg hover:bg-purple-50 transition disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+            >
+              <Camera size={18} />
+              {labelScan?.status === 'reading' ? 'Reading label...' : 'Scan nutrition label'}
+            </button>
+            {labelScan?.message && (
+              <p className={`text-xs mb-2 ${labelScan.status === 'error' ? 'text-red-600' : 'text-gray-600'}`}>{labelScan.message}</p>
+            )}
+            {customFoods.length > 0 && (
+              <div className="mt-4">
+                <label className="block text-sm font-medium text-gray-700 mb-1">My Foods</label>
+                <div className="flex flex-wrap gap-2 max-h-24 overflow-y-auto">
+                  {customFoods.map(food => (
+                    <span key={food.id} className="flex items-center gap-1 pl-3 pr-1 py-1 bg-gray-100 rounded-full text-sm text-gray-700">
+                      <button onClick={() => selectCustomFood(food)} className="hover:text-purple-700" title={food.servingSize ? `Per ${food.servingSize}` : undefined}>
+                        {food.name}
+                      </button>
+                      <button onClick={() => deleteCustomFood(food.id)} className="text-gray-400 hover:text-red-600 p-0.5" aria-label={`Delete ${food.name}`}>
+                        <X size={12} />
+                      </button>
+                    </span>
+                  ))}
+                </div>
+              </div>
+            )}
+            <div className="space-y-4 mt-4">
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">Food Name *</label>
                 <input
@@ -1797,7 +2587,7 @@ Return format: [{${returnFields}}]`
                 />
               </div>
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Calories *</label>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Calories{showServingFields ? ' (per serving)' : ''} *</label>
                 <input
                   type="number"
                   value={manualEntryInputs.calories}
@@ -1806,46 +2596,91 @@ Return format: [{${returnFields}}]`
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 outline-none"
                 />
               </div>
-              {Object.values(macroToggles).some(v => v) && (
-              <div className={`grid gap-3 ${Object.values(macroToggles).filter(v => v).length === 1 ? 'grid-cols-1' : Object.values(macroToggles).filter(v => v).length === 2 ? 'grid-cols-2' : 'grid-cols-3'}`}>
-                {macroToggles.protein && (
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Protein (g)</label>
+              {[trackedMacros, trackedMicronutrients].filter(group => group.length > 0).map(group => (
+              <div key={group[0].key} className={`grid gap-3 ${group.length === 1 ? 'grid-cols-1' : group.length === 2 ? 'grid-cols-2' : 'grid-cols-3'}`}>
+                {group.map(nutrient => (
+                <div key={nutrient.key}>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">{nutrient.label} ({nutrient.unit})</label>
                   <input
                     type="number"
-                    value={manualEntryInputs.protein}
-                    onChange={(e) => setManualEntryInputs({...manualEntryInputs, protein: e.target.value})}
+                    value={manualEntryInputs[nutrient.key]}
+                    onChange={(e) => setManualEntryInputs({...manualEntryInputs, [nutrient.key]: e.target.value})}
                     placeholder="0"
                     className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 outline-none"
                   />
                 </div>
-                )}
-                {macroToggles.carbs && (
+                ))}
+              </div>
+              ))}
+              {showServingFields && (
+              <div className="grid grid-cols-3 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Serving size</label>
+                  <input
+                    type="text"
+                    value={manualEntryInputs.servingSize}
+                    onChange={(e) => setManualEntryInputs({...manualEntryInputs, servingSize: e.target.value})}
+                    placeholder="e.g., 1 cup"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 outline-none"
+                  />
+                </div>
                 <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Carbs (g)</label>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Per package</label>
                   <input
                     type="number"
-                    value={manualEntryInputs.carbs}
-                    onChange={(e) => setManualEntryInputs({...manualEntryInputs, carbs: e.target.value})}
-                    placeholder="0"
+                    value={manualEntryInputs.servingsPerContainer}
+                    onChange={(e) => setManualEntryInputs({...manualEntryInputs, servingsPerContainer: e.target.value})}
+                    placeholder="e.g., 8"
                     className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 outline-none"
                   />
                 </div>
-                )}
-                {macroToggles.fat && (
                 <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Fat (g)</label>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Amount eaten</label>
                   <input
                     type="number"
-                    value={manualEntryInputs.fat}
-                    onChange={(e) => setManualEntryInputs({...manualEntryInputs, fat: e.target.value})}
-                    placeholder="0"
+                    min="0"
+                    step="0.25"
+                    value={manualEntryInputs.servings}
+                    onChange={(e) => setManualEntryInputs({...manualEntryInputs, servings: e.target.value})}
                     className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 outline-none"
                   />
+                  {servingsUnits.length > 1 && (
+                    <select
+                      value={servingsUnits.includes(manualEntryInputs.servingsUnit) ? manualEntryInputs.servingsUnit : 'serving'}
+                      onChange={(e) => setManualEntryInputs({...manualEntryInputs, servingsUnit: e.target.value})}
+                      className="w-full mt-1 px-2 py-1 border border-gray-300 rounded-lg text-sm bg-white focus:ring-2 focus:ring-purple-500 outline-none"
+                      aria-label="Unit eaten"
+                    >
+                      {servingsUnits.map(unit => (
+                        <option key={unit} value={unit}>{formatUnit(2, unit)}</option>
+                      ))}
+                    </select>
+                  )}
                 </div>
-                )}
               </div>
               )}
+              <div className="space-y-2">
+                {manualEntryInputs.source !== 'custom food' && (
+                <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={manualEntryInputs.saveAsFood}
+                    onChange={(e) => setManualEntryInputs({...manualEntryInputs, saveAsFood: e.target.checked})}
+                    className="w-4 h-4 text-purple-600 rounded focus:ring-2 focus:ring-purple-500"
+                  />
+                  Save to My Foods for next time
+                </label>
+                )}
+                <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={manualEntryInputs.addToLog}
+                    onChange={(e) => setManualEntryInputs({...manualEntryInputs, addToLog: e.target.checked})}
+                    className="w-4 h-4 text-purple-600 rounded focus:ring-2 focus:ring-purple-500"
+                  />
+                  Add to log
+                </label>
+              </div>
             </div>
             <div className="flex gap-3 mt-6">
               <button
@@ -1856,15 +2691,121 @@ Return format: [{${returnFields}}]`
               </button>
               <button
                 onClick={submitManualEntry}
-                className="flex-1 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition"
+                disabled={!manualEntryInputs.addToLog && !manualEntryInputs.saveAsFood}
+                className="flex-1 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {manualEntryInputs.addToLog ? 'Add Entry' : 'Save Food'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Barcode Scanner Modal */}
+      {showBarcodeScanner && (
+        <BarcodeScanner
+          onClose={() => setShowBarcodeScanner(false)}
+          onProduct={addBarcodeProduct}
+        />
+      )}
+
+      {/* Meal Template Modal */}
+      {templateEditor && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-xl shadow-xl p-6 w-full max-w-md">
+            <div className="flex justify-between items-center mb-6">
+              <h2 className="text-xl font-bold text-gray-800">{templateEditor.id ? 'Edit Meal' : 'Save Meal'}</h2>
+              <button onClick={() => setTemplateEditor(null)} className="text-gray-500 hover:text-gray-700">
+                <X size={24} />
+              </button>
+            </div>
+
+            <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+            <input
+              type="text"
+              value={templateEditor.name}
+              onChange={(e) => setTemplateEditor({ ...templateEditor, name: e.target.value })}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') submitTemplateEditor();
+              }}
+              placeholder="e.g., Usual breakfast"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 outline-none mb-4"
+            />
+
+            <ul className="mb-2 divide-y divide-gray-100 border border-gray-200 rounded-lg">
+              {templateEditor.items.map((item, idx) => (
+                <li key={idx} className="flex items-center justify-between gap-3 px-3 py-2 text-sm">
+                  <span className="text-gray-800">{item.item}</span>
+                  <span className="flex items-center gap-3 text-gray-600 whitespace-nowrap">
+                    {item.calories} cal
+                    <button
+                      onClick={() => setTemplateEditor({ ...templateEditor, items: templateEditor.items.filter((_, i) => i !== idx) })}
+                      className="text-gray-400 hover:text-red-600"
+                      aria-label={`Remove ${item.item}`}
+                    >
+                      <X size={14} />
+                    </button>
+                  </span>
+                </li>
+              ))}
+            </ul>
+            <p className="text-sm text-gray-600 mb-6">
+              Total: <span className="font-semibold text-purple-600">{templateEditor.items.reduce((sum, item) => sum + (item.calories || 0), 0)} cal</span>
+              {!session && <span className="block text-xs text-gray-500 mt-1">Saved in this browser. Sign up to keep your meals on every device.</span>}
+            </p>
+
+            <div className="flex gap-3">
+              {templateEditor.id && (
+                <button
+                  onClick={async () => {
+                    await deleteMealTemplate(templateEditor.id);
+                    setTemplateEditor(null);
+                  }}
+                  className="px-4 py-2 border border-red-200 text-red-600 rounded-lg hover:bg-red-50 transition"
+                >
+                  Delete
+                </button>
+              )}
+              <button
+                onClick={() => setTemplateEditor(null)}
+                className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-100 transition"
               >
-                Add Entry
+                Cancel
+              </button>
+              <button
+                onClick={submitTemplateEditor}
+                disabled={!templateEditor.name.trim() || templateEditor.items.length === 0}
+                className="flex-1 px-4 py-2 bg-purple-600 text-white rounded-lg font-medium hover:bg-purple-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Save Meal
               </button>
             </div>
           </div>
         </div>
       )}
 
+      {/* Copy Entries Modal */}
+      {showCopyEntries && (
+        <CopyEntriesDialog
+          entries={entries}
+          targetDate={selectedDate}
+          formatDate={formatDate}
+          onCopy={copyEntriesToSelectedDate}
+          onClose={() => setShowCopyEntries(false)}
+        />
+      )}
+
+      {/* Recipe Import Modal */}
+      {showRecipeImporter && (
+        <RecipeImporter
+          onClose={() => setShowRecipeImporter(false)}
+          onRecipe={addImportedRecipe}
+          macroToggles={macroToggles}
+          corrections={corrections}
+          unitSystem={unitSystem}
+        />
+      )}
+
       {/* Signup Prompt Modal */}
       {showSignupPrompt && !session && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
@@ -1992,17 +2933,37 @@ Return format: [{${returnFields}}]`
           >
             Weight
           </button>
+          <button
+            onClick={() => setActiveView('vitamins')}
+            className={`flex-1 py-3 text-sm font-medium text-center border-b-2 transition ${activeView === 'vitamins' ? 'border-purple-600 text-purple-600' : 'border-transparent text-gray-500 hover:text-gray-700'}`}
+          >
+            Vitamins
+          </button>
+          <button
+            onClick={() => setActiveView('recipes')}
+            className={`flex-1 py-3 text-sm font-medium text-center border-b-2 transition ${activeView === 'recipes' ? 'border-purple-600 text-purple-600' : 'border-transparent text-gray-500 hover:text-gray-700'}`}
+          >
+            Recipes
+          </button>
         </div>
       </div>
 
       {/* Date Navigation */}
-      {activeView === 'food' && (
+      {(activeView === 'food' || activeView === 'vitamins') && (
       <div className="bg-white border-b border-gray-200 px-6">
         <div className="max-w-4xl mx-auto flex items-center justify-between py-3">
           <button onClick={() => changeDate(-1)} className="p-2 hover:bg-gray-100 rounded-lg transition"><ChevronLeft size={20} /></button>
           <div className="text-center">
             <p className="text-sm text-gray-600">{formatDate(selectedDate)}</p>
-            {!isToday && <button onClick={goToToday} className="text-xs text-purple-600 hover:text-purple-800 mt-1">Go to today</button>}
+            <div className="flex items-center justify-center gap-3 mt-1">
+              {!isToday && <button onClick={goToToday} className="text-xs text-purple-600 hover:text-purple-800">Go to today</button>}
+              {activeView === 'food' && (
+                <button onClick={() => setShowCopyEntries(true)} className="text-xs text-gray-500 hover:text-purple-600 flex items-center gap-1">
+                  <Copy size={12} />
+                  Copy from...
+                </button>
+              )}
+            </div>
           </div>
           <button onClick={() => changeDate(1)} className="p-2 hover:bg-gray-100 rounded-lg transition" disabled={isToday}>
             <ChevronRight size={20} className={isToday ? 'text-gray-300' : ''} />
@@ -2016,6 +2977,25 @@ Return format: [{${returnFields}}]`
         <div className="max-w-4xl mx-auto">
           {activeView === 'weight' ? (
             <WeightTracker session={session} refreshKey={weightRefreshKey} unit={weightUnit} goalWeight={weightGoal} setGoalWeight={setWeightGoal} />
+          ) : activeView === 'vitamins' ? (
+            <VitaminReport
+              entries={entries}
+              selectedDate={selectedDate}
+              profile={vitaminProfile}
+              setProfile={setVitaminProfile}
+              vitaminsEnabled={macroToggles.vitamins}
+              setVitaminsEnabled={(enabled) => setMacroToggles(prev => ({ ...prev, vitamins: enabled }))}
+            />
+          ) : activeView === 'recipes' ? (
+            <RecipeBook
+              session={session}
+              recipes={recipes}
+              onSave={saveRecipe}
+              onDelete={deleteRecipe}
+              macroToggles={macroToggles}
+              corrections={corrections}
+              unitSystem={unitSystem}
+            />
           ) : (<>
           {/* Stats Card */}
           <div className="bg-gradient-to-br from-purple-50 to-white rounded-xl shadow-sm p-4 lg:p-8 mb-6">
@@ -2023,13 +3003,13 @@ Return format: [{${returnFields}}]`
             <div className="lg:hidden">
               <div className={`flex gap-4 items-center ${session && 'mb-4'}`}>
                 {/* Macros - Left Side (only show if any macros enabled) */}
-                {Object.values(macroToggles).some(v => v) && (
+                {trackedMacros.length > 0 && (
                 <div className="flex-1 flex justify-center">
                   <div className={goals ? 'space-y-2' : 'space-y-1'}>
-                  {['protein', 'carbs', 'fat'].filter(macro => macroToggles[macro]).map(macro => (
+                  {trackedMacros.map(({ key: macro, label }) => (
                     <div key={macro}>
                       <div className="flex items-baseline gap-2">
-                        <span className="text-xs text-gray-600 w-12 capitalize">{macro}</span>
+                        <span className="text-xs text-gray-600 w-12">{label}</span>
                         <span className="text-lg font-bold text-purple-600">
                           {getDailyTotal(selectedDate, macro)}<span className="text-sm text-gray-500">g</span>
                           {goals?.[macro] && <span className="text-xs text-gray-400 ml-1">/ {goals[macro]}g</span>}
@@ -2082,12 +3062,12 @@ Return format: [{${returnFields}}]`
             {/* Desktop Layout: Original side by side layout */}
             <div className="hidden lg:flex items-center justify-between gap-12">
               {/* Macros (only show if any macros enabled) */}
-              {Object.values(macroToggles).some(v => v) && (
+              {trackedMacros.length > 0 && (
               <div className="flex-1 space-y-4 w-full">
-                {['protein', 'carbs', 'fat'].filter(macro => macroToggles[macro]).map(macro => (
+                {trackedMacros.map(({ key: macro, label }) => (
                   <div key={macro}>
                     <div className="flex items-baseline gap-4 mb-1">
-                      <span className="text-sm text-gray-600 w-12 capitalize">{macro}</span>
+                      <span className="text-sm text-gray-600 w-12">{label}</span>
                       <span className="text-2xl lg:text-3xl font-bold text-purple-600">
                         {getDailyTotal(selectedDate, macro)}<span className="text-lg text-gray-500">g</span>
                         {goals?.[macro] && <span className="text-sm text-gray-400 ml-2">/ {goals[macro]}g</span>}
@@ -2129,12 +3109,41 @@ Return format: [{${returnFields}}]`
                 </div>
               </div>
             </div>
+
+            {/* Micronutrients and custom nutrients - under both layouts (only the tracked ones) */}
+            {(trackedMicronutrients.length > 0 || customNutrients.length > 0) && (
+              <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-3 mt-4 lg:mt-6 pt-4 border-t border-purple-100">
+                {[
+                  ...trackedMicronutrients.map(({ key, label, unit }) => ({ key, label, unit, total: getDailyTotal(selectedDate, key), goal: goals?.[key] })),
+                  ...customNutrients.map(({ key, label, unit, goal }) => ({
+                    key: `custom-${key}`,
+                    label,
+                    unit: unit && ` ${unit}`,
+                    total: sumCustom((entries[selectedDate] || []).flatMap(entry => entry.items), key),
+                    goal
+                  }))
+                ].map(({ key, label, unit, total, goal }) => (
+                  <div key={key}>
+                    <div className="text-xs text-gray-600 truncate">{label}</div>
+                    <div className="text-sm font-bold text-purple-600">
+                      {total}<span className="text-xs text-gray-500">{unit}</span>
+                      {goal && <span className="text-xs font-normal text-gray-400 ml-1">/ {goal}{unit}</span>}
+                    </div>
+                    {goal && (
+                      <div className="h-1 bg-gray-200 rounded-full overflow-hidden mt-1">
+                        <div className={`h-full ${getGoalColor(total, goal)} transition-all`} style={{ width: `${getGoalProgress(total, goal)}%` }} />
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
           </div>
 
           {/* Chat Interface - Unified Box */}
           <div className="bg-white border border-gray-200 rounded-xl shadow-sm mb-6 overflow-hidden">
             {/* Onboarding Message */}
-            {messages.length === 0 && !pendingFoods && !processingError && (
+            {messages.length === 0 && !pendingFoods && !processingError && !usageLimit && (
               <div className="px-6 py-6 border-b border-gray-200">
                 <p className="text-base font-semibold text-gray-600 text-center">
                   Start tracking your food below:
@@ -2152,6 +3161,9 @@ Return format: [{${returnFields}}]`
                         ? 'bg-purple-600 text-white'
                         : 'bg-gray-100 text-gray-800'
                     }`}>
+                      {msg.image && (
+                        <img src={msg.image} alt="Meal" className="max-h-32 rounded mb-2 ml-auto" />
+                      )}
                       <p className="text-sm">{msg.content}</p>
                     </div>
                     <p className="text-xs text-gray-500 mt-1">
@@ -2166,7 +3178,18 @@ Return format: [{${returnFields}}]`
             {/* Pending Foods Confirmation */}
             {pendingFoods && (
               <div className="p-4 bg-purple-50 border-b border-purple-200">
-                <h3 className="text-sm font-semibold text-gray-800 mb-3">Select items to add to your log:</h3>
+                <h3 className="text-sm font-semibold text-gray-800 mb-3 flex items-center justify-between gap-2">
+                  <span>{pendingFoods.isStreaming ? 'Finding your foods...' : 'Select items to add to your log:'}</span>
+                  {pendingFoods.instant && (
+                    <span
+                      className="flex items-center gap-1 text-xs font-medium text-purple-700 bg-purple-100 px-2 py-0.5 rounded-full"
+                      title="Answered from foods you've logged before or USDA data, without waiting on the AI"
+                    >
+                      <Zap size={12} />
+                      Instant
+                    </span>
+                  )}
+                </h3>
                 <div className="space-y-2 mb-4">
                   {pendingFoods.items.map((item, idx) => (
                     <label
@@ -2185,22 +3208,129 @@ Return format: [{${returnFields}}]`
                       />
                       <div className="flex-1">
                         <span className="text-gray-800 font-medium">{item.item}</span>
+                        {item.product?.servings.length > 1 && (
+                          <select
+                            value={item.servingIndex}
+                            onChange={(e) => changePendingServing(idx, Number(e.target.value))}
+                            onClick={(e) => e.stopPropagation()}
+                            className="block mt-1 text-xs border border-gray-300 rounded px-2 py-1 text-gray-700 focus:ring-2 focus:ring-purple-500 outline-none"
+                          >
+                            {item.product.servings.map((serving, servingIdx) => (
+                              <option key={servingIdx} value={servingIdx}>{serving.label}</option>
+                            ))}
+                          </select>
+                        )}
+                        {item.recipe && (
+                          <div className="mt-1 flex flex-wrap items-center gap-x-3 gap-y-1 text-xs text-gray-600">
+                            <span className="flex items-center gap-1">
+                              <button
+                                onClick={(e) => {
+                                  e.preventDefault();
+                                  changePendingRecipeServings(idx, Math.max(0.5, item.servings - 0.5));
+                                }}
+                                disabled={item.servings <= 0.5}
+                                className="p-0.5 border border-gray-300 rounded hover:bg-gray-100 disabled:opacity-40"
+                                aria-label="Fewer servings"
+                              >
+                                <Minus size={12} />
+                              </button>
+                              <input
+                                type="number"
+                                min="0.25"
+                                step="0.5"
+                                value={item.servings}
+                                onChange={(e) => changePendingRecipeServings(idx, parseFloat(e.target.value))}
+                                className="w-14 border border-gray-300 rounded px-1 py-0.5 text-center focus:ring-2 focus:ring-purple-500 outline-none"
+                                aria-label="Servings eaten"
+                              />
+                              <button
+                                onClick={(e) => {
+                                  e.preventDefault();
+                                  changePendingRecipeServings(idx, item.servings + 0.5);
+                                }}
+                                className="p-0.5 border border-gray-300 rounded hover:bg-gray-100"
+                                aria-label="More servings"
+                              >
+                                <Plus size={12} />
+                              </button>
+                              <span>of {item.recipe.yield || `${item.recipe.servings} servings`}</span>
+                            </span>
+                            {item.ingredients.length > 0 && (
+                              <button
+                                onClick={(e) => {
+                                  e.preventDefault();
+                                  togglePendingIngredients(idx);
+                                }}
+                                className="flex items-center gap-0.5 text-purple-600 hover:text-purple-800"
+                              >
+                                <ChevronDown size={12} className={item.showIngredients ? 'rotate-180' : ''} />
+                                {item.ingredients.length} ingredient{item.ingredients.length === 1 ? '' : 's'}
+                              </button>
+                            )}
+                          </div>
+                        )}
+                        {item.recipe && item.showIngredients && (
+                          <ul className="mt-2 space-y-0.5 text-xs text-gray-600 border-l-2 border-purple-100 pl-2">
+                            {item.ingredients.map((ingredient, ingredientIdx) => (
+                              <li key={ingredientIdx} className="flex justify-between gap-2">
+                                <span>{ingredient.item}</span>
+                                <span className="text-gray-500 whitespace-nowrap">{ingredient.calories} cal</span>
+                              </li>
+                            ))}
+                            {item.recipe.nutritionSource === 'recipe' && (
+                              <li className="text-gray-400 italic">Total uses the recipe's own nutrition facts</li>
+                            )}
+                          </ul>
+                        )}
                       </div>
                       <div className="text-right">
                         <span className="font-semibold text-purple-600">{item.calories} cal</span>
-                        {Object.values(macroToggles).some(v => v) && (
+                        {hasNutrientLabels && (
                         <div className="text-xs text-gray-600">
-                          {[
-                            macroToggles.protein && `P: ${item.protein || 0}g`,
-                            macroToggles.carbs && `C: ${item.carbs || 0}g`,
-                            macroToggles.fat && `F: ${item.fat || 0}g`
-                          ].filter(Boolean).join(' • ')}
+                          {nutrientLabels(item).join(' • ')}
                         </div>
                         )}
                       </div>
                     </label>
                   ))}
+                  {pendingFoods.isStreaming && (
+                    <div className="p-3 rounded-lg border-2 border-dashed border-purple-200 text-sm text-purple-400 animate-pulse">
+                      Looking up more items...
+                    </div>
+                  )}
                 </div>
+                {(() => {
+                  const target = pendingFoods.target || pendingTarget(null);
+                  return (
+                    <div className="flex flex-wrap items-center gap-2 mb-4 text-sm text-gray-600">
+                      <span>Log to</span>
+                      <input
+                        type="date"
+                        value={target.date}
+                        onChange={(e) => changePendingTarget('date', e.target.value)}
+                        className="px-2 py-1 border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-purple-500 outline-none"
+                        aria-label="Date"
+                      />
+                      <input
+                        type="time"
+                        value={target.time}
+                        onChange={(e) => changePendingTarget('time', e.target.value)}
+                        className="px-2 py-1 border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-purple-500 outline-none"
+                        aria-label="Time"
+                        title="Leave empty to use the current time"
+                      />
+                      <select
+                        value={target.meal}
+                        onChange={(e) => changePendingTarget('meal', e.target.value)}
+                        className="px-2 py-1 border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-purple-500 outline-none"
+                        aria-label="Meal"
+                      >
+                        <option value="">Meal by time</option>
+                        {MEALS.map(({ key, label }) => <option key={key} value={key}>{label}</option>)}
+                      </select>
+                    </div>
+                  );
+                })()}
                 <div className="flex gap-3">
                   <button
                     onClick={() => setPendingFoods(null)}
@@ -2210,7 +3340,7 @@ Return format: [{${returnFields}}]`
                   </button>
                   <button
                     onClick={addConfirmedFoodsToLog}
-                    disabled={!Object.values(pendingFoods.selectionState).some(v => v)}
+                    disabled={pendingFoods.isStreaming || !Object.values(pendingFoods.selectionState).some(v => v)}
                     className="flex-1 px-4 py-2 bg-purple-600 text-white rounded-lg font-medium hover:bg-purple-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
                   >
                     Add to Log ({Object.values(pendingFoods.selectionState).filter(v => v).length})
@@ -2260,8 +3390,127 @@ Return format: [{${returnFields}}]`
               </div>
             )}
 
+            {/* Usage Limit Message */}
+            {usageLimit && (
+              <div className="p-4 bg-amber-50 border-b border-amber-200">
+                <div className="flex items-start gap-2">
+                  <div className="flex-1">
+                    <p className="text-sm text-amber-800 font-semibold">
+                      {usageLimit.code === 'daily_limit' ? "You've hit today's limit" : 'Just a moment'}
+                    </p>
+                    <p className="text-sm text-amber-700 mt-1">{usageLimit.message}</p>
+                    {limitSecondsLeft > 0 && (
+                      <p className="text-xs text-amber-600 mt-1">AI logging is back in {formatWait(limitSecondsLeft)}.</p>
+                    )}
+                    <div className="mt-3 flex gap-4">
+                      <button
+                        onClick={() => setShowManualEntry(true)}
+                        className="text-xs text-amber-700 hover:text-amber-900 underline font-medium"
+                      >
+                        Add manually
+                      </button>
+                      {!session && usageLimit.code === 'daily_limit' && (
+                        <button
+                          onClick={() => { setAuthMode('signup'); setShowAuthModal(true); }}
+                          className="text-xs text-purple-600 hover:text-purple-800 underline font-medium"
+                        >
+                          Sign up free
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => setUsageLimit(null)}
+                    className="text-amber-400 hover:text-amber-600 flex-shrink-0"
+                    aria-label="Dismiss limit message"
+                  >
+                    <X size={16} />
+                  </button>
+                </div>
+              </div>
+            )}
+
             {/* Input Area */}
             <div className="p-4">
+              {/* Recent and frequent foods */}
+              {quickAddFoods.recent.length > 0 && (
+                <div className="mb-3">
+                  <div className="flex items-center gap-3 text-xs">
+                    <History size={14} className="text-gray-400" />
+                    {['frequent', 'recent'].filter(name => name === 'recent' || quickAddFoods.frequent.length > 0).map(name => (
+                      <button
+                        key={name}
+                        onClick={() => {
+                          setQuickAddTab(name);
+                          setShowQuickAdd(true);
+                        }}
+                        className={showQuickAdd && shownQuickAddTab === name ? 'font-semibold text-purple-700' : 'text-gray-500 hover:text-purple-600'}
+                      >
+                        {name === 'frequent' ? 'Frequent' : 'Recent'}
+                      </button>
+                    ))}
+                    <button onClick={() => setShowQuickAdd(!showQuickAdd)} className="ml-auto text-gray-400 hover:text-gray-600">
+                      {showQuickAdd ? 'Hide' : 'Show'}
+                    </button>
+                  </div>
+                  {showQuickAdd && (
+                    <div className="flex gap-2 overflow-x-auto pt-2 pb-1">
+                      {quickAddFoods[shownQuickAddTab].map(item => (
+                        <button
+                          key={normalizeFoodName(item.item)}
+                          onClick={() => quickAddFood(item)}
+                          disabled={isQuickLogging}
+                          className="flex items-center gap-1 flex-shrink-0 bg-white border border-gray-200 rounded-full px-3 py-1 text-sm text-gray-700 hover:border-purple-300 hover:text-purple-700 disabled:opacity-50"
+                          title={`Add to ${isToday ? 'today' : formatDate(selectedDate)} without the AI`}
+                        >
+                          <Plus size={12} />
+                          {item.item}
+                          <span className="text-gray-400">· {item.calories} cal</span>
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Meal template quick-add tray */}
+              {mealTemplates.length > 0 && (
+                <div className="flex gap-2 overflow-x-auto pb-3 mb-1">
+                  {mealTemplates.map(template => (
+                    <div key={template.id} className="flex items-center flex-shrink-0 bg-purple-50 border border-purple-200 rounded-full text-sm">
+                      <button
+                        onClick={() => logMealTemplate(template)}
+                        disabled={isQuickLogging}
+                        className="pl-3 pr-1.5 py-1 text-purple-800 hover:text-purple-900 disabled:opacity-50 flex items-center gap-1"
+                        title={`Log ${template.items.map(item => item.item).join(', ')}`}
+                      >
+                        <Plus size={12} />
+                        {template.name}
+                        <span className="text-purple-500">· {template.items.reduce((sum, item) => sum + (item.calories || 0), 0)} cal</span>
+                      </button>
+                      <button
+                        onClick={() => setTemplateEditor({ ...template })}
+                        className="pr-2.5 pl-0.5 py-1 text-purple-300 hover:text-purple-600"
+                        aria-label={`Edit ${template.name}`}
+                      >
+                        <Edit2 size={12} />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+              {photoAttachment && (
+                <div className="relative inline-block mb-3">
+                  <img src={photoAttachment} alt="Meal to log" className="h-20 rounded-lg border border-gray-300" />
+                  <button
+                    onClick={() => setPhotoAttachment(null)}
+                    className="absolute -top-2 -right-2 bg-white border border-gray-300 rounded-full p-0.5 text-gray-500 hover:text-gray-700"
+                    aria-label="Remove photo"
+                  >
+                    <X size={14} />
+                  </button>
+                </div>
+              )}
               <div className="flex flex-col lg:flex-row gap-3">
                 <textarea
                   rows="2"
@@ -2273,39 +3522,134 @@ Return format: [{${returnFields}}]`
                       handleSubmit();
                     }
                   }}
-                  placeholder="What did you eat? (e.g., 2 eggs, toast with butter, glass of milk)"
-                  disabled={isProcessing}
+                  placeholder={photoAttachment
+                    ? 'Add a note about the photo (optional, e.g., "large bowl, no dressing")'
+                    : 'What did you eat? (e.g., 2 eggs, toast with butter, glass of milk)'}
+                  disabled={isProcessing || limitSecondsLeft > 0}
                   className="flex-1 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 outline-none disabled:bg-gray-100 resize-none"
                 />
+                <input
+                  ref={photoInputRef}
+                  type="file"
+                  accept="image/*"
+                  onChange={handlePhotoSelected}
+                  className="hidden"
+                />
+                <button
+                  onClick={() => photoInputRef.current?.click()}
+                  disabled={isProcessing || limitSecondsLeft > 0}
+                  className="px-4 py-3 border border-gray-300 text-gray-600 rounded-lg hover:bg-gray-50 hover:text-purple-600 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+                  title="Log a meal from a photo"
+                  aria-label="Add a photo of your meal"
+                >
+                  <Camera size={20} />
+                  <span className="lg:hidden">Photo</span>
+                </button>
+                <VoiceButton
+                  disabled={isProcessing || limitSecondsLeft > 0}
+                  onTranscript={(transcript) => {
+                    setProcessingError(null);
+                    // Anything already typed stays in front of what was said ("for lunch:" + speech)
+                    handleSubmit([currentInput.trim(), transcript].filter(Boolean).join(' '));
+                  }}
+                  onError={setProcessingError}
+                />
                 <button
-                  onClick={handleSubmit}
-                  disabled={isProcessing || !currentInput.trim()}
+                  onClick={() => handleSubmit()}
+                  disabled={isProcessing || limitSecondsLeft > 0 || (!currentInput.trim() && !photoAttachment)}
                   className="bg-purple-600 text-white px-6 py-3 rounded-lg font-medium hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
                 >
                   {isProcessing ? 'Processing...' : <><Send size={20} />Send</>}
                 </button>
               </div>
 
-              {/* Manual Entry Link */}
-              <div className="mt-3 text-center">
+              {/* Manual Entry and Barcode Links */}
+              <div className="mt-3 flex justify-center gap-4">
                 <button
                   onClick={() => setShowManualEntry(true)}
-                  className="text-xs text-gray-500 hover:text-purple-600 transition flex items-center gap-1 mx-auto"
+                  className="text-xs text-gray-500 hover:text-purple-600 transition flex items-center gap-1"
                 >
                   <Plus size={14} />
                   Add manually
                 </button>
+                <button
+                  onClick={() => setShowBarcodeScanner(true)}
+                  className="text-xs text-gray-500 hover:text-purple-600 transition flex items-center gap-1"
+                >
+                  <ScanBarcode size={14} />
+                  Scan barcode
+                </button>
+                <button
+                  onClick={() => setShowRecipeImporter(true)}
+                  className="text-xs text-gray-500 hover:text-purple-600 transition flex items-center gap-1"
+                >
+                  <ChefHat size={14} />
+                  Import recipe
+                </button>
               </div>
             </div>
           </div>
 
-          {/* Entries */}
+          {/* Entries, grouped into meals */}
           <div className="space-y-4 mb-6">
-            {entries[selectedDate]?.map((entry) => (
-              <div key={entry.id} className="bg-white rounded-xl shadow-sm p-5">
+            {mealRows.map(({ meal, entry }) => meal ? (
+              <div
+                key={meal.key}
+                data-meal-drop-target={meal.key}
+                onDragOver={handleDragOver}
+                onDrop={() => handleDrop(null, null, meal.key)}
+                className={draggedItem ? 'rounded-xl border-2 border-dashed border-purple-200 p-3' : 'px-1 pt-2'}
+              >
+                <div className="flex items-baseline justify-between gap-2">
+                  <h3 className="text-sm font-semibold text-gray-700 uppercase tracking-wide">{meal.label}</h3>
+                  <span className="text-sm font-semibold text-purple-600">
+                    {meal.totals.totalCalories} cal
+                    {meal.target && <span className="text-xs font-normal text-gray-400 ml-1">/ {meal.target}</span>}
+                  </span>
+                </div>
+                {meal.target && (
+                  <div className="h-1 bg-gray-200 rounded-full overflow-hidden mt-1">
+                    <div className={`h-full ${getGoalColor(meal.totals.totalCalories, meal.target)} transition-all`} style={{ width: `${getGoalProgress(meal.totals.totalCalories, meal.target)}%` }} />
+                  </div>
+                )}
+                {hasNutrientLabels && !meal.empty && (
+                  <div className="flex flex-wrap gap-x-3 text-xs text-gray-500 mt-1">
+                    {nutrientLabels(meal.totals, true).map((label, i) => <span key={i}>{label}</span>)}
+                  </div>
+                )}
+                {meal.empty && <p className="text-xs text-gray-400 mt-1">Drop here to move it to {meal.label.toLowerCase()}</p>}
+              </div>
+            ) : (
+              <div
+                key={entry.id}
+                data-meal-drop-target={entryMeal(entry, mealSettings.cutoffs)}
+                onDragOver={handleDragOver}
+                onDrop={() => handleDrop(null, null, entryMeal(entry, mealSettings.cutoffs))}
+                className="bg-white rounded-xl shadow-sm p-5"
+              >
                 <div className="flex items-center justify-between mb-3">
-                  <p className="text-sm text-gray-500">{entry.localTime || new Date(entry.timestamp).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}</p>
-                  <button onClick={() => deleteEntry(selectedDate, entry.id)} className="text-red-600 hover:text-red-800 p-1"><Trash2 size={16} /></button>
+                  <div className="flex items-center gap-2">
+                    <p className="text-sm text-gray-500">{entry.localTime || new Date(entry.timestamp).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}</p>
+                    <select
+                      value={entryMeal(entry, mealSettings.cutoffs)}
+                      onChange={(e) => changeEntryMeal(entry.id, e.target.value)}
+                      className="text-xs text-gray-500 bg-transparent border border-gray-200 rounded px-1 py-0.5 focus:ring-2 focus:ring-purple-500 outline-none"
+                      aria-label="Meal"
+                    >
+                      {MEALS.map(({ key, label }) => <option key={key} value={key}>{label}</option>)}
+                    </select>
+                  </div>
+                  <div className="flex items-center gap-1">
+                    <button
+                      onClick={() => setTemplateEditor({ name: entry.input.replace(/^(Manual|Meal|Recipe|Barcode|Quick add): /, '').substring(0, 60), items: entry.items })}
+                      className="text-gray-400 hover:text-purple-600 p-1"
+                      title="Save as a meal you can log again with one tap"
+                      aria-label="Save as meal"
+                    >
+                      <BookmarkPlus size={16} />
+                    </button>
+                    <button onClick={() => deleteEntry(selectedDate, entry.id)} className="text-red-600 hover:text-red-800 p-1"><Trash2 size={16} /></button>
+                  </div>
                 </div>
 
                 <div className="space-y-2 mb-3">
@@ -2341,7 +3685,10 @@ Return format: [{${returnFields}}]`
                         data-entry-id={entry.id}
                         data-item-index={idx}
                         onDragOver={handleDragOver}
-                        onDrop={() => handleDrop(entry.id, idx)}
+                        onDrop={(e) => {
+                          e.stopPropagation(); // the entry and meal around it are drop targets too
+                          handleDrop(entry.id, idx);
+                        }}
                         onTouchStart={(e) => handleUnifiedTouchStart(e, entry.id, idx, false)}
                         onTouchMove={handleUnifiedTouchMove}
                         onTouchEnd={handleUnifiedTouchEnd}
@@ -2356,14 +3703,24 @@ Return format: [{${returnFields}}]`
                             <div className="flex justify-between items-start mb-2">
                               <span className="text-gray-800 font-medium">{item.item}</span>
                             </div>
-                            <div className={`grid gap-2 mb-2 ${(() => { const c = 1 + Object.values(macroToggles).filter(v => v).length; return c === 1 ? 'grid-cols-1' : c === 2 ? 'grid-cols-2' : c === 3 ? 'grid-cols-3' : 'grid-cols-4'; })()}`}>
-                              {['calories', 'protein', 'carbs', 'fat'].filter(field => field === 'calories' || macroToggles[field]).map(field => (
-                                <div key={field}>
-                                  <label className="text-xs text-gray-600 block mb-1 capitalize">{field === 'calories' ? 'Calories' : `${field} (g)`}</label>
-                                  <input type="number" value={nutritionEditValues[field]} onChange={(e) => setNutritionEditValues({...nutritionEditValues, [field]: e.target.value})} className="w-full px-2 py-1 border rounded text-sm" />
+                            <div className={`grid gap-2 mb-2 ${(() => { const c = 1 + trackedNutrients.length; return c === 1 ? 'grid-cols-1' : c === 2 ? 'grid-cols-2' : c === 3 ? 'grid-cols-3' : 'grid-cols-4'; })()}`}>
+                              {[{ key: 'calories', label: 'Calories' }, ...trackedNutrients].map(field => (
+                                <div key={field.key}>
+                                  <label className="text-xs text-gray-600 block mb-1">{field.unit ? `${field.label} (${field.unit})` : field.label}</label>
+                                  <input type="number" value={nutritionEditValues[field.key]} onChange={(e) => setNutritionEditValues({...nutritionEditValues, [field.key]: e.target.value})} className="w-full px-2 py-1 border rounded text-sm" />
                                 </div>
                               ))}
                             </div>
+                            {customNutrients.length > 0 && (
+                              <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 mb-2">
+                                {customNutrients.map(nutrient => (
+                                  <div key={nutrient.key}>
+                                    <label className="text-xs text-gray-600 block mb-1 truncate">{nutrient.unit ? `${nutrient.label} (${nutrient.unit})` : nutrient.label}</label>
+                                    <input type="number" step="0.1" value={nutritionEditValues.custom[nutrient.key]} onChange={(e) => setNutritionEditValues({...nutritionEditValues, custom: {...nutritionEditValues.custom, [nutrient.key]: e.target.value}})} className="w-full px-2 py-1 border rounded text-sm" />
+                                  </div>
+                                ))}
+                              </div>
+                            )}
                             <div className="flex gap-2">
                               <button onClick={() => saveNutritionCorrection(selectedDate, entry.id, idx)} className="flex-1 bg-green-600 text-white px-3 py-1 rounded text-sm hover:bg-green-700">Save & Remember</button>
                               <button onClick={cancelEditNutrition} className="px-3 py-1 bg-gray-300 rounded text-sm hover:bg-gray-400">Cancel</button>
@@ -2398,12 +3755,19 @@ Return format: [{${returnFields}}]`
                                 </button>
                               </div>
                             </div>
+                            {!item.error && (
+                              <div className="mb-2">
+                                <PortionControl
+                                  item={item}
+                                  unitSystem={unitSystem}
+                                  onChange={(scaled) => changeItemPortion(selectedDate, entry.id, idx, scaled)}
+                                />
+                              </div>
+                            )}
                             <div className="flex justify-between items-center text-sm text-gray-600">
-                              {Object.values(macroToggles).some(v => v) && (
-                              <div className="flex gap-4">
-                                {macroToggles.protein && <span>P: {item.protein}g</span>}
-                                {macroToggles.carbs && <span>C: {item.carbs}g</span>}
-                                {macroToggles.fat && <span>F: {item.fat}g</span>}
+                              {hasNutrientLabels && (
+                              <div className="flex flex-wrap gap-x-4">
+                                {nutrientLabels(item).map((label, i) => <span key={i}>{label}</span>)}
                               </div>
                               )}
                               <div className="relative" data-source-tooltip="true">
@@ -2424,7 +3788,7 @@ Return format: [{${returnFields}}]`
                                   {item.error ? '?' : item.calories} cal
                                 </button>
                                 {visibleSourceKey === `${entry.id}-${idx}` && (() => {
-                                  const { displayName, url } = parseSource(item.source);
+                                  const { displayName, url } = parseSource(item.source, item);
                                   return (
                                     <div className="absolute left-1/2 -translate-x-1/2 bottom-full mb-1 whitespace-nowrap rounded bg-gray-900 px-2 py-1 text-xs text-white shadow-lg z-10">
                                       Source: {url ? (
@@ -2456,11 +3820,9 @@ Return format: [{${returnFields}}]`
                     <span className="text-gray-600 font-medium">Total</span>
                     <span className="text-lg font-bold text-purple-600">{entry.totalCalories} cal</span>
                   </div>
-                  {Object.values(macroToggles).some(v => v) && (
-                  <div className="flex gap-4 text-sm">
-                    {macroToggles.protein && <span className="text-purple-600">P: {entry.totalProtein}g</span>}
-                    {macroToggles.carbs && <span className="text-purple-600">C: {entry.totalCarbs}g</span>}
-                    {macroToggles.fat && <span className="text-purple-600">F: {entry.totalFat}g</span>}
+                  {hasNutrientLabels && (
+                  <div className="flex flex-wrap gap-x-4 text-sm">
+                    {nutrientLabels(entry, true).map((label, i) => <span key={i} className="text-purple-600">{label}</span>)}
                   </div>
                   )}
                 </div>
@@ -2490,11 +3852,9 @@ Return format: [{${returnFields}}]`
               <span className="text-gray-800 font-medium">{dragPreview.item.item}</span>
               <span className="font-semibold text-purple-600 ml-2">{dragPreview.item.calories} cal</span>
             </div>
-            {Object.values(macroToggles).some(v => v) && (
-            <div className="flex gap-3 text-sm text-gray-600">
-              {macroToggles.protein && <span>P: {dragPreview.item.protein}g</span>}
-              {macroToggles.carbs && <span>C: {dragPreview.item.carbs}g</span>}
-              {macroToggles.fat && <span>F: {dragPreview.item.fat}g</span>}
+            {hasNutrientLabels && (
+            <div className="flex flex-wrap gap-x-3 text-sm text-gray-600">
+              {nutrientLabels(dragPreview.item).map((label, i) => <span key={i}>{label}</span>)}
             </div>
             )}
           </div>
@@ -2513,9 +3873,15 @@ Return format: [{${returnFields}}]`
         setUsername={setUsername}
         macroToggles={macroToggles}
         setMacroToggles={setMacroToggles}
+        customNutrients={customNutrients}
+        setCustomNutrients={setCustomNutrients}
+        mealSettings={mealSettings}
+        setMealSettings={setMealSettings}
         onWeightDataImported={() => setWeightRefreshKey(k => k + 1)}
         weightUnit={weightUnit}
         setWeightUnit={setWeightUnit}
+        unitSystem={unitSystem}
+        setUnitSystem={setUnitSystem}
         weightGoal={weightGoal}
         setWeightGoal={setWeightGoal}
       />
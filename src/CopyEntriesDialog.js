@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import { X, Copy } from 'lucide-react';
+
+const MAX_RECENT_DAYS = 7;
+
+const shiftDate = (dateStr, days) => {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const date = new Date(year, month - 1, day + days);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+// "Copy from..." in the date navigation: pick a day, tick the entries to repeat, and onCopy
+// duplicates them onto targetDate. onCopy resolves to false when nothing was saved.
+const CopyEntriesDialog = ({ entries, targetDate, formatDate, onCopy, onClose }) => {
+  const [sourceDate, setSourceDate] = useState(() => {
+    // Default to the closest earlier day with entries, else the day before
+    const earlier = Object.keys(entries).filter(date => date < targetDate && entries[date]?.length > 0).sort();
+    return earlier.length > 0 ? earlier[earlier.length - 1] : shiftDate(targetDate, -1);
+  });
+  const [deselected, setDeselected] = useState({}); // entry id -> true; everything starts selected
+  const [isCopying, setIsCopying] = useState(false);
+
+  const sourceEntries = sourceDate === targetDate ? [] : (entries[sourceDate] || []);
+  const selectedEntries = sourceEntries.filter(entry => !deselected[entry.id]);
+  const recentDays = Object.keys(entries)
+    .filter(date => date !== targetDate && entries[date]?.length > 0)
+    .sort()
+    .slice(-MAX_RECENT_DAYS)
+    .reverse();
+
+  const pickDate = (date) => {
+    setSourceDate(date);
+    setDeselected({});
+  };
+
+  const copy = async () => {
+    if (isCopying || selectedEntries.length === 0) return;
+    setIsCopying(true);
+    const copied = await onCopy(selectedEntries);
+    setIsCopying(false);
+    if (copied) onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-xl p-6 w-full max-w-md max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-xl font-bold text-gray-800">Copy to {formatDate(targetDate)}</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <X size={24} />
+          </button>
+        </div>
+
+        <label className="block text-sm font-medium text-gray-700 mb-2">Copy from</label>
+        <input
+          type="date"
+          value={sourceDate}
+          onChange={(e) => e.target.value && pickDate(e.target.value)}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 outline-none mb-2"
+        />
+        {recentDays.length > 0 && (
+          <div className="flex flex-wrap gap-2 mb-4">
+            {recentDays.map(date => (
+              <button
+                key={date}
+                onClick={() => pickDate(date)}
+                className={`px-2 py-1 rounded-full text-xs border transition ${
+                  date === sourceDate ? 'bg-purple-600 border-purple-600 text-white' : 'border-gray-300 text-gray-600 hover:border-purple-300'
+                }`}
+              >
+                {formatDate(date)}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {sourceDate === targetDate ? (
+          <p className="text-sm text-gray-500 mb-6">Pick a different day to copy from.</p>
+        ) : sourceEntries.length === 0 ? (
+          <p className="text-sm text-gray-500 mb-6">Nothing was logged on {formatDate(sourceDate)}.</p>
+        ) : (
+          <>
+            <div className="flex items-center justify-between mb-2 text-sm">
+              <span className="text-gray-700 font-medium">{sourceEntries.length} entr{sourceEntries.length === 1 ? 'y' : 'ies'}</span>
+              <button
+                onClick={() => setDeselected(selectedEntries.length === sourceEntries.length
+                  ? Object.fromEntries(sourceEntries.map(entry => [entry.id, true]))
+                  : {})}
+                className="text-xs text-purple-600 hover:text-purple-800"
+              >
+                {selectedEntries.length === sourceEntries.length ? 'Select none' : 'Select all'}
+              </button>
+            </div>
+            <div className="space-y-2 mb-6">
+              {sourceEntries.map(entry => (
+                <label
+                  key={entry.id}
+                  className={`flex items-start gap-3 p-3 rounded-lg cursor-pointer border-2 transition ${
+                    deselected[entry.id] ? 'border-gray-200 opacity-60' : 'border-purple-400'
+                  }`}
+                >
+                  <input
+                    type="checkbox"
+                    checked={!deselected[entry.id]}
+                    onChange={() => setDeselected(prev => ({ ...prev, [entry.id]: !prev[entry.id] }))}
+                    className="w-5 h-5 mt-0.5 text-purple-600 rounded focus:ring-2 focus:ring-purple-500"
+                  />
+                  <div className="flex-1 min-w-0">
+                    <p className="text-xs text-gray-500">{entry.localTime}</p>
+                    <p className="text-sm text-gray-800 truncate">{entry.items.map(item => item.item).join(', ')}</p>
+                  </div>
+                  <span className="text-sm font-semibold text-purple-600 whitespace-nowrap">{entry.totalCalories} cal</span>
+                </label>
+              ))}
+            </div>
+          </>
+        )}
+
+        <div className="flex gap-3">
+          <button
+            onClick={onClose}
+            className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-100 transition"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={copy}
+            disabled={isCopying || selectedEntries.length === 0}
+            className="flex-1 px-4 py-2 bg-purple-600 text-white rounded-lg font-medium hover:bg-purple-700 transition disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+          >
+            <Copy size={16} />
+            {isCopying ? 'Copying...' : `Copy ${selectedEntries.length}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CopyEntriesDialog;
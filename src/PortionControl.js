@@ -0,0 +1,48 @@
+import React from 'react';
+import { Minus, Plus } from 'lucide-react';
+import { compatibleUnits, convertPortion, formatQuantity, formatUnit, itemPortion, portionLabel, scalePortion, stepPortion } from './units';
+
+// Stepper for an item's portion, with a unit picker when the unit converts to others ("6 oz" <-> "170 g").
+// onChange gets the rescaled item; stepping changes the nutrition, switching units doesn't.
+const PortionControl = ({ item, unitSystem, onChange }) => {
+  const portion = itemPortion(item);
+  const units = compatibleUnits(portion.unit, item.item, unitSystem);
+
+  return (
+    <div className="flex items-center gap-1 text-xs text-gray-600">
+      <button
+        onClick={() => onChange(scalePortion(item, stepPortion(portion.quantity, portion.unit, -1)))}
+        className="p-0.5 border border-gray-300 rounded hover:bg-gray-100"
+        aria-label="Smaller portion"
+      >
+        <Minus size={12} />
+      </button>
+      {units.length > 1 ? (
+        <span className="flex items-center gap-1 px-1">
+          {formatQuantity(portion.quantity)}
+          <select
+            value={portion.unit}
+            onChange={(e) => onChange(convertPortion(item, e.target.value))}
+            className="border border-gray-300 rounded px-0.5 py-0.5 bg-white focus:ring-2 focus:ring-purple-500 outline-none"
+            aria-label="Portion unit"
+          >
+            {units.map(unit => (
+              <option key={unit} value={unit}>{formatUnit(portion.quantity, unit)}</option>
+            ))}
+          </select>
+        </span>
+      ) : (
+        <span className="min-w-[4rem] text-center">{portionLabel(portion)}</span>
+      )}
+      <button
+        onClick={() => onChange(scalePortion(item, stepPortion(portion.quantity, portion.unit, 1)))}
+        className="p-0.5 border border-gray-300 rounded hover:bg-gray-100"
+        aria-label="Larger portion"
+      >
+        <Plus size={12} />
+      </button>
+    </div>
+  );
+};
+
+export default PortionControl;
@@ -0,0 +1,321 @@
+import React, { useState } from 'react';
+import { Trash2, Edit2, Plus, ChefHat, Zap } from 'lucide-react';
+import { getAuthHeaders } from './supabase';
+import PortionControl from './PortionControl';
+import { withPortion } from './units';
+
+const EMPTY_INGREDIENT = { item: '', calories: '', protein: '', carbs: '', fat: '' };
+const MACROS = ['calories', 'protein', 'carbs', 'fat'];
+
+const sumIngredients = (ingredients) => Object.fromEntries(MACROS.map(field => [
+  field,
+  ingredients.reduce((sum, ingredient) => sum + (ingredient[field] || 0), 0)
+]));
+
+// Saved recipes: an ingredient list (parsed by the AI or entered by hand) and a serving count.
+// Per-serving values are stored with the recipe, so "a bowl of my chili" logs without the AI.
+// Recipes live in CalorieTracker, which sends them with every parse request.
+const RecipeBook = ({ session, recipes, onSave, onDelete, macroToggles, corrections, unitSystem }) => {
+  const [draft, setDraft] = useState(null); // { id?, name, servings, ingredients }
+  const [ingredientText, setIngredientText] = useState('');
+  const [manualIngredient, setManualIngredient] = useState(EMPTY_INGREDIENT);
+  const [isParsing, setIsParsing] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const enabledMacros = ['protein', 'carbs', 'fat'].filter(macro => macroToggles[macro]);
+  const formatMacros = (values) => enabledMacros.map(macro => `${macro[0].toUpperCase()}: ${values[macro] || 0}g`).join(' • ');
+
+  const startRecipe = (recipe) => {
+    setDraft(recipe
+      ? { id: recipe.id, name: recipe.name, servings: String(recipe.servings), ingredients: recipe.ingredients }
+      : { name: '', servings: '4', ingredients: [] });
+    setIngredientText('');
+    setManualIngredient(EMPTY_INGREDIENT);
+    setMessage(null);
+  };
+
+  const addIngredients = (items) => setDraft(prev => ({ ...prev, ingredients: [...prev.ingredients, ...items.map(withPortion)] }));
+
+  // "2 lb ground beef" turned out to be 1.5 lb, or 900 g: rescale the ingredient
+  const changeIngredient = (index, ingredient) => setDraft(prev => ({
+    ...prev,
+    ingredients: prev.ingredients.map((existing, i) => (i === index ? ingredient : existing))
+  }));
+
+  const removeIngredient = (index) => setDraft(prev => ({
+    ...prev,
+    ingredients: prev.ingredients.filter((_, i) => i !== index)
+  }));
+
+  // Whole-recipe amounts ("2 lb ground beef, 1 onion, 2 cans kidney beans") through the normal parser
+  const parseIngredients = async () => {
+    if (!ingredientText.trim() || isParsing) return;
+    setIsParsing(true);
+    setMessage(null);
+
+    try {
+      const response = await fetch('/api/nutrition/parse', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(await getAuthHeaders()) },
+        body: JSON.stringify({ text: ingredientText, macroToggles, corrections, units: unitSystem })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || !Array.isArray(data.items)) {
+        setMessage(data.error || 'Could not look up those ingredients.');
+        return;
+      }
+
+      const found = data.items.filter(item => !item.error).map(({ error, ...item }) => item);
+      const missed = data.items.filter(item => item.error).map(item => item.item);
+      addIngredients(found);
+      setIngredientText('');
+      if (missed.length > 0) {
+        setMessage(`Couldn't find nutrition for ${missed.join(', ')}. Add ${missed.length === 1 ? 'it' : 'them'} by hand below.`);
+      }
+    } catch (error) {
+      setMessage('Could not look up those ingredients. Check your connection and try again.');
+    } finally {
+      setIsParsing(false);
+    }
+  };
+
+  const addManualIngredient = () => {
+    const calories = parseInt(manualIngredient.calories, 10);
+    if (!manualIngredient.item.trim() || isNaN(calories) || calories < 0) {
+      setMessage('Enter a name and calories for the ingredient.');
+      return;
+    }
+    addIngredients([{
+      item: manualIngredient.item.trim(),
+      calories,
+      protein: parseInt(manualIngredient.protein, 10) || 0,
+      carbs: parseInt(manualIngredient.carbs, 10) || 0,
+      fat: parseInt(manualIngredient.fat, 10) || 0,
+      source: 'manual entry'
+    }]);
+    setManualIngredient(EMPTY_INGREDIENT);
+    setMessage(null);
+  };
+
+  const saveDraft = async () => {
+    const servings = parseFloat(draft.servings);
+    if (!draft.name.trim()) {
+      setMessage('Give the recipe a name, like "chili".');
+      return;
+    }
+    if (!(servings > 0)) {
+      setMessage('Enter how many servings the recipe makes.');
+      return;
+    }
+    if (draft.ingredients.length === 0) {
+      setMessage('Add at least one ingredient.');
+      return;
+    }
+
+    const totals = sumIngredients(draft.ingredients);
+    setIsSaving(true);
+    const saved = await onSave({
+      id: draft.id,
+      name: draft.name.trim(),
+      servings,
+      ingredients: draft.ingredients,
+      ...Object.fromEntries(MACROS.map(field => [field, Math.round(totals[field] / servings)]))
+    });
+    setIsSaving(false);
+    if (saved) {
+      setDraft(null);
+      setMessage(null);
+    } else {
+      setMessage('Failed to save the recipe. Please try again.');
+    }
+  };
+
+  if (draft) {
+    const totals = sumIngredients(draft.ingredients);
+    const servings = parseFloat(draft.servings) > 0 ? parseFloat(draft.servings) : 1;
+
+    return (
+      <div className="bg-white rounded-xl shadow-sm p-5 mb-6">
+        <h2 className="text-lg font-semibold text-gray-800 mb-4">{draft.id ? 'Edit Recipe' : 'New Recipe'}</h2>
+
+        <div className="flex gap-3 mb-4">
+          <div className="flex-1">
+            <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+            <input
+              type="text"
+              value={draft.name}
+              onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+              placeholder="e.g., Chili"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 outline-none"
+            />
+          </div>
+          <div className="w-28">
+            <label className="block text-sm font-medium text-gray-700 mb-2">Servings</label>
+            <input
+              type="number"
+              min="0.5"
+              step="0.5"
+              value={draft.servings}
+              onChange={(e) => setDraft({ ...draft, servings: e.target.value })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 outline-none"
+            />
+          </div>
+        </div>
+
+        <label className="block text-sm font-medium text-gray-700 mb-2">Ingredients for the whole recipe</label>
+        {draft.ingredients.length > 0 && (
+          <ul className="mb-3 divide-y divide-gray-100 border border-gray-200 rounded-lg">
+            {draft.ingredients.map((ingredient, index) => (
+              <li key={index} className="flex items-center justify-between gap-3 px-3 py-2 text-sm">
+                <span className="flex-1 min-w-0">
+                  <span className="block text-gray-800">{ingredient.item}</span>
+                  <PortionControl item={ingredient} unitSystem={unitSystem} onChange={(scaled) => changeIngredient(index, scaled)} />
+                </span>
+                <span className="flex items-center gap-3 text-gray-600 whitespace-nowrap">
+                  {ingredient.calories} cal
+                  <button onClick={() => removeIngredient(index)} className="text-gray-400 hover:text-red-600" aria-label={`Remove ${ingredient.item}`}>
+                    <Trash2 size={14} />
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="flex gap-2 mb-2">
+          <textarea
+            rows="2"
+            value={ingredientText}
+            onChange={(e) => setIngredientText(e.target.value)}
+            placeholder="e.g., 2 lb ground beef, 1 onion, 2 cans kidney beans, 1 can diced tomatoes"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 outline-none resize-none text-sm"
+          />
+          <button
+            onClick={parseIngredients}
+            disabled={isParsing || !ingredientText.trim()}
+            className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition disabled:opacity-50 disabled:cursor-not-allowed text-sm"
+          >
+            {isParsing ? 'Looking up...' : 'Look up'}
+          </button>
+        </div>
+
+        <div className="flex flex-wrap gap-2 mb-4">
+          <input
+            type="text"
+            value={manualIngredient.item}
+            onChange={(e) => setManualIngredient({ ...manualIngredient, item: e.target.value })}
+            placeholder="Or add by hand"
+            className="flex-1 min-w-[8rem] px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 outline-none text-sm"
+          />
+          {MACROS.filter(field => field === 'calories' || macroToggles[field]).map(field => (
+            <input
+              key={field}
+              type="number"
+              min="0"
+              value={manualIngredient[field]}
+              onChange={(e) => setManualIngredient({ ...manualIngredient, [field]: e.target.value })}
+              placeholder={field === 'calories' ? 'Cal' : `${field[0].toUpperCase()}${field.slice(1)} (g)`}
+              className="w-20 px-2 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 outline-none text-sm"
+            />
+          ))}
+          <button
+            onClick={addManualIngredient}
+            className="px-3 py-2 border border-gray-300 text-gray-600 rounded-lg hover:bg-gray-50 hover:text-purple-600 transition"
+            aria-label="Add ingredient"
+          >
+            <Plus size={16} />
+          </button>
+        </div>
+
+        {draft.ingredients.length > 0 && (
+          <p className="text-sm text-gray-700 mb-4">
+            Per serving: <span className="font-semibold text-purple-600">{Math.round(totals.calories / servings)} cal</span>
+            {enabledMacros.length > 0 && (
+              <span className="text-gray-500"> ({formatMacros(Object.fromEntries(MACROS.map(field => [field, Math.round(totals[field] / servings)])))})</span>
+            )}
+          </p>
+        )}
+
+        {message && <p className="text-sm text-red-600 mb-3">{message}</p>}
+
+        <div className="flex gap-3">
+          <button
+            onClick={() => {
+              setDraft(null);
+              setMessage(null);
+            }}
+            className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-100 transition"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={saveDraft}
+            disabled={isSaving}
+            className="flex-1 px-4 py-2 bg-purple-600 text-white rounded-lg font-medium hover:bg-purple-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSaving ? 'Saving...' : 'Save Recipe'}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-800">My Recipes</h2>
+        <button
+          onClick={() => startRecipe(null)}
+          className="flex items-center gap-1 px-4 py-2 bg-purple-600 text-white rounded-lg text-sm font-medium hover:bg-purple-700 transition"
+        >
+          <Plus size={16} />
+          New Recipe
+        </button>
+      </div>
+
+      {recipes.length === 0 ? (
+        <div className="bg-white rounded-xl shadow-sm p-8 text-center text-gray-500">
+          <ChefHat size={32} className="mx-auto mb-3 text-purple-300" />
+          <p className="mb-1">Save the dishes you cook often.</p>
+          <p className="text-sm">Then log them like any food: "a bowl of my chili".</p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {recipes.map(recipe => (
+            <div key={recipe.id} className="bg-white rounded-xl shadow-sm p-4 flex items-center justify-between gap-3">
+              <div>
+                <p className="font-medium text-gray-800">{recipe.name}</p>
+                <p className="text-sm text-gray-600">
+                  <span className="font-semibold text-purple-600">{recipe.calories} cal</span> per serving
+                  {enabledMacros.length > 0 && <span className="text-gray-500"> • {formatMacros(recipe)}</span>}
+                </p>
+                <p className="text-xs text-gray-400 mt-0.5">
+                  Makes {recipe.servings} serving{recipe.servings === 1 ? '' : 's'} • {recipe.ingredients.length} ingredient{recipe.ingredients.length === 1 ? '' : 's'}
+                </p>
+              </div>
+              <div className="flex items-center gap-1">
+                <button onClick={() => startRecipe(recipe)} className="text-gray-500 hover:text-purple-600 p-1" aria-label={`Edit ${recipe.name}`}>
+                  <Edit2 size={16} />
+                </button>
+                <button onClick={() => onDelete(recipe.id)} className="text-red-600 hover:text-red-800 p-1" aria-label={`Delete ${recipe.name}`}>
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            </div>
+          ))}
+          <p className="text-xs text-gray-500 flex items-center gap-1 pt-1">
+            <Zap size={12} />
+            Mention a recipe by name when logging ("a bowl of my chili") and it's added instantly.
+          </p>
+        </div>
+      )}
+
+      {!session && recipes.length > 0 && (
+        <p className="text-xs text-amber-700 mt-3">Recipes are kept until you close this tab. Sign up to save them.</p>
+      )}
+    </div>
+  );
+};
+
+export default RecipeBook;
@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { X, ChefHat } from 'lucide-react';
+import { getAuthHeaders } from './supabase';
+
+// Imports a recipe from a link, or from the page's HTML for sites that block server-side fetches.
+// Nutrition comes back per serving; the servings eaten are picked in the confirmation card.
+const RecipeImporter = ({ onClose, onRecipe, macroToggles, corrections, unitSystem }) => {
+  const [url, setUrl] = useState('');
+  const [html, setHtml] = useState('');
+  const [pasteHtml, setPasteHtml] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const canImport = pasteHtml ? !!html.trim() : !!url.trim();
+
+  const importRecipe = async () => {
+    if (!canImport || isImporting) return;
+    setIsImporting(true);
+    setMessage(null);
+
+    try {
+      const response = await fetch('/api/recipes/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(await getAuthHeaders()) },
+        body: JSON.stringify({
+          ...(pasteHtml ? { html } : { url: url.trim() }),
+          macroToggles,
+          corrections,
+          units: unitSystem
+        })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (response.ok && data.recipe) {
+        onRecipe(data.recipe);
+        return;
+      }
+      setMessage(data.error || 'Could not import that recipe.');
+    } catch (error) {
+      setMessage('Could not import that recipe. Check your connection and try again.');
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-xl p-6 w-full max-w-md">
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-xl font-bold text-gray-800">Import Recipe</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <X size={24} />
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-600 mb-4">
+          {pasteHtml
+            ? 'Open the recipe, view the page source (Ctrl+U or ⌘⌥U), copy all of it and paste it here.'
+            : 'Paste a link to a recipe. Most recipe sites work.'}
+        </p>
+
+        {pasteHtml ? (
+          <textarea
+            rows="6"
+            value={html}
+            onChange={(e) => setHtml(e.target.value)}
+            placeholder="<!DOCTYPE html>..."
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 outline-none font-mono text-xs resize-none"
+          />
+        ) : (
+          <input
+            type="url"
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') importRecipe();
+            }}
+            placeholder="https://www.example.com/recipes/chili"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 outline-none"
+          />
+        )}
+
+        <div className="flex items-center justify-between gap-3 mt-4">
+          <button
+            onClick={() => {
+              setPasteHtml(!pasteHtml);
+              setMessage(null);
+            }}
+            className="text-xs text-gray-500 hover:text-purple-600 transition"
+          >
+            {pasteHtml ? 'Use a link instead' : 'Paste the page HTML instead'}
+          </button>
+          <button
+            onClick={importRecipe}
+            disabled={isImporting || !canImport}
+            className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+          >
+            <ChefHat size={18} />
+            {isImporting ? 'Importing...' : 'Import'}
+          </button>
+        </div>
+
+        {message && (
+          <p className="text-sm text-red-600 mt-3">{message}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RecipeImporter;
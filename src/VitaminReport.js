@@ -0,0 +1,128 @@
+import React, { useState } from 'react';
+import { VITAMINS, SEXES, referenceIntakesFor, sumVitamins, formatAmount } from './vitamins';
+
+const getLocalDateString = (date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+// The 7 dates ending on date ("YYYY-MM-DD"), oldest first
+const weekEnding = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return Array.from({ length: 7 }, (_, i) => getLocalDateString(new Date(year, month - 1, day - 6 + i)));
+};
+
+const formatShortDate = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+};
+
+// Vitamins and minerals for the selected day, or the daily average over the week ending on it, as a
+// percentage of the reference intakes for the user's sex and age. Items without vitamin data count
+// as nothing, so the coverage line says how many items that is.
+const VitaminReport = ({ entries, selectedDate, profile, setProfile, vitaminsEnabled, setVitaminsEnabled }) => {
+  const [period, setPeriod] = useState('day'); // 'day' | 'week'
+
+  const dates = period === 'day' ? [selectedDate] : weekEnding(selectedDate);
+  const loggedDates = dates.filter(date => entries[date]?.length > 0);
+  const { totals, items, covered } = sumVitamins(loggedDates.flatMap(date => entries[date]));
+  const days = Math.max(loggedDates.length, 1);
+  const intakes = referenceIntakesFor(profile);
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-xl shadow-sm p-4 lg:p-6">
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+          <h2 className="text-lg font-semibold text-gray-800">Vitamins & Minerals</h2>
+          <div className="flex bg-gray-100 rounded-lg p-1">
+            {['day', 'week'].map(option => (
+              <button
+                key={option}
+                onClick={() => setPeriod(option)}
+                className={`px-3 py-1 text-sm rounded-md capitalize transition ${period === option ? 'bg-white shadow-sm text-purple-600 font-medium' : 'text-gray-600 hover:text-gray-800'}`}
+              >
+                {option}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600 mb-2">
+          <span>Reference intakes for</span>
+          <select
+            value={profile.sex}
+            onChange={(e) => setProfile({ ...profile, sex: e.target.value })}
+            className="border border-gray-300 rounded-lg px-2 py-1 bg-white focus:ring-2 focus:ring-purple-500 outline-none capitalize"
+            aria-label="Sex"
+          >
+            {SEXES.map(sex => <option key={sex} value={sex}>{sex}</option>)}
+          </select>
+          <label className="flex items-center gap-2">
+            age
+            <input
+              type="number"
+              value={profile.age}
+              onChange={(e) => setProfile({ ...profile, age: Math.max(1, Math.min(120, parseInt(e.target.value) || 1)) })}
+              className="w-16 border border-gray-300 rounded-lg px-2 py-1 focus:ring-2 focus:ring-purple-500 outline-none"
+              min="1"
+              max="120"
+            />
+          </label>
+        </div>
+
+        <p className="text-xs text-gray-500">
+          {period === 'day'
+            ? formatShortDate(selectedDate)
+            : `Daily average over ${loggedDates.length} logged ${loggedDates.length === 1 ? 'day' : 'days'}, ${formatShortDate(dates[0])} – ${formatShortDate(dates[6])}`}
+          {items > 0 && ` · ${covered} of ${items} items have vitamin data`}
+        </p>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-sm p-4 lg:p-6">
+        {items === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-6">Nothing logged {period === 'day' ? 'on this day' : 'this week'} yet.</p>
+        ) : (
+          <div className="space-y-4">
+            {VITAMINS.map(({ key, label, unit }) => {
+              const amount = totals[key] / days;
+              const percent = Math.round((amount / intakes[key]) * 100);
+              return (
+                <div key={key}>
+                  <div className="flex items-baseline justify-between gap-2 mb-1">
+                    <span className="text-sm text-gray-700">{label}</span>
+                    <span className="text-sm">
+                      <span className="font-semibold text-purple-600">{percent}%</span>
+                      <span className="text-xs text-gray-400 ml-2">{formatAmount(amount)} / {intakes[key]} {unit}</span>
+                    </span>
+                  </div>
+                  <div className="h-1.5 bg-gray-200 rounded-full overflow-hidden">
+                    <div className={`h-full ${percent >= 100 ? 'bg-green-500' : 'bg-purple-600'} transition-all`} style={{ width: `${Math.min(percent, 100)}%` }} />
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      <div className="flex items-center justify-between gap-4 p-4 bg-gray-50 rounded-lg">
+        <div>
+          <p className="font-medium text-gray-800 text-sm">Ask the AI for vitamins</p>
+          <p className="text-xs text-gray-500">Simple foods from the USDA data always include them. Turn this on to get estimates for everything else you log; replies take a little longer.</p>
+        </div>
+        <button
+          onClick={() => setVitaminsEnabled(!vitaminsEnabled)}
+          className={`relative inline-flex h-6 w-11 flex-shrink-0 items-center rounded-full transition-colors ${vitaminsEnabled ? 'bg-purple-600' : 'bg-gray-300'}`}
+          role="switch"
+          aria-checked={vitaminsEnabled}
+        >
+          <span className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${vitaminsEnabled ? 'translate-x-6' : 'translate-x-1'}`} />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default VitaminReport;
@@ -0,0 +1,132 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Mic, Square, Loader2 } from 'lucide-react';
+import { getAuthHeaders } from './supabase';
+
+const MAX_RECORDING_MS = 60 * 1000;
+
+// Chrome and Firefox record webm/opus, Safari only mp4/aac
+const RECORDING_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/mp4', 'audio/ogg;codecs=opus'];
+
+const canRecord = () => typeof window !== 'undefined' && 'MediaRecorder' in window && !!navigator.mediaDevices?.getUserMedia;
+
+const pickRecordingType = () => RECORDING_TYPES.find(type => window.MediaRecorder.isTypeSupported(type)) || '';
+
+const readAsDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+// Records a voice note, sends it to /api/transcribe and hands the transcript back for logging.
+// Hidden in browsers without MediaRecorder.
+const VoiceButton = ({ disabled, onTranscript, onError }) => {
+  const [state, setState] = useState('idle'); // idle | recording | transcribing
+
+  const recorderRef = useRef(null);
+  const streamRef = useRef(null);
+  const timerRef = useRef(null);
+  const callbacksRef = useRef({ onTranscript, onError }); // the recording outlives the render that started it
+  callbacksRef.current = { onTranscript, onError };
+
+  const releaseMicrophone = () => {
+    clearTimeout(timerRef.current);
+    streamRef.current?.getTracks().forEach(track => track.stop());
+    streamRef.current = null;
+  };
+
+  // Stop the microphone if the app unmounts mid-recording; the recording is dropped
+  useEffect(() => () => {
+    if (recorderRef.current) recorderRef.current.onstop = null;
+    if (recorderRef.current?.state === 'recording') recorderRef.current.stop();
+    releaseMicrophone();
+  }, []);
+
+  const transcribe = async (blob) => {
+    setState('transcribing');
+    try {
+      const audio = await readAsDataUrl(blob);
+      const response = await fetch('/api/transcribe', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(await getAuthHeaders()) },
+        body: JSON.stringify({ audio })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        callbacksRef.current.onError({ message: data.error || 'Transcription failed. Please try again.', details: data.details || `HTTP ${response.status}` });
+        return;
+      }
+      callbacksRef.current.onTranscript(data.text);
+    } catch (error) {
+      callbacksRef.current.onError({ message: 'Could not transcribe that. Check your connection and try again.', details: error.message });
+    } finally {
+      setState('idle');
+    }
+  };
+
+  const startRecording = async () => {
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (error) {
+      console.error('Microphone unavailable:', error);
+      callbacksRef.current.onError({ message: 'Microphone access was blocked. Allow it in your browser settings to log by voice.', details: error.message });
+      return;
+    }
+
+    const mimeType = pickRecordingType();
+    const recorder = new window.MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+      if (e.data.size > 0) chunks.push(e.data);
+    };
+    recorder.onstop = () => {
+      releaseMicrophone();
+      recorderRef.current = null;
+      const blob = new Blob(chunks, { type: recorder.mimeType || mimeType || 'audio/webm' });
+      if (blob.size === 0) {
+        setState('idle');
+        return;
+      }
+      transcribe(blob);
+    };
+
+    streamRef.current = stream;
+    recorderRef.current = recorder;
+    recorder.start();
+    setState('recording');
+    timerRef.current = setTimeout(() => {
+      if (recorder.state === 'recording') recorder.stop();
+    }, MAX_RECORDING_MS);
+  };
+
+  const handleClick = () => {
+    if (state === 'recording') {
+      recorderRef.current?.stop();
+    } else if (state === 'idle') {
+      startRecording();
+    }
+  };
+
+  if (!canRecord()) return null;
+
+  const recording = state === 'recording';
+  return (
+    <button
+      onClick={handleClick}
+      disabled={state === 'transcribing' || (disabled && !recording)}
+      className={`px-4 py-3 border rounded-lg disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2 ${
+        recording
+          ? 'border-red-300 bg-red-50 text-red-600 hover:bg-red-100'
+          : 'border-gray-300 text-gray-600 hover:bg-gray-50 hover:text-purple-600'
+      }`}
+      title={recording ? 'Stop recording' : 'Log a meal by voice'}
+      aria-label={recording ? 'Stop recording' : 'Record what you ate'}
+    >
+      {state === 'transcribing' ? <Loader2 size={20} className="animate-spin" /> : recording ? <Square size={20} /> : <Mic size={20} />}
+      <span className="lg:hidden">{state === 'transcribing' ? 'Transcribing...' : recording ? 'Stop' : 'Voice'}</span>
+    </button>
+  );
+};
+
+export default VoiceButton;
@@ -0,0 +1,72 @@
+// Meal slots for entries. Each entry is saved with the meal it was logged in (entries.meal), picked
+// from its local time with the user's cutoffs and changeable afterwards. Entries from before meals
+// existed have none and are placed by the same cutoffs when shown.
+export const MEALS = [
+  { key: 'breakfast', label: 'Breakfast' },
+  { key: 'lunch', label: 'Lunch' },
+  { key: 'dinner', label: 'Dinner' },
+  { key: 'snacks', label: 'Snacks' }
+];
+
+const MEAL_KEYS = MEALS.map(({ key }) => key);
+
+// cutoffs are the time each meal starts ("HH:MM", 24-hour); targets are optional daily calories per meal
+export const DEFAULT_MEAL_SETTINGS = {
+  cutoffs: { breakfast: '04:00', lunch: '11:00', dinner: '16:30', snacks: '21:00' },
+  targets: {}
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Saved meal settings, with defaults for anything missing or malformed
+export const readMealSettings = (saved) => ({
+  cutoffs: Object.fromEntries(MEAL_KEYS.map(key => [
+    key,
+    TIME_PATTERN.test(saved?.cutoffs?.[key]) ? saved.cutoffs[key] : DEFAULT_MEAL_SETTINGS.cutoffs[key]
+  ])),
+  targets: Object.fromEntries(MEAL_KEYS
+    .filter(key => saved?.targets?.[key] > 0)
+    .map(key => [key, Math.round(saved.targets[key])]))
+});
+
+export const isMeal = (meal) => MEAL_KEYS.includes(meal);
+
+// Minutes past midnight for "8:05 AM" (entries.local_time) or "20:05", or null
+const parseMinutes = (time) => {
+  const match = String(time || '').match(/(\d{1,2}):(\d{2})\s*([AP]M)?/i);
+  if (!match) return null;
+  let hours = parseInt(match[1], 10) % (match[3] ? 12 : 24);
+  if (match[3] && match[3].toUpperCase() === 'PM') hours += 12;
+  return hours * 60 + parseInt(match[2], 10);
+};
+
+// The meal a time of day falls in: the one that started most recently, wrapping past midnight, so
+// with the default cutoffs 2:00 AM is still snacks
+export const mealForTime = (time, cutoffs) => {
+  const minutes = parseMinutes(time);
+  if (minutes === null) return 'snacks';
+  const starts = MEAL_KEYS
+    .map(key => ({ key, start: parseMinutes(cutoffs[key]) }))
+    .sort((a, b) => a.start - b.start);
+  const current = starts.filter(({ start }) => start <= minutes).pop() || starts[starts.length - 1];
+  return current.key;
+};
+
+// When an entry logged to date ("YYYY-MM-DD") happened, so it sorts among that day's others and stays
+// in its meal: at time ("HH:MM") if given, else at the current time of day, or at the meal's start
+// when that time falls in another meal
+export const entryTimestamp = (date, cutoffs, { time, meal } = {}, now = new Date()) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const clock = `${now.getHours()}:${String(now.getMinutes()).padStart(2, '0')}`;
+  const start = time || (meal && mealForTime(clock, cutoffs) !== meal ? cutoffs[meal] : '');
+  if (start) {
+    const [hours, minutes] = start.split(':').map(Number);
+    return new Date(year, month - 1, day, hours, minutes);
+  }
+  const isToday = now.getFullYear() === year && now.getMonth() === month - 1 && now.getDate() === day;
+  return isToday ? now : new Date(year, month - 1, day, now.getHours(), now.getMinutes());
+};
+
+export const entryMeal = (entry, cutoffs) => (isMeal(entry.meal)
+  ? entry.meal
+  : mealForTime(entry.localTime || new Date(entry.timestamp).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }), cutoffs));
@@ -0,0 +1,27 @@
+import { DEFAULT_MEAL_SETTINGS, entryTimestamp } from './meals';
+
+const { cutoffs } = DEFAULT_MEAL_SETTINGS;
+// Monday 19 October 2026, 8:15 PM local time
+const NOW = new Date(2026, 9, 19, 20, 15, 42);
+
+describe('entryTimestamp', () => {
+  test('is now for today', () => {
+    expect(entryTimestamp('2026-10-19', cutoffs, {}, NOW)).toBe(NOW);
+  });
+
+  test('uses the time given, on the day logged to', () => {
+    expect(entryTimestamp('2026-10-19', cutoffs, { time: '07:30' }, NOW)).toEqual(new Date(2026, 9, 19, 7, 30));
+    expect(entryTimestamp('2026-10-17', cutoffs, { time: '12:00', meal: 'dinner' }, NOW)).toEqual(new Date(2026, 9, 17, 12, 0));
+  });
+
+  test('keeps the current time of day on another day', () => {
+    expect(entryTimestamp('2026-10-18', cutoffs, {}, NOW)).toEqual(new Date(2026, 9, 18, 20, 15));
+    expect(entryTimestamp('2026-10-18', cutoffs, { meal: 'dinner' }, NOW)).toEqual(new Date(2026, 9, 18, 20, 15));
+  });
+
+  test('moves to the meal\'s start when the current time is in another meal', () => {
+    expect(entryTimestamp('2026-10-19', cutoffs, { meal: 'lunch' }, NOW)).toEqual(new Date(2026, 9, 19, 11, 0));
+    expect(entryTimestamp('2026-10-18', cutoffs, { meal: 'breakfast' }, NOW)).toEqual(new Date(2026, 9, 18, 4, 0));
+    expect(entryTimestamp('2026-10-19', cutoffs, { meal: 'dinner' }, NOW)).toBe(NOW);
+  });
+});
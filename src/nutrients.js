@@ -0,0 +1,74 @@
+import nutrientData from './nutrients.json';
+
+// Nutrients tracked beside calories: the macros (protein, carbs, fat) and micronutrients (fiber,
+// sugars, sodium, ...). Each has the key items, goals and macroToggles use ("addedSugars"), a label,
+// a unit, and the column it's stored in when that isn't the key (goals.added_sugars,
+// entries.total_added_sugars). api/_lib/nutritionPrompt.js reads the same list.
+export const MACROS = nutrientData.macros;
+export const MICRONUTRIENTS = nutrientData.micronutrients;
+export const NUTRIENTS = [...MACROS, ...MICRONUTRIENTS];
+
+// Default: calories only. vitamins asks the model for the vitamins and minerals in src/vitamins.js.
+export const DEFAULT_TOGGLES = { ...Object.fromEntries(NUTRIENTS.map(({ key }) => [key, false])), vitamins: false };
+
+export const columnFor = (nutrient) => nutrient.column || nutrient.key;
+
+// "P: 12g", "Sodium: 140mg"
+export const nutrientLabel = (nutrient, value) => `${nutrient.short || nutrient.label}: ${value || 0}${nutrient.unit}`;
+
+const TOTALLED = [{ key: 'calories' }, ...NUTRIENTS];
+
+// Entry field for a total: 'calories' -> 'totalCalories', 'addedSugars' -> 'totalAddedSugars'
+export const totalKey = (key) => `total${key[0].toUpperCase()}${key.slice(1)}`;
+
+// Sums items into entries columns: { total_calories, total_protein, ..., total_added_sugars, ... }
+export const sumItems = (items) => Object.fromEntries(TOTALLED.map(nutrient => [
+  `total_${columnFor(nutrient)}`,
+  items.reduce((sum, item) => sum + (item[nutrient.key] || 0), 0)
+]));
+
+// entries columns -> entry totals ({ totalCalories, totalProtein, ... }); rows saved before a
+// nutrient was tracked count it as 0
+export const rowTotals = (row) => Object.fromEntries(TOTALLED.map(nutrient => [
+  totalKey(nutrient.key),
+  row[`total_${columnFor(nutrient)}`] || 0
+]));
+
+// Entry totals -> entries columns, for saving entries that already have their totals
+export const totalColumns = (entry) => Object.fromEntries(TOTALLED.map(nutrient => [
+  `total_${columnFor(nutrient)}`,
+  entry[totalKey(nutrient.key)] || 0
+]));
+
+// Saved toggles from before a nutrient existed get it switched off
+export const withDefaultToggles = (saved) => ({ ...DEFAULT_TOGGLES, ...saved });
+
+// Custom nutrients the user defines in settings (caffeine, alcohol units, diet points):
+// [{ key, label, unit, goal }], saved like macroToggles. Items carry them as item.custom
+// ({ caffeine: 95 }) and entries have no columns for them, so their totals come from the items.
+export const MAX_CUSTOM_NUTRIENTS = 10;
+
+const RESERVED_KEYS = ['calories', ...NUTRIENTS.map(({ key }) => key)];
+
+// A key for a new custom nutrient: "Alcohol units" -> "alcoholUnits", numbered if it's taken
+export const customNutrientKey = (label, customNutrients) => {
+  const words = label.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+  const camel = words.map(word => word[0].toUpperCase() + word.slice(1)).join('').replace(/^\d+/, '').slice(0, 30);
+  const base = camel ? camel[0].toLowerCase() + camel.slice(1) : 'custom';
+  const taken = new Set([...RESERVED_KEYS, ...customNutrients.map(({ key }) => key)]);
+  let key = base;
+  for (let n = 2; taken.has(key); n++) key = `${base}${n}`;
+  return key;
+};
+
+// Saved custom nutrients, dropping anything malformed
+export const readCustomNutrients = (saved) => (Array.isArray(saved) ? saved : [])
+  .filter(nutrient => nutrient && typeof nutrient.key === 'string' && typeof nutrient.label === 'string')
+  .slice(0, MAX_CUSTOM_NUTRIENTS)
+  .map(({ key, label, unit, goal }) => ({ key, label, unit: typeof unit === 'string' ? unit : '', goal: goal > 0 ? goal : null }));
+
+// "Caffeine: 95 mg", "Points: 4"
+export const customLabel = (nutrient, value) => `${nutrient.label}: ${value || 0}${nutrient.unit ? ` ${nutrient.unit}` : ''}`;
+
+// A custom nutrient's total over a list of items, to one decimal
+export const sumCustom = (items, key) => Math.round(items.reduce((sum, item) => sum + (item.custom?.[key] || 0), 0) * 10) / 10;
@@ -0,0 +1,104 @@
+// Reading and converting portion amounts, shared by the app (src/units.js, which also rescales and
+// renames items) and the server (api/_lib/foodDatabase.js, which applies a saved correction for
+// "chicken breast (6 oz)" to "200g chicken breast"). CommonJS so the server can require it; the
+// unit and density table is units.json.
+
+const unitData = require('./units.json');
+
+const UNITS = unitData.units;
+
+const UNIT_ALIASES = Object.fromEntries(Object.entries(UNITS).flatMap(([unit, { aliases }]) => [
+  [unit, unit],
+  ...aliases.map(alias => [alias, unit])
+]));
+
+const VULGAR_FRACTIONS = { '½': 0.5, '¼': 0.25, '¾': 0.75, '⅓': 1 / 3, '⅔': 2 / 3 };
+const QUANTITY_PATTERN = '(\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d*\\.?\\d+(?:\\s*[½¼¾⅓⅔])?|[½¼¾⅓⅔])';
+const UNIT_PATTERN = Object.keys(UNIT_ALIASES)
+  .sort((a, b) => b.length - a.length)
+  .map(alias => alias.replace(' ', '\\s+'))
+  .join('|');
+
+const findUnit = (text) => UNIT_ALIASES[String(text).toLowerCase().trim().replace(/\s+/g, ' ')] || null;
+
+const parseQuantity = (text) => {
+  const value = text.trim().split(/\s+/).reduce((sum, part) => {
+    if (part.includes('/')) {
+      const [numerator, denominator] = part.split('/').map(Number);
+      return sum + numerator / denominator;
+    }
+    const fraction = VULGAR_FRACTIONS[part.slice(-1)];
+    return sum + (fraction ? (parseFloat(part.slice(0, -1)) || 0) + fraction : parseFloat(part));
+  }, 0);
+  return value > 0 && Number.isFinite(value) ? value : null;
+};
+
+// Grams per millilitre for a food name, from the longest matching food in units.json
+// (so "peanut butter" beats "butter"), or null when it isn't known
+const densityFor = (name = '') => {
+  const text = ` ${String(name).toLowerCase().replace(/[^a-z\s]/g, ' ').replace(/\s+/g, ' ')} `;
+  let best = null;
+  unitData.densities.forEach(({ foods, gramsPerMl }) => foods.forEach(food => {
+    const position = text.lastIndexOf(` ${food} `);
+    if (position === -1) return;
+    if (!best || food.length > best.food.length || (food.length === best.food.length && position > best.position)) {
+      best = { food, position, gramsPerMl };
+    }
+  }));
+  return best ? best.gramsPerMl : null;
+};
+
+// quantity of `from` in `to`, or null when they don't convert (counts, or mass and volume
+// for a food with no known density)
+const convertQuantity = (quantity, from, to, foodName) => {
+  if (from === to) return quantity;
+  const source = UNITS[from];
+  const target = UNITS[to];
+  if (!source || !target || source.kind === 'count' || target.kind === 'count') return null;
+
+  let amount = quantity * source.base;
+  if (source.kind !== target.kind) {
+    const density = densityFor(foodName);
+    if (!density) return null;
+    amount = source.kind === 'mass' ? amount / density : amount * density;
+  }
+  return amount / target.base;
+};
+
+// An amount: a quantity and an optional unit ("2", "6 oz", "200g"). A number with no unit has to be
+// followed by `end`, so "2% Milk" and "7-Eleven Hot Dog" aren't pieces.
+const amountPattern = (end) => `(${QUANTITY_PATTERN}(?:\\s*(${UNIT_PATTERN})\\b|(?=${end})))`;
+
+// Finds the portion in an item name: a trailing "(2 servings)" or "(1 serving (30 g))" as written by
+// recipes, manual entry and barcodes, else a leading "2 Eggs" or "1/2 cup rice" after any emoji.
+// match is where the amount sits ([start, end), unit included), so the app can rewrite it, and food
+// is the name with it taken out. A number with no unit counts pieces, unless it's 100 or more
+// ("100 Grand Bar"); names with no number are 1 serving.
+const parsePortion = (name = '') => {
+  const suffix = name.match(new RegExp(`\\(${amountPattern('[\\s)]')}[^()]*(?:\\([^()]*\\)[^()]*)?\\)\\s*$`, 'i'));
+  const prefix = name.match(new RegExp(`^([^\\p{L}\\p{N}½¼¾⅓⅔]*)${amountPattern('\\s|$')}`, 'iu'));
+  let found = null;
+  if (suffix) {
+    found = { start: suffix.index + 1, amount: suffix[1], quantity: suffix[2], unit: suffix[3] };
+  } else if (prefix) {
+    found = { start: prefix[1].length, amount: prefix[2], quantity: prefix[3], unit: prefix[4] };
+  }
+  const quantity = found && parseQuantity(found.quantity);
+
+  if (!quantity || (!found.unit && quantity >= 100)) return { quantity: 1, unit: 'serving', match: null, food: name };
+  const end = found.start + found.amount.length;
+  return {
+    quantity,
+    unit: found.unit ? findUnit(found.unit) : 'piece',
+    match: { start: found.start, end, hasUnit: !!found.unit },
+    food: name.slice(0, found.start) + name.slice(end)
+  };
+};
+
+module.exports = {
+  UNITS,
+  findUnit,
+  densityFor,
+  convertQuantity,
+  parsePortion
+};
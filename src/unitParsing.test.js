@@ -0,0 +1,51 @@
+const { convertQuantity, parsePortion } = require('./unitParsing');
+
+const portion = (name) => {
+  const { quantity, unit, food } = parsePortion(name);
+  return { quantity, unit, food };
+};
+
+describe('parsePortion', () => {
+  test.each([
+    ['🥚 2 Eggs', { quantity: 2, unit: 'piece', food: '🥚  Eggs' }],
+    ['1/2 cup rice', { quantity: 0.5, unit: 'cup', food: ' rice' }],
+    ['200g chicken breast', { quantity: 200, unit: 'g', food: ' chicken breast' }],
+    ['Chicken Breast (6 oz)', { quantity: 6, unit: 'oz', food: 'Chicken Breast ()' }],
+    ['Chili (2 servings)', { quantity: 2, unit: 'serving', food: 'Chili ()' }]
+  ])('%s', (name, expected) => {
+    expect(portion(name)).toEqual(expected);
+  });
+
+  test('reads the outer serving count before a nested amount', () => {
+    expect(portion('Brand Bar (1 serving (40 g))')).toEqual({ quantity: 1, unit: 'serving', food: 'Brand Bar ( (40 g))' });
+    expect(portion('Granola (2 servings (60 g))')).toMatchObject({ quantity: 2, unit: 'serving' });
+  });
+
+  test.each(['🥛 2% Milk', '7-Eleven Hot Dog', '100 Grand Bar', 'Latte (2% milk)'])('%s has no portion in its name', (name) => {
+    expect(parsePortion(name)).toEqual({ quantity: 1, unit: 'serving', match: null, food: name });
+  });
+
+  test('match covers the amount and unit', () => {
+    const name = '🍚 1 1/2 cups rice';
+    const { match } = parsePortion(name);
+    expect(name.slice(match.start, match.end)).toBe('1 1/2 cups');
+    expect(match.hasUnit).toBe(true);
+  });
+});
+
+describe('convertQuantity', () => {
+  test('converts within mass and within volume', () => {
+    expect(convertQuantity(1, 'lb', 'oz')).toBeCloseTo(16, 2);
+    expect(convertQuantity(1, 'cup', 'tbsp')).toBeCloseTo(16, 1);
+  });
+
+  test('converts between mass and volume through the food density', () => {
+    expect(convertQuantity(1, 'cup', 'g', 'whole milk')).toBeCloseTo(243.7, 1);
+    expect(convertQuantity(1, 'cup', 'g', 'chicken')).toBeNull();
+  });
+
+  test('counts only convert to themselves', () => {
+    expect(convertQuantity(2, 'piece', 'piece')).toBe(2);
+    expect(convertQuantity(2, 'piece', 'g', 'eggs')).toBeNull();
+  });
+});
@@ -0,0 +1,116 @@
+import { NUTRIENTS } from './nutrients';
+import { UNITS, findUnit, densityFor, convertQuantity, parsePortion } from './unitParsing';
+
+// Portion units: mass (g, kg, oz, lb), volume (ml, l, cups, tbsp, tsp, fl oz) and counts (piece, slice,
+// serving). Mass and volume convert through a food's density when units.json knows it; counts only
+// convert to themselves. Logged items carry the quantity and unit their nutrition is for
+// ({ quantity: 2, unit: 'piece' } for "🥚 2 Eggs"), so the stepper can rescale them. Reading and
+// converting amounts is in unitParsing.js, which the server shares.
+export { UNITS, findUnit, densityFor, convertQuantity, parsePortion };
+
+// 'metric' or 'us': which units come first in pickers, and how the parser writes assumed portions
+export const UNIT_SYSTEMS = ['us', 'metric'];
+
+export const formatQuantity = (quantity) => String(Math.round(quantity * 100) / 100);
+
+// Whole grams and millilitres; everything else to two decimals
+const roundQuantity = (quantity, unit) => (UNITS[unit]?.step >= 1 && UNITS[unit].kind !== 'count'
+  ? Math.max(1, Math.round(quantity))
+  : Math.round(quantity * 100) / 100);
+
+export const formatUnit = (quantity, unit) => (quantity > 1 && UNITS[unit]?.plural) || unit;
+
+export const portionLabel = ({ quantity, unit }) => `${formatQuantity(quantity)} ${formatUnit(quantity, unit)}`;
+
+// Units the unit can be converted to for this food, the preferred system's first
+export const compatibleUnits = (unit, foodName, system = 'us') => Object.keys(UNITS)
+  .filter(candidate => convertQuantity(1, unit, candidate, foodName) !== null)
+  .sort((a, b) => (UNITS[a].system === system ? 0 : 1) - (UNITS[b].system === system ? 0 : 1));
+
+// Quantity and unit for an item; items logged before portions were stored get them from the name
+export const itemPortion = (item) => {
+  if (item.quantity > 0) return { quantity: item.quantity, unit: UNITS[item.unit] ? item.unit : 'serving' };
+  const { quantity, unit } = parsePortion(item.item);
+  return { quantity, unit };
+};
+
+// Rewrites the amount in the name ("🥚 2 Eggs" -> "🥚 3 Eggs", "Chicken (6 oz)" -> "Chicken (170 g)")
+// when it still matches the stored portion
+const renamePortion = (name, from, to) => {
+  const { quantity, unit, match } = parsePortion(name);
+  if (!match || unit !== from.unit || Math.abs(quantity - from.quantity) > 0.001) return name;
+  const amount = match.hasUnit || to.unit !== from.unit
+    ? `${formatQuantity(to.quantity)}${to.unit === 'piece' ? '' : ` ${formatUnit(to.quantity, to.unit)}`}`
+    : formatQuantity(to.quantity);
+  return name.slice(0, match.start) + amount + name.slice(match.end);
+};
+
+// Values that scale with the portion, besides the vitamins and custom nutrient maps
+export const SCALED_FIELDS = ['calories', ...NUTRIENTS.map(({ key }) => key)];
+
+const portionValues = (values) => ({
+  ...Object.fromEntries(SCALED_FIELDS
+    .filter(field => typeof values[field] === 'number')
+    .map(field => [field, values[field]])),
+  ...(values.vitamins && { vitamins: values.vitamins }),
+  ...(values.custom && { custom: values.custom })
+});
+
+// What the stepper scales from: the portion an item was first given, with its nutrition then
+// ({ quantity, unit, calories, ..., vitamins, custom, ingredients }). Every step is worked out
+// from this and only the result is rounded, so stepping down and back up returns the same values.
+// Editing an item's nutrition drops it, and the next step takes the edited values instead.
+const portionBase = (item) => item.base || {
+  ...itemPortion(item),
+  ...portionValues(item),
+  ...(item.ingredients && { ingredients: item.ingredients.map(portionValues) })
+};
+
+export const withPortion = (item) => ({ ...item, ...itemPortion(item), base: portionBase(item) });
+
+// The item at a new quantity, in its own unit or any unit it converts to. Returns the item unchanged
+// if the units don't convert.
+export const scalePortion = (item, quantity, unit) => {
+  const base = portionBase(item);
+  const current = itemPortion(item);
+  const target = { quantity: roundQuantity(quantity, unit || current.unit), unit: unit || current.unit };
+  const amount = convertQuantity(target.quantity, target.unit, base.unit, item.item);
+  if (amount === null || !(amount > 0)) return item;
+
+  const ratio = amount / base.quantity;
+  const scaleMap = (amounts) => Object.fromEntries(Object.entries(amounts).map(([key, amount]) => [key, Math.round(amount * ratio * 10) / 10]));
+  const scaleValues = (values) => ({
+    ...Object.fromEntries(SCALED_FIELDS
+      .filter(field => typeof values[field] === 'number')
+      .map(field => [field, Math.round(values[field] * ratio)])),
+    ...(values.vitamins && { vitamins: scaleMap(values.vitamins) }),
+    ...(values.custom && { custom: scaleMap(values.custom) })
+  });
+  return {
+    ...item,
+    ...scaleValues(base),
+    ...(item.ingredients && {
+      ingredients: item.ingredients.map((ingredient, index) => ({ ...ingredient, ...scaleValues(base.ingredients?.[index] || ingredient) }))
+    }),
+    item: renamePortion(item.item, current, target),
+    quantity: target.quantity,
+    unit: target.unit,
+    base
+  };
+};
+
+// The same amount in another unit: "6 oz" -> "170 g". Nutrition stays the same.
+export const convertPortion = (item, unit) => {
+  const current = itemPortion(item);
+  const quantity = convertQuantity(current.quantity, current.unit, unit, item.item);
+  if (quantity === null) return item;
+  const target = { quantity: roundQuantity(quantity, unit), unit };
+  return { ...item, item: renamePortion(item.item, current, target), ...target };
+};
+
+// Next stepper value; stepping down from a single step halves instead of reaching zero
+export const stepPortion = (quantity, unit, direction) => {
+  const step = UNITS[unit]?.step || 1;
+  const next = direction > 0 ? quantity + step : (quantity > step ? quantity - step : quantity / 2);
+  return Math.round(next * 100) / 100;
+};
@@ -0,0 +1,45 @@
+import { scalePortion, stepPortion, convertPortion, withPortion } from './units';
+
+const step = (item, direction) => scalePortion(item, stepPortion(item.quantity, item.unit, direction));
+
+describe('scalePortion', () => {
+  const sugar = withPortion({ item: 'Sugar (1 tsp)', calories: 16, protein: 0, carbs: 4, fat: 0, vitamins: { calcium: 0.1 }, custom: { points: 1 } });
+
+  test('scales from the logged portion, not the last rounded step', () => {
+    const stepped = [-1, -1, -1, 1, 1].reduce(step, sugar);
+    expect(stepped).toMatchObject({ item: 'Sugar (1.13 tsp)', quantity: 1.13, unit: 'tsp', calories: 18, carbs: 5 });
+    expect(stepped.custom).toEqual({ points: 1.1 });
+    expect(stepped.base).toEqual(sugar.base);
+  });
+
+  test('comes back to the logged values', () => {
+    const back = [-1, 1, 1, 1, -1, -1].reduce(step, sugar);
+    expect(back).toMatchObject({ quantity: 1, calories: 16, carbs: 4, vitamins: { calcium: 0.1 } });
+  });
+
+  test('keeps the base across unit changes', () => {
+    const chicken = withPortion({ item: 'Chicken Breast (6 oz)', calories: 280, protein: 53, carbs: 0, fat: 6 });
+    const grams = convertPortion(chicken, 'g');
+    expect(grams).toMatchObject({ item: 'Chicken Breast (170 g)', quantity: 170, unit: 'g', calories: 280 });
+    expect(scalePortion(grams, 340)).toMatchObject({ item: 'Chicken Breast (340 g)', calories: 560, protein: 106 });
+  });
+
+  test('items logged before bases were stored start from their current values', () => {
+    const eggs = { item: '🥚 2 Eggs', calories: 140, protein: 12, carbs: 2, fat: 10, quantity: 2, unit: 'piece' };
+    const three = scalePortion(eggs, 3);
+    expect(three).toMatchObject({ item: '🥚 3 Eggs', calories: 210, protein: 18, base: { quantity: 2, unit: 'piece', calories: 140 } });
+  });
+
+  test('scales recipe ingredients from their base too', () => {
+    const chili = withPortion({
+      item: 'Chili (1 serving)',
+      calories: 300,
+      protein: 20,
+      carbs: 30,
+      fat: 10,
+      ingredients: [{ item: 'Beans', calories: 125, protein: 7, carbs: 22, fat: 1 }]
+    });
+    const stepped = [-1, 1, 1, -1].reduce(step, chili);
+    expect(stepped.ingredients[0]).toMatchObject({ calories: 125, protein: 7 });
+  });
+});
@@ -0,0 +1,40 @@
+import vitaminData from './vitamins.json';
+
+// Vitamins and minerals for the report, and daily reference intakes by sex and age (the RDA, or the
+// AI where there is no RDA, from the NIH Dietary Reference Intakes). Vitamin A is in µg RAE and
+// folate in µg DFE. Items carry what they have as item.vitamins ({ iron: 1.8, calcium: 56, ... }),
+// from the local USDA data, or from the model when macroToggles.vitamins is on.
+// api/_lib/nutritionPrompt.js reads the same list.
+export const VITAMINS = vitaminData.vitamins;
+
+export const SEXES = ['female', 'male'];
+
+export const DEFAULT_PROFILE = { sex: 'female', age: 30 };
+
+// Reference intakes for a { sex, age } profile; ages under 14 all use the 9-13 values
+export const referenceIntakesFor = ({ sex, age }) => {
+  const group = vitaminData.referenceIntakes.find(row => row.sex === sex && age >= row.minAge && age <= row.maxAge)
+    || vitaminData.referenceIntakes.find(row => row.sex === sex)
+    || vitaminData.referenceIntakes[0];
+  return group.values;
+};
+
+// Sums the vitamins of every item in a list of entries. items and covered count all items and the
+// ones with vitamin data, since items logged without it would otherwise read as zero.
+export const sumVitamins = (entryList) => {
+  const totals = Object.fromEntries(VITAMINS.map(({ key }) => [key, 0]));
+  let items = 0;
+  let covered = 0;
+  entryList.forEach(entry => entry.items.forEach(item => {
+    items++;
+    if (!item.vitamins) return;
+    covered++;
+    VITAMINS.forEach(({ key }) => {
+      totals[key] += item.vitamins[key] || 0;
+    });
+  }));
+  return { totals, items, covered };
+};
+
+// Amounts to one decimal below 10, whole numbers above
+export const formatAmount = (amount) => String(amount < 10 ? Math.round(amount * 10) / 10 : Math.round(amount));
@@ -0,0 +1,36 @@
+-- Custom Foods Migration
+-- Run this in your Supabase SQL Editor (Dashboard > SQL Editor)
+
+-- Custom foods: products saved from a scanned nutrition label or entered by hand.
+-- Nutrition values are per serving, as printed on the label.
+CREATE TABLE IF NOT EXISTS custom_foods (
+  id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id uuid REFERENCES auth.users NOT NULL,
+  name text NOT NULL,
+  serving_size text,
+  servings_per_container numeric,
+  calories integer NOT NULL,
+  protein integer NOT NULL DEFAULT 0,
+  carbs integer NOT NULL DEFAULT 0,
+  fat integer NOT NULL DEFAULT 0,
+  created_at timestamptz DEFAULT now()
+);
+
+-- Enable Row Level Security
+ALTER TABLE custom_foods ENABLE ROW LEVEL SECURITY;
+
+-- RLS policies for custom_foods
+CREATE POLICY "Users can view their own custom foods"
+  ON custom_foods FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own custom foods"
+  ON custom_foods FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own custom foods"
+  ON custom_foods FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own custom foods"
+  ON custom_foods FOR DELETE USING (auth.uid() = user_id);
+
+-- Index for listing a user's foods
+CREATE INDEX IF NOT EXISTS idx_custom_foods_user ON custom_foods(user_id, name);
@@ -0,0 +1,32 @@
+-- Meal Templates Migration
+-- Run this in your Supabase SQL Editor (Dashboard > SQL Editor)
+
+-- Meal templates: a logged entry's items saved under a name ("Usual breakfast"),
+-- re-logged with one tap. items has the same shape as entries.items.
+CREATE TABLE IF NOT EXISTS meal_templates (
+  id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id uuid REFERENCES auth.users NOT NULL,
+  name text NOT NULL,
+  items jsonb NOT NULL DEFAULT '[]'::jsonb,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+-- Enable Row Level Security
+ALTER TABLE meal_templates ENABLE ROW LEVEL SECURITY;
+
+-- RLS policies for meal_templates
+CREATE POLICY "Users can view their own meal templates"
+  ON meal_templates FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own meal templates"
+  ON meal_templates FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own meal templates"
+  ON meal_templates FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own meal templates"
+  ON meal_templates FOR DELETE USING (auth.uid() = user_id);
+
+-- Index for listing a user's templates
+CREATE INDEX IF NOT EXISTS idx_meal_templates_user ON meal_templates(user_id, name);
@@ -0,0 +1,9 @@
+-- Meals Migration
+-- Run this in your Supabase SQL Editor (Dashboard > SQL Editor)
+
+-- The meal each entry belongs to. The app sets it from the entry's local time when it's logged,
+-- using the user's meal cutoffs, and the user can change it. Entries logged before this have NULL
+-- and are placed by the cutoffs when shown.
+ALTER TABLE entries
+  ADD COLUMN IF NOT EXISTS meal text
+  CHECK (meal IN ('breakfast', 'lunch', 'dinner', 'snacks'));
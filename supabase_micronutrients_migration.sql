@@ -0,0 +1,25 @@
+-- Micronutrients Migration
+-- Run this in your Supabase SQL Editor (Dashboard > SQL Editor)
+
+-- Daily totals for the micronutrients on each entry, beside total_calories and the macros.
+-- Sodium, cholesterol and potassium are in milligrams, the rest in grams. Entries logged before
+-- a nutrient was tracked keep 0.
+ALTER TABLE entries
+  ADD COLUMN IF NOT EXISTS total_fiber integer NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS total_sugars integer NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS total_added_sugars integer NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS total_sodium integer NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS total_saturated_fat integer NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS total_cholesterol integer NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS total_potassium integer NOT NULL DEFAULT 0;
+
+-- Daily goals, in the same units. For sodium, added sugars, saturated fat and cholesterol the goal
+-- is a limit. NULL means no goal.
+ALTER TABLE goals
+  ADD COLUMN IF NOT EXISTS fiber numeric,
+  ADD COLUMN IF NOT EXISTS sugars numeric,
+  ADD COLUMN IF NOT EXISTS added_sugars numeric,
+  ADD COLUMN IF NOT EXISTS sodium numeric,
+  ADD COLUMN IF NOT EXISTS saturated_fat numeric,
+  ADD COLUMN IF NOT EXISTS cholesterol numeric,
+  ADD COLUMN IF NOT EXISTS potassium numeric;
@@ -0,0 +1,23 @@
+-- Nutrition Response Cache Migration
+-- Run this in your Supabase SQL Editor (Dashboard > SQL Editor)
+-- Used by the API when NUTRITION_CACHE_STORE=supabase (the default when SUPABASE_SERVICE_ROLE_KEY is set)
+
+-- Parsed items for previously seen food descriptions
+-- key is a SHA-256 of the caller, normalized input, enabled macros, corrections, prompt version and model
+-- subject is "user:<uuid>" or "anon:<ip>"
+CREATE TABLE IF NOT EXISTS nutrition_cache (
+  key text PRIMARY KEY,
+  subject text NOT NULL,
+  items jsonb NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT NOW(),
+  expires_at timestamptz NOT NULL
+);
+
+-- Enable Row Level Security with no policies: only the service role (used by the API) can access it
+ALTER TABLE nutrition_cache ENABLE ROW LEVEL SECURITY;
+
+-- Index for clearing out expired entries
+CREATE INDEX IF NOT EXISTS idx_nutrition_cache_expires_at ON nutrition_cache(expires_at);
+
+-- Index for clearing one user's cache (e.g. DELETE FROM nutrition_cache WHERE subject = 'user:<uuid>')
+CREATE INDEX IF NOT EXISTS idx_nutrition_cache_subject ON nutrition_cache(subject);
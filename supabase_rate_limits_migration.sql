@@ -0,0 +1,34 @@
+-- API Rate Limits Migration
+-- Run this in your Supabase SQL Editor (Dashboard > SQL Editor)
+-- Used by the API when RATE_LIMIT_STORE=supabase (the default when SUPABASE_SERVICE_ROLE_KEY is set)
+
+-- Fixed-window counters (request counts per minute, token usage per day)
+-- Keys look like "req:user:<uuid>:<minute>" or "tokens:anon:<ip>:<YYYY-MM-DD>"
+CREATE TABLE IF NOT EXISTS api_rate_limits (
+  key text PRIMARY KEY,
+  value bigint NOT NULL DEFAULT 0,
+  expires_at timestamptz NOT NULL
+);
+
+-- Enable Row Level Security with no policies: only the service role (used by the API) can access it
+ALTER TABLE api_rate_limits ENABLE ROW LEVEL SECURITY;
+
+-- Index for clearing out expired windows
+CREATE INDEX IF NOT EXISTS idx_api_rate_limits_expires_at ON api_rate_limits(expires_at);
+
+-- Atomically add to a counter and return the new value
+CREATE OR REPLACE FUNCTION public.increment_rate_limit(p_key text, p_amount bigint, p_expires_at timestamptz)
+RETURNS bigint AS $$
+  INSERT INTO api_rate_limits (key, value, expires_at)
+  VALUES (p_key, p_amount, p_expires_at)
+  ON CONFLICT (key) DO UPDATE
+    SET value = CASE
+          WHEN api_rate_limits.expires_at <= NOW() THEN EXCLUDED.value
+          ELSE api_rate_limits.value + EXCLUDED.value
+        END,
+        expires_at = EXCLUDED.expires_at
+  RETURNING value;
+$$ LANGUAGE sql;
+
+-- Don't let browser clients call the function directly
+REVOKE EXECUTE ON FUNCTION public.increment_rate_limit(text, bigint, timestamptz) FROM PUBLIC, anon, authenticated;
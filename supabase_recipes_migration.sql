@@ -0,0 +1,38 @@
+-- Recipes Migration
+-- Run this in your Supabase SQL Editor (Dashboard > SQL Editor)
+
+-- Recipes: dishes a user cooks regularly, built from an ingredient list.
+-- ingredients holds the whole-recipe items ([{ item, calories, protein, carbs, fat, source }]);
+-- calories and macros are per serving, so logging "a bowl of my chili" needs no math.
+CREATE TABLE IF NOT EXISTS recipes (
+  id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id uuid REFERENCES auth.users NOT NULL,
+  name text NOT NULL,
+  servings numeric NOT NULL DEFAULT 1 CHECK (servings > 0),
+  ingredients jsonb NOT NULL DEFAULT '[]'::jsonb,
+  calories integer NOT NULL,
+  protein integer NOT NULL DEFAULT 0,
+  carbs integer NOT NULL DEFAULT 0,
+  fat integer NOT NULL DEFAULT 0,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+-- Enable Row Level Security
+ALTER TABLE recipes ENABLE ROW LEVEL SECURITY;
+
+-- RLS policies for recipes
+CREATE POLICY "Users can view their own recipes"
+  ON recipes FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own recipes"
+  ON recipes FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own recipes"
+  ON recipes FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own recipes"
+  ON recipes FOR DELETE USING (auth.uid() = user_id);
+
+-- Index for listing a user's recipes
+CREATE INDEX IF NOT EXISTS idx_recipes_user ON recipes(user_id, name);
@@ -3,21 +3,26 @@
  * Test script for GPT-5 mini integration
  * Run with: OPENAI_API_KEY=your_key node test-gpt5-integration.js
  * Or export OPENAI_API_KEY first
+ *
+ * Offline, against the mock server (`MOCK_LLM=1 npm run server`):
+ *   LLM_BASE_URL=http://localhost:3001/mock-llm/v1 node test-gpt5-integration.js
  */
 
 const testGPT5Integration = async () => {
-  const apiKey = process.env.OPENAI_API_KEY;
+  const baseUrl = (process.env.LLM_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  const apiKey = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY;
 
-  if (!apiKey) {
+  if (!apiKey && !process.env.LLM_BASE_URL) {
     console.error('❌ OPENAI_API_KEY not found in environment');
     console.error('   Run with: OPENAI_API_KEY=your_key node test-gpt5-integration.js');
+    console.error('   Or set LLM_BASE_URL to an OpenAI-compatible server (e.g. the mock LLM)');
     process.exit(1);
   }
 
   console.log('🧪 Testing GPT-5 mini integration...\n');
 
   const testRequest = {
-    model: 'gpt-5-mini-2025-08-07',
+    model: process.env.LLM_MODEL || 'gpt-5-mini-2025-08-07',
     max_completion_tokens: 600,
     messages: [{
       role: 'user',
@@ -33,15 +38,15 @@ JSON array with ALL items:
   };
 
   try {
-    console.log('📤 Sending request to OpenAI API...');
+    console.log(`📤 Sending request to ${baseUrl}...`);
     console.log(`   Model: ${testRequest.model}`);
     console.log(`   Max completion tokens: ${testRequest.max_completion_tokens}\n`);
 
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
+    const response = await fetch(`${baseUrl}/chat/completions`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
+        ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
       },
       body: JSON.stringify(testRequest)
     });
@@ -17,7 +17,12 @@ try {
   // .env.local not found, will use process.env
 }
 
-const testFoodInput = "2 eggs and toast with butter";
+// Usage: node test-performance.js ["food text"]
+// Set LLM_BASE_URL to test another OpenAI-compatible server, e.g. the mock one started by
+// `MOCK_LLM=1 npm run server`: LLM_BASE_URL=http://localhost:3001/mock-llm/v1 node test-performance.js
+const testFoodInput = process.argv[2] || "2 eggs and toast with butter";
+const baseUrl = (process.env.LLM_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+const apiKey = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY;
 
 async function testPerformance() {
   console.log('='.repeat(60));
@@ -30,7 +35,7 @@ async function testPerformance() {
 
   // Simulate the exact request that the frontend makes (OPTIMIZED VERSION)
   const requestBody = {
-    model: 'gpt-5-mini-2025-08-07',
+    model: process.env.LLM_MODEL || 'gpt-5-mini-2025-08-07',
     max_completion_tokens: 4000,
     messages: [
       {
@@ -71,15 +76,15 @@ Return format: [{"item":"name","calories":100,"protein":10,"carbs":20,"fat":5,"s
   console.log(`  - Model: ${requestBody.model}\n`);
 
   // Make the API call
-  console.log('Starting API call to OpenAI...\n');
+  console.log(`Starting API call to ${baseUrl}...\n`);
   const apiStart = Date.now();
 
   try {
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
+    const response = await fetch(`${baseUrl}/chat/completions`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
+        ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
       },
       body: JSON.stringify(requestBody)
     });